@@ -29,6 +29,15 @@ export default function TabLayout() {
           ),
         }}
       />
+      <Tabs.Screen
+        name="finger"
+        options={{
+          title: 'Finger',
+          tabBarIcon: ({ size, color }) => (
+            <FontAwesome5 name="hand-pointer" size={size} color={color} />
+          ),
+        }}
+      />
       <Tabs.Screen
         name="random"
         options={{
@@ -47,6 +56,15 @@ export default function TabLayout() {
           ),
         }}
       />
+      <Tabs.Screen
+        name="dice"
+        options={{
+          title: 'Dice',
+          tabBarIcon: ({ size, color }) => (
+            <FontAwesome5 name="dice" size={size} color={color} />
+          ),
+        }}
+      />
       <Tabs.Screen
         name="profile"
         options={{
@@ -1,7 +1,7 @@
 /**
  * Coin Flip Screen
  * Purpose: Virtual coin flipping with statistics matching reference design
- * Features: Golden coin with perspective flip, count badges, settings modal
+ * Features: Custom faces, weighted coin, multi-coin flips, count badges, settings modal
  */
 
 import React, { useState, useRef } from 'react';
@@ -11,103 +11,121 @@ import {
   StyleSheet,
   TouchableOpacity,
   Modal,
-  Switch,
   Alert,
   Dimensions,
+  ScrollView,
+  TextInput,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesome5 } from '@expo/vector-icons';
-import Animated, {
-  useSharedValue,
-  useAnimatedStyle,
-  withTiming,
-  withSequence,
-  runOnJS,
-  interpolate,
-} from 'react-native-reanimated';
+import { router } from 'expo-router';
 import * as Haptics from 'expo-haptics';
 import { useApp } from '../../contexts/AppContext';
+import FlipCoin from '../../components/FlipCoin';
+import {
+  COIN_SIDES,
+  COIN_COLORS,
+  MAX_COINS,
+  MIN_HEADS_CHANCE,
+  MAX_HEADS_CHANCE,
+  FLIP_DURATIONS,
+  COIN_HAPTICS_MODES,
+  isCoinHapticsEnabled,
+  getFlipDuration,
+  getCoinFace,
+  clampHeadsChance,
+  clampCoinCount,
+  flipCoins,
+  addFlipToStats,
+  createFlipEntries,
+  summarizeFlip,
+} from '../../utils/coin';
 
-const { width, height } = Dimensions.get('window');
+const { width } = Dimensions.get('window');
 const COIN_SIZE = Math.min(width * 0.6, 240);
+const HEADS_CHANCE_STEP = 5;
+
+// Coins shrink so up to MAX_COINS fit on screen at once
+const getCoinSize = (count) => {
+  if (count === 1) return COIN_SIZE;
+  if (count <= 4) return Math.min(width * 0.38, 150);
+  return Math.min(width * 0.27, 110);
+};
 
 export default function CoinFlipScreen() {
-  const { settings, coinStats, updateCoinStats } = useApp();
+  const {
+    settings,
+    coinStats,
+    updateCoinStats,
+    coinConfig,
+    updateCoinConfig,
+    addCoinFlips,
+    clearCoinFlips,
+    takeRandomSource,
+  } = useApp();
   const [isFlipping, setIsFlipping] = useState(false);
-  const [currentSide, setCurrentSide] = useState('heads'); // heads or tails
+  const [results, setResults] = useState([]); // Sides of the latest flip, one per coin
+  const [flipId, setFlipId] = useState(0);
+  const [resetKey, setResetKey] = useState(0); // Remounts the coins to show them at rest
   const [showSettings, setShowSettings] = useState(false);
-  const [coinSettings, setCoinSettings] = useState({
-    hapticsEnabled: settings.hapticsEnabled,
-    flipDuration: 1.25, // seconds
-    soundEnabled: false,
-  });
+  const [draftConfig, setDraftConfig] = useState(coinConfig);
+  const landedCount = useRef(0);
+  const randomnessRef = useRef(null); // How the latest flip was drawn
 
-  // Animation values
-  const flipRotation = useSharedValue(0);
-  const coinScale = useSharedValue(1);
+  const coinCount = clampCoinCount(coinConfig.coinCount);
+  const headsChance = clampHeadsChance(coinConfig.headsChance);
+  const faces = {
+    heads: getCoinFace(coinConfig, 'heads'),
+    tails: getCoinFace(coinConfig, 'tails'),
+  };
+  const coinSize = getCoinSize(coinCount);
+  const hapticsEnabled = isCoinHapticsEnabled(coinConfig, settings);
 
   const flipCoin = () => {
     if (isFlipping) return;
 
     setIsFlipping(true);
 
-    if (coinSettings.hapticsEnabled) {
+    if (hapticsEnabled) {
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
     }
 
-    // Determine result (50/50)
-    const willBeHeads = Math.random() < 0.5;
-    const targetRotation = willBeHeads ? 0 : 180;
-    const fullRotations = 5 + Math.random() * 3; // 5-8 full rotations
-    const finalRotation = Math.floor(fullRotations) * 360 + targetRotation;
-
-    // Animation sequence
-    coinScale.value = withSequence(
-      withTiming(0.98, { duration: 100 }), // Press down
-      withTiming(1, { duration: 100 })
-    );
+    landedCount.current = 0;
+    const { random, record } = takeRandomSource();
+    randomnessRef.current = record;
+    setResults(flipCoins(coinCount, headsChance, random));
+    setFlipId(id => id + 1);
+  };
 
-    flipRotation.value = withTiming(
-      finalRotation,
-      { duration: coinSettings.flipDuration * 1000 },
-      (finished) => {
-        if (finished) {
-          // Ensure we land exactly on heads (0°) or tails (180°)
-          flipRotation.value = willBeHeads ? Math.floor(finalRotation / 360) * 360 : Math.floor(finalRotation / 360) * 360 + 180;
-          runOnJS(handleFlipComplete)(willBeHeads);
-        }
-      }
-    );
+  // Called by every coin when it lands; the flip is done once all have landed
+  const handleCoinLanded = () => {
+    landedCount.current += 1;
+    if (landedCount.current === results.length) {
+      handleFlipComplete(results);
+    }
   };
 
-  const handleFlipComplete = (isHeads) => {
-    setCurrentSide(isHeads ? 'heads' : 'tails');
+  const handleFlipComplete = (flipResults) => {
     setIsFlipping(false);
 
-    // Update stats
-    const newStats = {
-      ...coinStats,
-      [isHeads ? 'heads' : 'tails']: coinStats[isHeads ? 'heads' : 'tails'] + 1,
-      lastResult: isHeads ? 'heads' : 'tails',
-      lastFlippedAt: new Date().toISOString(),
-    };
-    updateCoinStats(newStats);
-
-    // Bounce effect
-    coinScale.value = withSequence(
-      withTiming(1.02, { duration: 150 }),
-      withTiming(1, { duration: 150 })
-    );
+    const flippedAt = new Date().toISOString();
+    updateCoinStats(addFlipToStats(coinStats, flipResults, flippedAt));
+    addCoinFlips(createFlipEntries(flipResults, headsChance, flippedAt, randomnessRef.current));
 
-    if (coinSettings.hapticsEnabled) {
+    if (hapticsEnabled) {
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
     }
   };
 
+  const showCoinsAtRest = () => {
+    setResults([]);
+    setResetKey(key => key + 1);
+  };
+
   const resetStats = () => {
     Alert.alert(
       'Reset Statistics',
-      'This will reset all flip counts to zero. Are you sure?',
+      'This will reset all flip counts to zero and clear the flip history. Are you sure?',
       [
         { text: 'Cancel', style: 'cancel' },
         { text: 'Reset', style: 'destructive', onPress: () => {
@@ -117,10 +135,10 @@ export default function CoinFlipScreen() {
             lastResult: null,
             lastFlippedAt: null,
           });
-          setCurrentSide('heads');
-          flipRotation.value = 0;
+          clearCoinFlips();
+          showCoinsAtRest();
           
-          if (coinSettings.hapticsEnabled) {
+          if (hapticsEnabled) {
             Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
           }
         }},
@@ -128,123 +146,247 @@ export default function CoinFlipScreen() {
     );
   };
 
+  const openSettings = () => {
+    setDraftConfig(coinConfig);
+    setShowSettings(true);
+  };
+
+  const updateDraftFace = (side, changes) => {
+    setDraftConfig(prev => ({
+      ...prev,
+      [side]: { ...getCoinFace(prev, side), ...changes },
+    }));
+  };
+
   const saveSettings = () => {
-    // Update global settings if haptics changed
-    if (coinSettings.hapticsEnabled !== settings.hapticsEnabled) {
-      // Note: This would need to be implemented in the context
-      // For now, we'll just keep it local to coin flip
+    const headsLabel = getCoinFace(draftConfig, 'heads').label;
+    const tailsLabel = getCoinFace(draftConfig, 'tails').label;
+    if (headsLabel.toLowerCase() === tailsLabel.toLowerCase()) {
+      Alert.alert('Same Name Twice', 'Give each side of the coin a different name.');
+      return;
+    }
+
+    updateCoinConfig({
+      heads: getCoinFace(draftConfig, 'heads'),
+      tails: getCoinFace(draftConfig, 'tails'),
+      headsChance: clampHeadsChance(draftConfig.headsChance),
+      coinCount: clampCoinCount(draftConfig.coinCount),
+      hapticsMode: draftConfig.hapticsMode,
+      flipDuration: getFlipDuration(draftConfig),
+    });
+    if (clampCoinCount(draftConfig.coinCount) !== coinCount) {
+      showCoinsAtRest();
     }
     setShowSettings(false);
   };
 
-  // Animated styles
-  const coinAnimatedStyle = useAnimatedStyle(() => {
-    const normalizedRotation = ((flipRotation.value % 360) + 360) % 360;
-    const rotateY = normalizedRotation;
-
-    return {
-      transform: [
-        { perspective: 1000 },
-        { rotateY: `${rotateY}deg` },
-        { scale: coinScale.value },
-      ],
-    };
-  });
-
-  const headsOpacity = useAnimatedStyle(() => ({
-    opacity: ((flipRotation.value % 360 + 360) % 360) < 90 || ((flipRotation.value % 360 + 360) % 360) > 270 ? 1 : 0,
-  }));
-
-  const tailsOpacity = useAnimatedStyle(() => ({
-    opacity: ((flipRotation.value % 360 + 360) % 360) >= 90 && ((flipRotation.value % 360 + 360) % 360) <= 270 ? 1 : 0,
-  }));
-
-  const renderSettingsModal = () => (
-    <Modal
-      visible={showSettings}
-      animationType="slide"
-      presentationStyle="pageSheet"
-    >
-      <SafeAreaView style={styles.modalContainer}>
-        <View style={styles.modalHeader}>
-          <TouchableOpacity onPress={() => setShowSettings(false)}>
-            <Text style={styles.modalCancelText}>Cancel</Text>
-          </TouchableOpacity>
-          <Text style={styles.modalTitle}>Coin Settings</Text>
-          <TouchableOpacity onPress={saveSettings}>
-            <Text style={styles.modalSaveText}>Done</Text>
-          </TouchableOpacity>
+  const renderStepper = (value, onChange, min, max, step = 1) => (
+    <View style={styles.stepper}>
+      <TouchableOpacity
+        style={[styles.stepperButton, value <= min && styles.stepperButtonDisabled]}
+        onPress={() => onChange(Math.max(min, value - step))}
+        disabled={value <= min}
+      >
+        <FontAwesome5 name="minus" size={14} color="#1967FF" />
+      </TouchableOpacity>
+      <Text style={styles.stepperValue}>{value}</Text>
+      <TouchableOpacity
+        style={[styles.stepperButton, value >= max && styles.stepperButtonDisabled]}
+        onPress={() => onChange(Math.min(max, value + step))}
+        disabled={value >= max}
+      >
+        <FontAwesome5 name="plus" size={14} color="#1967FF" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderFaceEditor = (side) => {
+    const face = getCoinFace(draftConfig, side);
+    const rawLabel = draftConfig[side] ? draftConfig[side].label : face.label;
+
+    return (
+      <View key={side} style={styles.faceEditor}>
+        <Text style={styles.faceTitle}>{side === 'heads' ? 'Heads side' : 'Tails side'}</Text>
+        <View style={styles.faceInputs}>
+          <TextInput
+            style={[styles.textInput, styles.labelInput]}
+            value={rawLabel}
+            onChangeText={(text) => updateDraftFace(side, { label: text })}
+            placeholder={side === 'heads' ? 'Heads' : 'Tails'}
+            maxLength={20}
+          />
+          <TextInput
+            style={[styles.textInput, styles.emojiInput]}
+            value={face.emoji}
+            onChangeText={(text) => updateDraftFace(side, { emoji: text.trim() })}
+            placeholder="🙂"
+            maxLength={8}
+          />
+        </View>
+        <View style={styles.colorOptions}>
+          {COIN_COLORS.map(color => (
+            <TouchableOpacity
+              key={color}
+              style={[
+                styles.colorSwatch,
+                { backgroundColor: color },
+                face.color === color && styles.colorSwatchActive,
+              ]}
+              onPress={() => updateDraftFace(side, { color })}
+            />
+          ))}
         </View>
+      </View>
+    );
+  };
 
-        <View style={styles.modalContent}>
-          <View style={styles.settingSection}>
-            <View style={styles.settingRow}>
-              <Text style={styles.settingLabel}>Enable Haptics</Text>
-              <Switch
-                value={coinSettings.hapticsEnabled}
-                onValueChange={(value) => setCoinSettings(prev => ({
-                  ...prev,
-                  hapticsEnabled: value
-                }))}
-              />
-            </View>
+  const renderSettingsModal = () => {
+    const draftHeadsChance = clampHeadsChance(draftConfig.headsChance);
+
+    return (
+      <Modal
+        visible={showSettings}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setShowSettings(false)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setShowSettings(false)}>
+              <Text style={styles.modalCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Coin Settings</Text>
+            <TouchableOpacity onPress={saveSettings}>
+              <Text style={styles.modalSaveText}>Done</Text>
+            </TouchableOpacity>
           </View>
 
-          <View style={styles.settingSection}>
-            <Text style={styles.settingSectionTitle}>Flip Duration</Text>
-            <View style={styles.durationOptions}>
-              {[1.0, 1.25, 1.5].map((duration) => (
-                <TouchableOpacity
-                  key={duration}
-                  style={[
-                    styles.durationButton,
-                    coinSettings.flipDuration === duration && styles.durationButtonActive
-                  ]}
-                  onPress={() => setCoinSettings(prev => ({
-                    ...prev,
-                    flipDuration: duration
-                  }))}
-                >
-                  <Text style={[
-                    styles.durationButtonText,
-                    coinSettings.flipDuration === duration && styles.durationButtonTextActive
-                  ]}>
-                    {duration}s
-                  </Text>
-                </TouchableOpacity>
-              ))}
+          <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+            <View style={styles.settingSection}>
+              <Text style={styles.settingSectionTitle}>Haptics</Text>
+              <View style={styles.choiceOptions}>
+                {COIN_HAPTICS_MODES.map((mode) => (
+                  <TouchableOpacity
+                    key={mode.key}
+                    style={[
+                      styles.choiceButton,
+                      draftConfig.hapticsMode === mode.key && styles.choiceButtonActive
+                    ]}
+                    onPress={() => setDraftConfig(prev => ({ ...prev, hapticsMode: mode.key }))}
+                  >
+                    <Text style={[
+                      styles.choiceButtonText,
+                      draftConfig.hapticsMode === mode.key && styles.choiceButtonTextActive
+                    ]}>
+                      {mode.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.settingDescription}>
+                {draftConfig.hapticsMode === 'app'
+                  ? `Follows the haptics setting in Profile, currently ${settings.hapticsEnabled ? 'on' : 'off'}.`
+                  : `Overrides the haptics setting in Profile for coin flips only.`}
+              </Text>
             </View>
-          </View>
-        </View>
-      </SafeAreaView>
-    </Modal>
+
+            <View style={styles.settingSection}>
+              <Text style={styles.settingSectionTitle}>Flip Duration</Text>
+              <View style={styles.choiceOptions}>
+                {FLIP_DURATIONS.map((duration) => (
+                  <TouchableOpacity
+                    key={duration}
+                    style={[
+                      styles.choiceButton,
+                      getFlipDuration(draftConfig) === duration && styles.choiceButtonActive
+                    ]}
+                    onPress={() => setDraftConfig(prev => ({ ...prev, flipDuration: duration }))}
+                  >
+                    <Text style={[
+                      styles.choiceButtonText,
+                      getFlipDuration(draftConfig) === duration && styles.choiceButtonTextActive
+                    ]}>
+                      {duration}s
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
+            <View style={styles.settingSection}>
+              <Text style={styles.settingSectionTitle}>Coin Faces</Text>
+              {COIN_SIDES.map(renderFaceEditor)}
+              <Text style={styles.settingDescription}>
+                Leave the emoji empty to keep the classic coin design.
+              </Text>
+            </View>
+
+            <View style={styles.settingSection}>
+              <Text style={styles.settingSectionTitle}>Heads Chance (%)</Text>
+              {renderStepper(
+                draftHeadsChance,
+                (value) => setDraftConfig(prev => ({ ...prev, headsChance: value })),
+                MIN_HEADS_CHANCE,
+                MAX_HEADS_CHANCE,
+                HEADS_CHANCE_STEP
+              )}
+              <Text style={styles.settingDescription}>
+                {getCoinFace(draftConfig, 'heads').label} {draftHeadsChance}% · {getCoinFace(draftConfig, 'tails').label} {100 - draftHeadsChance}%.
+                A fair coin is 50%.
+              </Text>
+            </View>
+
+            <View style={styles.settingSection}>
+              <Text style={styles.settingSectionTitle}>Number of Coins</Text>
+              {renderStepper(
+                clampCoinCount(draftConfig.coinCount),
+                (value) => setDraftConfig(prev => ({ ...prev, coinCount: value })),
+                1,
+                MAX_COINS
+              )}
+              <Text style={styles.settingDescription}>
+                Flip up to {MAX_COINS} coins at once. Every coin counts toward the statistics.
+              </Text>
+            </View>
+          </ScrollView>
+        </SafeAreaView>
+      </Modal>
+    );
+  };
+
+  const renderBadge = (side) => (
+    <View key={side} style={styles.countBadge}>
+      <View style={[styles.coinIcon, { borderColor: faces[side].color }]}>
+        <Text style={styles.coinIconText}>
+          {faces[side].emoji || faces[side].label.charAt(0).toUpperCase()}
+        </Text>
+      </View>
+      <Text style={styles.countNumber}>{coinStats[side]}</Text>
+    </View>
   );
 
+  const resultText = results.length === 1
+    ? faces[results[0]].label
+    : summarizeFlip(results, coinConfig);
+
   return (
     <SafeAreaView style={styles.container}>
       {/* Header */}
       <View style={styles.header}>
-        <View style={styles.headerSpacer} />
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={openSettings}
+        >
+          <FontAwesome5 name="cog" size={20} color="#1967FF" />
+        </TouchableOpacity>
 
         {/* Count badges */}
         <View style={styles.countContainer}>
-          <View style={styles.countBadge}>
-            <View style={styles.coinIcon}>
-              <Text style={styles.coinIconText}>H</Text>
-            </View>
-            <Text style={styles.countNumber}>{coinStats.heads}</Text>
-          </View>
-          
-          <View style={styles.countBadge}>
-            <View style={styles.coinIcon}>
-              <Text style={styles.coinIconText}>T</Text>
-            </View>
-            <Text style={styles.countNumber}>{coinStats.tails}</Text>
-          </View>
+          {COIN_SIDES.map(renderBadge)}
         </View>
 
         <TouchableOpacity
-          style={styles.resetButton}
+          style={styles.headerButton}
           onPress={resetStats}
         >
           <FontAwesome5 name="redo" size={20} color="#1967FF" />
@@ -253,48 +395,51 @@ export default function CoinFlipScreen() {
 
       {/* Coin area */}
       <View style={styles.coinContainer}>
-        <Animated.View style={[styles.coin, coinAnimatedStyle]}>
-          {/* Heads side */}
-          <Animated.View style={[styles.coinSide, styles.headsStyle, headsOpacity]}>
-            <View style={styles.coinInner}>
-              <View style={styles.outerRing} />
-              <View style={styles.middleRing} />
-              <View style={styles.centerArea}>
-                <View style={styles.laurelWreath}>
-                  <FontAwesome5 name="leaf" size={18} color="#FFE394" style={styles.laurelLeft} />
-                  <Text style={styles.coinNumber}>1</Text>
-                  <FontAwesome5 name="leaf" size={18} color="#FFE394" style={styles.laurelRight} />
-                </View>
-                <Text style={styles.coinText}>LIBERTY</Text>
-              </View>
-            </View>
-          </Animated.View>
-
-          {/* Tails side */}
-          <Animated.View style={[styles.coinSide, styles.tailsStyle, tailsOpacity]}>
-            <View style={styles.coinInner}>
-              <View style={styles.outerRing} />
-              <View style={styles.middleRing} />
-              <View style={styles.centerArea}>
-                <FontAwesome5 name="university" size={36} color="#FFE394" style={styles.buildingIcon} />
-                <Text style={styles.coinTextSmall}>E PLURIBUS UNUM</Text>
-              </View>
-            </View>
-          </Animated.View>
-        </Animated.View>
+        <View style={styles.coinGrid}>
+          {Array.from({ length: coinCount }, (_, index) => (
+            <FlipCoin
+              key={`${resetKey}-${index}`}
+              size={coinSize}
+              side={results[index] || 'heads'}
+              flipId={flipId}
+              duration={getFlipDuration(coinConfig)}
+              faces={faces}
+              onFlipEnd={handleCoinLanded}
+            />
+          ))}
+        </View>
+
+        <Text style={styles.resultText} numberOfLines={2}>
+          {!isFlipping && results.length > 0 ? resultText : ' '}
+        </Text>
+        {headsChance !== 50 && (
+          <Text style={styles.biasText}>
+            Weighted coin: {faces.heads.label} {headsChance}% · {faces.tails.label} {100 - headsChance}%
+          </Text>
+        )}
       </View>
 
       {/* Bottom controls */}
       <View style={styles.bottomControls}>
+        <TouchableOpacity
+          style={styles.historyButton}
+          onPress={() => router.push('/coin-history')}
+          disabled={isFlipping}
+        >
+          <FontAwesome5 name="history" size={20} color="#1967FF" />
+        </TouchableOpacity>
+
         <TouchableOpacity
           style={[styles.flipButton, isFlipping && styles.flipButtonDisabled]}
           onPress={flipCoin}
           disabled={isFlipping}
         >
           <Text style={styles.flipButtonText}>
-            {isFlipping ? 'Flipping...' : 'Flip'}
+            {isFlipping ? 'Flipping...' : coinCount > 1 ? `Flip ${coinCount} Coins` : 'Flip'}
           </Text>
         </TouchableOpacity>
+
+        <View style={styles.spacer} />
       </View>
 
       {renderSettingsModal()}
@@ -315,10 +460,6 @@ const styles = StyleSheet.create({
     paddingTop: 10,
     paddingBottom: 20,
   },
-  headerSpacer: {
-    width: 44,
-    height: 44,
-  },
   countContainer: {
     flexDirection: 'row',
     gap: 20,
@@ -342,6 +483,7 @@ const styles = StyleSheet.create({
     height: 24,
     borderRadius: 12,
     backgroundColor: '#FFE394',
+    borderWidth: 2,
     alignItems: 'center',
     justifyContent: 'center',
   },
@@ -355,7 +497,7 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#111',
   },
-  resetButton: {
+  headerButton: {
     width: 44,
     height: 44,
     borderRadius: 22,
@@ -369,122 +511,44 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     paddingVertical: 40,
   },
-  coin: {
-    width: COIN_SIZE,
-    height: COIN_SIZE,
-    position: 'relative',
-  },
-  coinSide: {
-    position: 'absolute',
-    width: COIN_SIZE,
-    height: COIN_SIZE,
-    borderRadius: COIN_SIZE / 2,
-    alignItems: 'center',
-    justifyContent: 'center',
-    shadowColor: '#B8860B',
-    shadowOffset: { width: 0, height: 12 },
-    shadowOpacity: 0.5,
-    shadowRadius: 16,
-    elevation: 16,
-  },
-  headsStyle: {
-    backgroundColor: '#F7C74A',
-  },
-  tailsStyle: {
-    backgroundColor: '#F7C74A',
-    transform: [{ rotateY: '180deg' }],
-  },
-  coinInner: {
-    width: '100%',
-    height: '100%',
-    borderRadius: COIN_SIZE / 2,
-    alignItems: 'center',
-    justifyContent: 'center',
-    position: 'relative',
-    borderWidth: 8,
-    borderColor: '#FFE394',
-  },
-  outerRing: {
-    position: 'absolute',
-    width: COIN_SIZE - 20,
-    height: COIN_SIZE - 20,
-    borderRadius: (COIN_SIZE - 20) / 2,
-    borderWidth: 2,
-    borderColor: '#FFE394',
-    opacity: 0.6,
-  },
-  middleRing: {
-    position: 'absolute',
-    width: COIN_SIZE - 40,
-    height: COIN_SIZE - 40,
-    borderRadius: (COIN_SIZE - 40) / 2,
-    borderWidth: 1,
-    borderColor: '#FFE394',
-    opacity: 0.4,
-  },
-  centerArea: {
-    alignItems: 'center',
-    justifyContent: 'center',
-    zIndex: 1,
-  },
-  laurelWreath: {
+  coinGrid: {
     flexDirection: 'row',
-    alignItems: 'center',
-    gap: 16,
-    marginBottom: 8,
-  },
-  laurelLeft: {
-    transform: [{ rotate: '-25deg' }],
-    textShadowColor: 'rgba(0,0,0,0.3)',
-    textShadowOffset: { width: 1, height: 1 },
-    textShadowRadius: 2,
-  },
-  laurelRight: {
-    transform: [{ rotate: '25deg' }],
-    textShadowColor: 'rgba(0,0,0,0.3)',
-    textShadowOffset: { width: 1, height: 1 },
-    textShadowRadius: 2,
-  },
-  coinNumber: {
-    fontSize: 72,
-    fontWeight: 'bold',
-    color: 'white',
-    textShadowColor: 'rgba(0,0,0,0.3)',
-    textShadowOffset: { width: 0, height: 3 },
-    textShadowRadius: 6,
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 20,
+    paddingHorizontal: 20,
   },
-  coinText: {
-    fontSize: 12,
-    fontWeight: '600',
-    color: '#FFE394',
-    letterSpacing: 1.5,
-    textShadowColor: 'rgba(0,0,0,0.2)',
-    textShadowOffset: { width: 0, height: 1 },
-    textShadowRadius: 2,
-  },
-  coinTextSmall: {
-    fontSize: 10,
+  resultText: {
+    fontSize: 22,
     fontWeight: '600',
-    color: '#FFE394',
-    letterSpacing: 1,
-    marginTop: 8,
-    textShadowColor: 'rgba(0,0,0,0.2)',
-    textShadowOffset: { width: 0, height: 1 },
-    textShadowRadius: 2,
+    color: '#111',
+    textAlign: 'center',
+    marginTop: 30,
+    paddingHorizontal: 20,
   },
-  buildingIcon: {
-    textShadowColor: 'rgba(0,0,0,0.3)',
-    textShadowOffset: { width: 1, height: 1 },
-    textShadowRadius: 2,
-    marginBottom: 4,
+  biasText: {
+    fontSize: 13,
+    color: '#8E8E93',
+    marginTop: 8,
   },
   bottomControls: {
     flexDirection: 'row',
-    justifyContent: 'center',
+    justifyContent: 'space-between',
     alignItems: 'center',
     paddingHorizontal: 20,
     paddingBottom: 2,
   },
+  historyButton: {
+    width: 50,
+    height: 50,
+    borderRadius: 25,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#E8F0FF',
+  },
+  spacer: {
+    width: 50,
+  },
   flipButton: {
     backgroundColor: '#1967FF',
     paddingHorizontal: 40,
@@ -505,9 +569,6 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
-  spacer: {
-    width: 50,
-  },
   modalContainer: {
     flex: 1,
     backgroundColor: '#F5F5F7',
@@ -551,21 +612,85 @@ const styles = StyleSheet.create({
     color: '#1A1A1A',
     marginBottom: 15,
   },
-  settingRow: {
+  settingDescription: {
+    fontSize: 13,
+    color: '#8E8E93',
+    marginTop: 12,
+    lineHeight: 18,
+  },
+  faceEditor: {
+    marginBottom: 16,
+  },
+  faceTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#8E8E93',
+    marginBottom: 8,
+  },
+  faceInputs: {
     flexDirection: 'row',
+    gap: 10,
+    marginBottom: 10,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1A1A1A',
+    backgroundColor: '#F9F9F9',
+  },
+  labelInput: {
+    flex: 1,
+  },
+  emojiInput: {
+    width: 60,
+    textAlign: 'center',
+  },
+  colorOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  colorSwatchActive: {
+    borderColor: '#1A1A1A',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
     justifyContent: 'space-between',
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#E8F0FF',
     alignItems: 'center',
+    justifyContent: 'center',
   },
-  settingLabel: {
-    fontSize: 16,
+  stepperButtonDisabled: {
+    opacity: 0.4,
+  },
+  stepperValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
     color: '#1A1A1A',
-    fontWeight: '500',
   },
-  durationOptions: {
+  choiceOptions: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     gap: 12,
   },
-  durationButton: {
+  choiceButton: {
     paddingHorizontal: 16,
     paddingVertical: 8,
     borderRadius: 16,
@@ -573,16 +698,16 @@ const styles = StyleSheet.create({
     borderColor: '#E5E5EA',
     backgroundColor: '#F9F9F9',
   },
-  durationButtonActive: {
+  choiceButtonActive: {
     backgroundColor: '#1967FF',
     borderColor: '#1967FF',
   },
-  durationButtonText: {
+  choiceButtonText: {
     fontSize: 14,
     color: '#8E8E93',
     fontWeight: '500',
   },
-  durationButtonTextActive: {
+  choiceButtonTextActive: {
     color: 'white',
   },
 });
\ No newline at end of file
@@ -0,0 +1,746 @@
+/**
+ * Dice Roller Screen
+ * Purpose: Roll tabletop dice from standard notation
+ * Features: 3d6+2 / d20 / 4d6 drop lowest, advantage and disadvantage, presets, roll history
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  Alert,
+  FlatList,
+  ScrollView,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../../contexts/AppContext';
+import RollingDie from '../../components/RollingDie';
+import {
+  ROLL_MODES,
+  QUICK_DICE,
+  parseDiceNotation,
+  formatDiceSpec,
+  rollDice,
+  getDiceRange,
+  describeRoll,
+} from '../../utils/dice';
+import { canReplay, describeRandomness, isStandardRandomness, replayRandom } from '../../utils/randomness';
+
+const ROLL_DURATION_MS = 700;
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const modeLabel = (mode) => (ROLL_MODES.find(item => item.key === mode) || ROLL_MODES[0]).label;
+
+export default function DiceRollerScreen() {
+  const {
+    settings,
+    dicePresets,
+    addDicePreset,
+    deleteDicePreset,
+    diceResults,
+    addDiceResult,
+    clearDiceResults,
+    takeRandomSource,
+  } = useApp();
+  const [notation, setNotation] = useState('d20');
+  const [mode, setMode] = useState('normal');
+  const [roll, setRoll] = useState(null); // { notation, sides, mode, sets, keptSet, total }
+  const [isRolling, setIsRolling] = useState(false);
+  const [showPresets, setShowPresets] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [presetName, setPresetName] = useState('');
+
+  const { spec, error } = parseDiceNotation(notation);
+
+  const rollCurrentDice = () => {
+    if (!spec || isRolling) return;
+
+    const { random, record } = takeRandomSource();
+    const result = rollDice(spec, mode, random);
+    const entry = {
+      id: Date.now().toString(),
+      notation: notation.trim(),
+      sides: spec.sides,
+      mode,
+      sets: result.sets,
+      keptSet: result.keptSet,
+      total: result.total,
+      timestamp: new Date().toISOString(),
+      randomness: record,
+    };
+
+    setRoll(entry);
+    setIsRolling(true);
+
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    }
+
+    setTimeout(() => {
+      setIsRolling(false);
+      addDiceResult(entry);
+
+      if (settings.hapticsEnabled) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      }
+    }, ROLL_DURATION_MS);
+  };
+
+  // Tapping the same die again adds another one: d6, 2d6, 3d6...
+  const addQuickDie = (sides) => {
+    if (spec && spec.sides === sides && !spec.drop && spec.modifier === 0) {
+      setNotation(formatDiceSpec({ ...spec, count: spec.count + 1 }));
+    } else {
+      setNotation(`1d${sides}`);
+    }
+  };
+
+  // Seeded rolls are rolled again from their seed and draw number and compared with the stored dice
+  const verifyRoll = (entry) => {
+    const random = replayRandom(entry.randomness);
+    const parsed = parseDiceNotation(entry.notation).spec;
+    if (!random || !parsed) return;
+
+    const replayed = rollDice(parsed, entry.mode || 'normal', random);
+    if (JSON.stringify(replayed.sets) === JSON.stringify(entry.sets) && replayed.total === entry.total) {
+      Alert.alert('Verified', `${describeRandomness(entry.randomness)} gives exactly this roll.`);
+    } else {
+      Alert.alert('Mismatch', `${describeRandomness(entry.randomness)} gives a different roll.`);
+    }
+  };
+
+  const applyPreset = (preset) => {
+    setNotation(preset.notation);
+    setMode(preset.mode || 'normal');
+    setShowPresets(false);
+  };
+
+  const savePreset = () => {
+    if (!spec) {
+      Alert.alert('Invalid Dice', error);
+      return;
+    }
+    const name = presetName.trim() || notation.trim();
+    if (dicePresets.some(preset => preset.name.toLowerCase() === name.toLowerCase())) {
+      Alert.alert('Duplicate Name', `You already have a preset called "${name}".`);
+      return;
+    }
+
+    addDicePreset({
+      id: Date.now().toString(),
+      name,
+      notation: notation.trim(),
+      mode,
+    });
+    setPresetName('');
+
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  const confirmDeletePreset = (preset) => {
+    Alert.alert(
+      'Delete Preset',
+      `Delete "${preset.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => deleteDicePreset(preset.id) },
+      ]
+    );
+  };
+
+  const confirmClearHistory = () => {
+    Alert.alert(
+      'Clear History',
+      `Delete all ${diceResults.length} recorded rolls?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: clearDiceResults },
+      ]
+    );
+  };
+
+  const renderSet = (set, index) => {
+    const isKept = index === roll.keptSet;
+    const dieSize = set.dice.length <= 6 ? 56 : 40;
+
+    return (
+      <View key={index} style={[styles.diceSet, roll.sets.length > 1 && !isKept && !isRolling && styles.diceSetDiscarded]}>
+        {roll.sets.length > 1 && (
+          <Text style={styles.setLabel}>
+            {isRolling ? `Roll ${index + 1}` : `Roll ${index + 1}: ${set.total}${isKept ? ' · kept' : ''}`}
+          </Text>
+        )}
+        <View style={styles.diceRow}>
+          {set.dice.map((die, dieIndex) => (
+            <RollingDie
+              key={dieIndex}
+              value={die.value}
+              sides={roll.sides}
+              dropped={die.dropped}
+              rolling={isRolling}
+              size={dieSize}
+            />
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  const renderRoll = () => {
+    if (!roll) {
+      return (
+        <View style={styles.emptyResultContainer}>
+          <FontAwesome5 name="dice-d20" size={60} color="#C7C7CC" />
+          <Text style={styles.emptyResultText}>Type dice like 3d6+2 or pick a die below, then tap "Roll"</Text>
+        </View>
+      );
+    }
+
+    return (
+      <ScrollView contentContainerStyle={styles.rollContainer} showsVerticalScrollIndicator={false}>
+        {roll.sets.map(renderSet)}
+        <Text style={styles.totalText}>{isRolling ? '…' : roll.total}</Text>
+        {!isRolling && (
+          <Text style={styles.breakdownText}>{describeRoll(roll, roll.notation)}</Text>
+        )}
+      </ScrollView>
+    );
+  };
+
+  const renderPresetsModal = () => (
+    <Modal
+      visible={showPresets}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setShowPresets(false)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <View style={styles.modalHeaderSpacer} />
+          <Text style={styles.modalTitle}>Presets</Text>
+          <TouchableOpacity onPress={() => setShowPresets(false)}>
+            <Text style={styles.modalDoneText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.saveSection}>
+          <Text style={styles.saveSectionTitle}>
+            Save current: {notation.trim() || '-'}{mode !== 'normal' ? ` · ${modeLabel(mode)}` : ''}
+          </Text>
+          <View style={styles.saveRow}>
+            <TextInput
+              style={styles.saveInput}
+              value={presetName}
+              onChangeText={setPresetName}
+              placeholder="Preset name"
+              maxLength={30}
+            />
+            <TouchableOpacity
+              style={[styles.saveButton, !spec && styles.saveButtonDisabled]}
+              onPress={savePreset}
+              disabled={!spec}
+            >
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        <FlatList
+          data={dicePresets}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.modalList}
+          ListEmptyComponent={<Text style={styles.modalEmptyText}>No presets yet</Text>}
+          renderItem={({ item }) => (
+            <TouchableOpacity style={styles.listRow} onPress={() => applyPreset(item)}>
+              <View style={styles.listRowText}>
+                <Text style={styles.listRowTitle}>{item.name}</Text>
+                <Text style={styles.listRowDetail}>
+                  {item.notation}{item.mode && item.mode !== 'normal' ? ` · ${modeLabel(item.mode)}` : ''}
+                </Text>
+              </View>
+              <TouchableOpacity style={styles.listRowAction} onPress={() => confirmDeletePreset(item)}>
+                <FontAwesome5 name="trash" size={16} color="#FF3B30" />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          )}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+
+  const renderHistoryModal = () => (
+    <Modal
+      visible={showHistory}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setShowHistory(false)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={confirmClearHistory} disabled={diceResults.length === 0}>
+            <Text style={[styles.modalClearText, diceResults.length === 0 && styles.modalClearTextDisabled]}>
+              Clear
+            </Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Roll History</Text>
+          <TouchableOpacity onPress={() => setShowHistory(false)}>
+            <Text style={styles.modalDoneText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <FlatList
+          data={diceResults}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.modalList}
+          ListEmptyComponent={<Text style={styles.modalEmptyText}>No rolls yet</Text>}
+          renderItem={({ item }) => (
+            <View style={styles.listRow}>
+              <View style={styles.listRowText}>
+                <Text style={styles.listRowTitle}>
+                  {item.notation}{item.mode && item.mode !== 'normal' ? ` · ${modeLabel(item.mode)}` : ''}
+                </Text>
+                <Text style={styles.listRowDetail} numberOfLines={2}>
+                  {describeRoll(item, item.notation)}
+                </Text>
+                <Text style={styles.listRowTime}>
+                  {formatTimestamp(item.timestamp)}
+                  {!isStandardRandomness(item.randomness) ? ` · ${describeRandomness(item.randomness)}` : ''}
+                </Text>
+              </View>
+              {canReplay(item.randomness) && (
+                <TouchableOpacity style={styles.listRowAction} onPress={() => verifyRoll(item)}>
+                  <FontAwesome5 name="check-circle" size={16} color="#34C759" />
+                </TouchableOpacity>
+              )}
+              <Text style={styles.historyTotal}>{item.total}</Text>
+            </View>
+          )}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+
+  const range = spec ? getDiceRange(spec) : null;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => setShowHistory(true)}
+        >
+          <FontAwesome5 name="history" size={20} color="#007AFF" />
+        </TouchableOpacity>
+
+        <View style={styles.notationDisplay}>
+          <Text style={styles.notationDisplayText}>
+            {spec ? formatDiceSpec(spec) : '-'}{mode !== 'normal' ? ` · ${modeLabel(mode)}` : ''}
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => setShowPresets(true)}
+        >
+          <FontAwesome5 name="bookmark" size={20} color="#007AFF" />
+        </TouchableOpacity>
+      </View>
+
+      {/* Dice area */}
+      <View style={styles.contentArea}>
+        {renderRoll()}
+      </View>
+
+      {/* Notation and options */}
+      <View style={styles.controls}>
+        <View style={styles.notationRow}>
+          <TextInput
+            style={[styles.notationInput, error && styles.notationInputError]}
+            value={notation}
+            onChangeText={setNotation}
+            placeholder="3d6+2"
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="done"
+            onSubmitEditing={rollCurrentDice}
+          />
+          {notation.length > 0 && (
+            <TouchableOpacity style={styles.clearButton} onPress={() => setNotation('')}>
+              <FontAwesome5 name="times-circle" size={18} color="#C7C7CC" />
+            </TouchableOpacity>
+          )}
+        </View>
+        <Text style={[styles.notationHint, error && styles.notationHintError]}>
+          {error || `Total ${range.min} to ${range.max}`}
+        </Text>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.quickDice}>
+          {QUICK_DICE.map(sides => (
+            <TouchableOpacity key={sides} style={styles.quickDie} onPress={() => addQuickDie(sides)}>
+              <Text style={styles.quickDieText}>d{sides}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        <View style={styles.modeSelector}>
+          {ROLL_MODES.map(item => (
+            <TouchableOpacity
+              key={item.key}
+              style={[styles.modeButton, mode === item.key && styles.modeButtonActive]}
+              onPress={() => setMode(item.key)}
+            >
+              <Text style={[styles.modeButtonText, mode === item.key && styles.modeButtonTextActive]}>
+                {item.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {/* Bottom controls */}
+      <View style={styles.bottomControls}>
+        <TouchableOpacity
+          style={[styles.rollButton, (isRolling || !spec) && styles.rollButtonDisabled]}
+          onPress={rollCurrentDice}
+          disabled={isRolling || !spec}
+        >
+          <Text style={styles.rollButtonText}>
+            {isRolling ? 'Rolling...' : 'Roll'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {renderPresetsModal()}
+      {renderHistoryModal()}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F7',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 20,
+  },
+  headerButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'white',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  notationDisplay: {
+    backgroundColor: 'white',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  notationDisplayText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  contentArea: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  emptyResultContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyResultText: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  rollContainer: {
+    flexGrow: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 20,
+  },
+  diceSet: {
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  diceSetDiscarded: {
+    opacity: 0.4,
+  },
+  setLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#8E8E93',
+    marginBottom: 8,
+  },
+  diceRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 10,
+  },
+  totalText: {
+    fontSize: 64,
+    fontWeight: 'bold',
+    color: '#007AFF',
+    marginTop: 8,
+  },
+  breakdownText: {
+    fontSize: 14,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  controls: {
+    paddingHorizontal: 20,
+  },
+  notationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+  },
+  notationInput: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  notationInputError: {
+    color: '#FF3B30',
+  },
+  clearButton: {
+    padding: 12,
+  },
+  notationHint: {
+    fontSize: 13,
+    color: '#8E8E93',
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  notationHintError: {
+    color: '#FF3B30',
+  },
+  quickDice: {
+    gap: 8,
+    paddingBottom: 12,
+  },
+  quickDie: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+  },
+  quickDieText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  modeSelector: {
+    flexDirection: 'row',
+    backgroundColor: '#E8F4FD',
+    borderRadius: 20,
+    padding: 4,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  modeButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  modeButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  modeButtonTextActive: {
+    color: 'white',
+  },
+  bottomControls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  rollButton: {
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 60,
+    paddingVertical: 16,
+    borderRadius: 25,
+    shadowColor: '#007AFF',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  rollButtonDisabled: {
+    backgroundColor: '#8E8E93',
+    shadowColor: '#8E8E93',
+  },
+  rollButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#F5F5F7',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  modalHeaderSpacer: {
+    width: 40,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1A1A1A',
+  },
+  modalDoneText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  modalClearText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  modalClearTextDisabled: {
+    color: '#C7C7CC',
+  },
+  modalList: {
+    padding: 20,
+  },
+  modalEmptyText: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  saveSection: {
+    backgroundColor: 'white',
+    margin: 20,
+    marginBottom: 0,
+    borderRadius: 12,
+    padding: 16,
+  },
+  saveSectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#8E8E93',
+    marginBottom: 10,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  saveInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+  },
+  saveButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 10,
+    paddingHorizontal: 18,
+    justifyContent: 'center',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#C7C7CC',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+  },
+  listRowText: {
+    flex: 1,
+  },
+  listRowTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  listRowDetail: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  listRowTime: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  listRowAction: {
+    padding: 8,
+  },
+  historyTotal: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#007AFF',
+    marginLeft: 10,
+  },
+});
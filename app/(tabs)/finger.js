@@ -0,0 +1,422 @@
+/**
+ * Finger Picker Screen
+ * Purpose: Multi-touch chooser - everyone puts a finger down, the app picks
+ * Extend: Add elimination rounds, custom countdown length, sounds
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Animated,
+  Easing,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../../contexts/AppContext';
+import { splitIntoGroups } from '../../utils/grouping';
+
+const MAX_FINGERS = 5;
+const SETTLE_DELAY_MS = 3000; // Fingers must stay put this long before picking
+const MOVE_TOLERANCE = 24; // Pixels a finger can drift before the countdown starts over
+const RING_SIZE = 96;
+const FINGER_COLORS = ['#FF3B30', '#007AFF', '#34C759', '#FF9500', '#AF52DE'];
+const TEAM_COLORS = ['#FF3B30', '#007AFF', '#34C759', '#FF9500'];
+const TEAM_COUNTS = [2, 3, 4];
+
+export default function FingerPickerScreen() {
+  const { settings, addFingerResult, takeRandomSource } = useApp();
+  const [mode, setMode] = useState('winner'); // 'winner' or 'teams'
+  const [teamCount, setTeamCount] = useState(2);
+  const [fingers, setFingers] = useState([]); // [{ id, x, y, colorIndex }]
+  const [result, setResult] = useState(null);
+  const fingersRef = useRef([]);
+  const resultRef = useRef(null);
+  const pickOptionsRef = useRef({ mode, teamCount });
+  const settleTimer = useRef(null);
+  const settleAnchors = useRef({}); // Finger positions when the countdown last started
+  const pulseAnim = useRef(new Animated.Value(1)).current;
+
+  pickOptionsRef.current = { mode, teamCount };
+
+  const minFingers = mode === 'teams' ? teamCount : 2;
+  const isWaiting = !result && fingers.length >= minFingers;
+
+  // Pulse the rings while waiting for the pick
+  useEffect(() => {
+    if (!isWaiting) {
+      pulseAnim.setValue(1);
+      return;
+    }
+
+    const loop = Animated.loop(
+      Animated.sequence([
+        Animated.timing(pulseAnim, {
+          toValue: 1.15,
+          duration: 400,
+          easing: Easing.inOut(Easing.quad),
+          useNativeDriver: true,
+        }),
+        Animated.timing(pulseAnim, {
+          toValue: 1,
+          duration: 400,
+          easing: Easing.inOut(Easing.quad),
+          useNativeDriver: true,
+        }),
+      ])
+    );
+    loop.start();
+    return () => loop.stop();
+  }, [isWaiting, pulseAnim]);
+
+  useEffect(() => {
+    return () => clearTimeout(settleTimer.current);
+  }, []);
+
+  const updateResult = (newResult) => {
+    resultRef.current = newResult;
+    setResult(newResult);
+  };
+
+  const pickFingers = () => {
+    const current = fingersRef.current;
+    const { mode: pickMode, teamCount: pickTeamCount } = pickOptionsRef.current;
+    const required = pickMode === 'teams' ? pickTeamCount : 2;
+    if (current.length < required) return;
+
+    const { random, record } = takeRandomSource();
+    let newResult;
+    if (pickMode === 'teams') {
+      const groups = splitIntoGroups(current, pickTeamCount, random);
+      const teamByFinger = {};
+      groups.forEach((group, teamIndex) => {
+        group.forEach(finger => {
+          teamByFinger[finger.id] = teamIndex;
+        });
+      });
+      newResult = { mode: 'teams', teamByFinger };
+
+      addFingerResult({
+        id: Date.now().toString(),
+        mode: 'teams',
+        participantCount: current.length,
+        participants: current.map(finger => finger.colorIndex + 1), // Touch order, for replaying seeded picks
+        teams: groups.map(group => group.map(finger => finger.colorIndex + 1)),
+        timestamp: new Date().toISOString(),
+        randomness: record,
+      });
+    } else {
+      const winner = current[Math.floor(random() * current.length)];
+      newResult = { mode: 'winner', winnerId: winner.id };
+
+      addFingerResult({
+        id: Date.now().toString(),
+        mode: 'winner',
+        participantCount: current.length,
+        participants: current.map(finger => finger.colorIndex + 1),
+        winner: winner.colorIndex + 1,
+        timestamp: new Date().toISOString(),
+        randomness: record,
+      });
+    }
+
+    updateResult(newResult);
+
+    if (settings.hapticsEnabled) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    }
+  };
+
+  // Restart the settle countdown whenever a finger is added, lifted or slides away
+  const restartSettleTimer = (current) => {
+    clearTimeout(settleTimer.current);
+    settleAnchors.current = Object.fromEntries(current.map(finger => [finger.id, { x: finger.x, y: finger.y }]));
+    const { mode: pickMode, teamCount: pickTeamCount } = pickOptionsRef.current;
+    const required = pickMode === 'teams' ? pickTeamCount : 2;
+    if (current.length >= required) {
+      settleTimer.current = setTimeout(pickFingers, SETTLE_DELAY_MS);
+    }
+  };
+
+  const hasMovedAway = current => current.some((finger) => {
+    const anchor = settleAnchors.current[finger.id];
+    return anchor && Math.hypot(finger.x - anchor.x, finger.y - anchor.y) > MOVE_TOLERANCE;
+  });
+
+  const handleTouches = (event) => {
+    const touches = event.nativeEvent.touches || [];
+    const previous = fingersRef.current;
+    const next = [];
+    let added = false;
+
+    touches.forEach((touch) => {
+      const id = String(touch.identifier);
+      const existing = previous.find(finger => finger.id === id);
+      if (existing) {
+        next.push({ ...existing, x: touch.locationX, y: touch.locationY });
+        return;
+      }
+
+      // New fingers only join while no result is showing
+      if (resultRef.current || next.length >= MAX_FINGERS) return;
+      const usedColors = new Set([...previous, ...next].map(finger => finger.colorIndex));
+      const colorIndex = FINGER_COLORS.findIndex((_, index) => !usedColors.has(index));
+      if (colorIndex === -1) return;
+
+      next.push({ id, x: touch.locationX, y: touch.locationY, colorIndex });
+      added = true;
+    });
+
+    const membershipChanged = added || next.length !== previous.length;
+    fingersRef.current = next;
+    setFingers(next);
+
+    if (!membershipChanged) {
+      if (!resultRef.current && hasMovedAway(next)) restartSettleTimer(next);
+      return;
+    }
+
+    if (added && settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+
+    if (next.length === 0) {
+      clearTimeout(settleTimer.current);
+      updateResult(null);
+    } else if (!resultRef.current) {
+      restartSettleTimer(next);
+    }
+  };
+
+  const changeMode = (newMode) => {
+    if (fingers.length > 0) return;
+    setMode(newMode);
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  const getRingColor = (finger) => {
+    if (result && result.mode === 'teams') {
+      return TEAM_COLORS[result.teamByFinger[finger.id]] || FINGER_COLORS[finger.colorIndex];
+    }
+    return FINGER_COLORS[finger.colorIndex];
+  };
+
+  const getInstruction = () => {
+    if (result) {
+      return result.mode === 'teams' ? 'Teams are set! Lift all fingers to play again' : 'Winner picked! Lift all fingers to play again';
+    }
+    if (fingers.length === 0) {
+      return mode === 'teams'
+        ? `Place at least ${teamCount} fingers on the screen`
+        : `Place 2-${MAX_FINGERS} fingers on the screen`;
+    }
+    if (fingers.length < minFingers) return 'Waiting for more fingers...';
+    return 'Hold still...';
+  };
+
+  const renderRing = (finger) => {
+    const color = getRingColor(finger);
+    const isWinner = result?.mode === 'winner' && result.winnerId === finger.id;
+    const isLoser = result?.mode === 'winner' && !isWinner;
+    const teamIndex = result?.mode === 'teams' ? result.teamByFinger[finger.id] : null;
+
+    return (
+      <Animated.View
+        key={finger.id}
+        pointerEvents="none"
+        style={[
+          styles.ring,
+          {
+            left: finger.x - RING_SIZE / 2,
+            top: finger.y - RING_SIZE / 2,
+            borderColor: color,
+            opacity: isLoser ? 0.25 : 1,
+            transform: [{ scale: isWinner ? 1.4 : pulseAnim }],
+          },
+        ]}
+      >
+        <View style={[styles.ringDot, { backgroundColor: color }]} />
+        {teamIndex !== null && (
+          <Text style={[styles.ringLabel, { color }]}>Team {teamIndex + 1}</Text>
+        )}
+      </Animated.View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.title}>Finger Pick</Text>
+        <View style={styles.modeSelector}>
+          {['winner', 'teams'].map((item) => (
+            <TouchableOpacity
+              key={item}
+              style={[styles.modeButton, mode === item && styles.modeButtonActive]}
+              onPress={() => changeMode(item)}
+            >
+              <Text style={[styles.modeButtonText, mode === item && styles.modeButtonTextActive]}>
+                {item === 'winner' ? 'Winner' : 'Teams'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {mode === 'teams' && (
+          <View style={styles.teamCountRow}>
+            {TEAM_COUNTS.map((count) => (
+              <TouchableOpacity
+                key={count}
+                style={[styles.teamCountButton, teamCount === count && styles.teamCountButtonActive]}
+                onPress={() => fingers.length === 0 && setTeamCount(count)}
+              >
+                <Text style={[styles.teamCountText, teamCount === count && styles.teamCountTextActive]}>
+                  {count} teams
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
+
+      {/* Touch area */}
+      <View
+        style={styles.touchArea}
+        onTouchStart={handleTouches}
+        onTouchMove={handleTouches}
+        onTouchEnd={handleTouches}
+        onTouchCancel={handleTouches}
+      >
+        {fingers.length === 0 && (
+          <View style={styles.emptyState} pointerEvents="none">
+            <FontAwesome5 name="hand-pointer" size={60} color="#C7C7CC" />
+          </View>
+        )}
+        <View style={styles.instructionContainer} pointerEvents="none">
+          <Text style={styles.instruction}>{getInstruction()}</Text>
+        </View>
+        {fingers.map(renderRing)}
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F7',
+  },
+  header: {
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    paddingBottom: 15,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#1A1A1A',
+    marginBottom: 15,
+  },
+  modeSelector: {
+    flexDirection: 'row',
+    backgroundColor: '#E8F4FD',
+    borderRadius: 20,
+    padding: 4,
+  },
+  modeButton: {
+    paddingHorizontal: 24,
+    paddingVertical: 8,
+    borderRadius: 16,
+  },
+  modeButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  modeButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  modeButtonTextActive: {
+    color: 'white',
+  },
+  teamCountRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  teamCountButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  teamCountButtonActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  teamCountText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  teamCountTextActive: {
+    color: 'white',
+  },
+  touchArea: {
+    flex: 1,
+    margin: 20,
+    borderRadius: 24,
+    backgroundColor: 'white',
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  emptyState: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  instructionContainer: {
+    position: 'absolute',
+    bottom: 24,
+    left: 20,
+    right: 20,
+  },
+  instruction: {
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#666',
+  },
+  ring: {
+    position: 'absolute',
+    width: RING_SIZE,
+    height: RING_SIZE,
+    borderRadius: RING_SIZE / 2,
+    borderWidth: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  ringDot: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+  },
+  ringLabel: {
+    position: 'absolute',
+    top: RING_SIZE,
+    width: 80,
+    textAlign: 'center',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+});
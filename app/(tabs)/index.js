@@ -1,7 +1,8 @@
 /**
  * Main Spin Wheel Screen
  * Purpose: Primary wheel spinning interface with default wheel
- * Extend: Add quick actions, recent wheels, spin history
+ * Features: Favorites strip for switching wheels
+ * Extend: Add quick actions, recent wheels
  */
 
 import React, { useState, useRef, useEffect } from 'react';
@@ -11,39 +12,59 @@ import {
   StyleSheet,
   TouchableOpacity,
   Dimensions,
-  Animated,
-  Easing,
+  Alert,
+  ActionSheetIOS,
+  Platform,
+  ScrollView,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { FontAwesome5 } from '@expo/vector-icons';
-import Svg, { G, Path, Text as SvgText, Circle, Polygon } from 'react-native-svg';
-import * as Haptics from 'expo-haptics';
 import { useApp } from '../../contexts/AppContext';
 import EditWheelBottomSheet from '../../components/EditWheelBottomSheet';
-
-// Utility to map angle → option index
-// finalDeg: wheel's final rotation in degrees (clockwise positive)
-// n: number of options
-// baseOffsetDeg: center of option[0] relative to 12 o'clock, clockwise (+)
-function pickIndex(finalDeg, n, baseOffsetDeg = 0) {
-  const pointerBiasDeg = -15; // Adjust to fix right-side bias
-  const seg = 360 / n;
-  const norm = ((finalDeg % 360) + 360) % 360; // 0..360
-  const a = (baseOffsetDeg + pointerBiasDeg + seg / 2 - norm + 360) % 360;
-  return Math.floor(a / seg); // 0..n-1
-}
+import DecisionWheel from '../../components/DecisionWheel';
+import EliminationPanel from '../../components/EliminationPanel';
+import CooldownSettingsSheet from '../../components/CooldownSettingsSheet';
+import CoolingNotice from '../../components/CoolingNotice';
+import MultiDrawSheet from '../../components/MultiDrawSheet';
+import ActionMenu from '../../components/ActionMenu';
+import { createSpinResult, createDrawResult } from '../../utils/wheelEngine';
+import {
+  getElimination,
+  isEliminationComplete,
+  eliminateOption,
+  restoreEliminated,
+  setEliminationEnabled,
+} from '../../utils/elimination';
+import { getCooldown, getCoolingOptions } from '../../utils/cooldown';
+import { getFavoriteWheels } from '../../utils/wheels';
+import { canReplay } from '../../utils/randomness';
 
 const { width } = Dimensions.get('window');
 const WHEEL_SIZE = width * 0.95;
 
 export default function MainSpinWheelScreen() {
-  const { settings, addSpinResult, getCurrentWheel } = useApp();
+  const {
+    settings,
+    wheels,
+    addSpinResult,
+    getCurrentWheel,
+    setCurrentWheel: selectWheel,
+    updateWheel,
+    getSpinResultsForWheel,
+    takeRandomSource,
+  } = useApp();
   const [currentWheel, setCurrentWheel] = useState(null);
   const [isSpinning, setIsSpinning] = useState(false);
   const [currentResult, setCurrentResult] = useState('???');
-  const rotationAnim = useRef(new Animated.Value(0)).current;
+  const wheelRef = useRef(null);
+  const randomnessRef = useRef(null); // How the winners of the current spin were drawn
+  const drawRef = useRef(null); // What the current seeded spin drew from
   const [showEditSheet, setShowEditSheet] = useState(false);
+  const [showCooldownSheet, setShowCooldownSheet] = useState(false);
+  const [showDrawSheet, setShowDrawSheet] = useState(false);
+  const [drawnIds, setDrawnIds] = useState([]); // Winners of the draw in progress, faded on the wheel
+  const [menuActions, setMenuActions] = useState(null); // Wheel options menu on Android
 
   // Load current wheel
   useEffect(() => {
@@ -53,78 +74,130 @@ export default function MainSpinWheelScreen() {
     }
   }, [getCurrentWheel]);
 
-  // Update result based on current wheel rotation
-  useEffect(() => {
-    if (!currentWheel || isSpinning) return;
-    
-    const enabledOptions = currentWheel.options.filter(opt => opt.enabled);
-    if (enabledOptions.length === 0) return;
-
-    const listener = rotationAnim.addListener(({ value }) => {
-      const normalizedRotation = ((value % 360) + 360) % 360;
-      const degreesPerOption = 360 / enabledOptions.length;
-      const pointerAngle = (90 - normalizedRotation + 360) % 360;
-      const selectedIndex = Math.floor(pointerAngle / degreesPerOption);
-      const selectedOption = enabledOptions[selectedIndex];
-      
-      // Visual feedback only - result is set by spinWheel function
-    });
-
-    return () => rotationAnim.removeListener(listener);
-  }, [currentWheel, isSpinning, rotationAnim]);
-
-  const spinWheel = () => {
-    if (!currentWheel || isSpinning) return;
-
-    const enabledOptions = currentWheel.options.filter(opt => opt.enabled);
-    if (enabledOptions.length === 0) return;
+  // The wheel asks for a random function once per spin or draw; its record goes into the history
+  // Seeded spins also keep what they drew from, so they can be replayed after the wheel changes
+  const getRandom = (draw) => {
+    const source = takeRandomSource();
+    randomnessRef.current = source.record;
+    drawRef.current = canReplay(source.record) ? draw : null;
+    return source.random;
+  };
 
+  const handleSpinStart = () => {
     setIsSpinning(true);
     setCurrentResult('???');
+  };
+
+  const handleSpinEnd = (selectedOption) => {
+    setCurrentResult(selectedOption.label);
+    setIsSpinning(false);
 
-    // Calculate final rotation
-    const fullRotations = 5 + Math.random() * 3;
-    const randomStopAngle = Math.random() * 360;
-    const currentRotation = rotationAnim._value % 360;
-    const finalRotation = currentRotation + fullRotations * 360 + randomStopAngle;
+    // Record spin result
+    addSpinResult(createSpinResult(currentWheel.id, selectedOption, randomnessRef.current, drawRef.current));
 
-    if (settings.hapticsEnabled) {
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    // In elimination mode the winner sits out the following spins
+    if (getElimination(currentWheel).enabled) {
+      saveWheel(eliminateOption(currentWheel, selectedOption.id));
     }
+  };
 
-    // Function to handle spin end
-    const onSpinEnd = (finalDeg) => {
-      const idx = pickIndex(finalDeg, enabledOptions.length, 0);
-      const selectedOption = enabledOptions[idx];
-      
-      setCurrentResult(selectedOption.label);
-      setIsSpinning(false);
-      
-      // Record spin result
-      addSpinResult({
-        id: Date.now().toString(),
-        wheelId: currentWheel.id,
-        winnerOptionId: selectedOption.id,
-        timestamp: new Date().toISOString(),
-      });
-
-      if (settings.hapticsEnabled) {
-        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-      }
-    };
+  // A committed fair draw has to be spun from the wheel's own screen, where its
+  // winner comes from the commitment and a receipt is made; a plain spin here would skip both
+  const handleFairDrawPending = () => {
+    Alert.alert(
+      'Fair Draw Pending',
+      'This wheel has a committed fair draw. Spin it from the fair draw so the result can be verified.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Open Fair Draw', onPress: () => router.push(`/details/${currentWheel.id}`) },
+      ]
+    );
+  };
 
-    Animated.timing(rotationAnim, {
-      toValue: finalRotation,
-      duration: settings.defaultSpinDuration * 1000,
-      easing: Easing.out(Easing.cubic),
-      useNativeDriver: true,
-    }).start(() => {
-      onSpinEnd(finalRotation);
+  // Spin once per winner and record the whole draw as one history entry
+  const drawWinners = async ({ count, replacement }) => {
+    setShowDrawSheet(false);
+
+    const drawn = [];
+    const winners = await wheelRef.current?.spinMany(count, {
+      replacement,
+      onStep: (option) => {
+        drawn.push(option);
+        setCurrentResult(drawn.map(winner => winner.label).join(', '));
+        if (!replacement) setDrawnIds(drawn.map(winner => winner.id));
+      },
     });
+    setDrawnIds([]);
+    if (!winners) return;
+    setIsSpinning(false);
+
+    addSpinResult(createDrawResult(currentWheel.id, winners, replacement, randomnessRef.current, drawRef.current));
+
+    // In elimination mode every winner sits out the following spins
+    if (getElimination(currentWheel).enabled) {
+      saveWheel(winners.reduce((current, option) => eliminateOption(current, option.id), currentWheel));
+    }
+  };
+
+  const saveWheel = (updatedWheel) => {
+    const savedWheel = { ...updatedWheel, updatedAt: new Date().toISOString() };
+    updateWheel(savedWheel);
+    setCurrentWheel(savedWheel);
+  };
+
+  const saveCooldown = (cooldown) => {
+    saveWheel({ ...currentWheel, cooldown });
+    setShowCooldownSheet(false);
+  };
+
+  const toggleElimination = () => {
+    const { enabled, order } = getElimination(currentWheel);
+    if (enabled && order.length > 0) {
+      Alert.alert(
+        'Turn Off Elimination',
+        'Eliminated options will be put back on the wheel.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Turn Off', onPress: () => saveWheel(setEliminationEnabled(currentWheel, false)) },
+        ]
+      );
+      return;
+    }
+    saveWheel(setEliminationEnabled(currentWheel, !enabled));
+  };
+
+  const handleMoreActions = () => {
+    if (isSpinning) return;
+
+    const eliminationLabel = getElimination(currentWheel).enabled
+      ? 'Turn Off Elimination Mode'
+      : 'Turn On Elimination Mode';
+    const actions = [
+      { text: eliminationLabel, onPress: toggleElimination },
+      ...(currentWheel.fairDraw ? [] : [{ text: 'Draw Multiple Winners', onPress: () => setShowDrawSheet(true) }]),
+      { text: 'No-Repeat Cooldown', onPress: () => setShowCooldownSheet(true) },
+      { text: 'Split into Groups', onPress: () => router.push(`/groups/${currentWheel.id}`) },
+      { text: 'Spin History', onPress: navigateToHistory },
+    ];
+
+    if (Platform.OS === 'ios') {
+      ActionSheetIOS.showActionSheetWithOptions(
+        {
+          options: [...actions.map(action => action.text), 'Cancel'],
+          cancelButtonIndex: actions.length,
+        },
+        (buttonIndex) => {
+          if (buttonIndex < actions.length) actions[buttonIndex].onPress();
+        }
+      );
+    } else {
+      setMenuActions(actions);
+    }
   };
 
   const resetWheel = () => {
-    rotationAnim.setValue(0);
+    if (isSpinning) return;
+    wheelRef.current?.reset();
     setCurrentResult('???');
   };
 
@@ -151,6 +224,10 @@ export default function MainSpinWheelScreen() {
     router.push('/my-wheels');
   };
 
+  const navigateToHistory = () => {
+    router.push(`/history/${currentWheel.id}`);
+  };
+
   const handleEdit = () => {
     setShowEditSheet(true);
   };
@@ -159,48 +236,45 @@ export default function MainSpinWheelScreen() {
     setCurrentWheel(updatedWheel);
   };
 
-  const createWheelPath = (options) => {
-    if (options.length === 0) return [];
-
-    const centerX = WHEEL_SIZE / 2;
-    const centerY = WHEEL_SIZE / 2;
-    const radius = WHEEL_SIZE / 2 - 10;
-    const degreesPerSlice = 360 / options.length;
-
-    return options.map((option, index) => {
-      const startAngle = (index * degreesPerSlice - 90) * (Math.PI / 180);
-      const endAngle = ((index + 1) * degreesPerSlice - 90) * (Math.PI / 180);
-
-      const x1 = centerX + radius * Math.cos(startAngle);
-      const y1 = centerY + radius * Math.sin(startAngle);
-      const x2 = centerX + radius * Math.cos(endAngle);
-      const y2 = centerY + radius * Math.sin(endAngle);
-
-      const largeArcFlag = degreesPerSlice > 180 ? 1 : 0;
-
-      const pathData = [
-        `M ${centerX} ${centerY}`,
-        `L ${x1} ${y1}`,
-        `A ${radius} ${radius} 0 ${largeArcFlag} 1 ${x2} ${y2}`,
-        'Z'
-      ].join(' ');
-
-      // Calculate text position
-      const textAngle = (index + 0.5) * degreesPerSlice - 90;
-      const textRadius = radius * 0.65;
-      const textX = centerX + textRadius * Math.cos(textAngle * (Math.PI / 180));
-      const textY = centerY + textRadius * Math.sin(textAngle * (Math.PI / 180));
-
-      return {
-        path: pathData,
-        color: option.color,
-        label: option.label,
-        textX,
-        textY,
-        textAngle,
-        opacity: option.enabled ? 1 : 0.4,
-      };
-    });
+  const switchWheel = (wheel) => {
+    if (isSpinning || wheel.id === currentWheel.id) return;
+    selectWheel(wheel.id);
+    wheelRef.current?.reset();
+    setCurrentResult('???');
+  };
+
+  const renderFavoritesStrip = () => {
+    const favorites = getFavoriteWheels(wheels);
+    if (favorites.length === 0) return null;
+
+    return (
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.favoritesStrip}
+        contentContainerStyle={styles.favoritesStripContent}
+      >
+        {favorites.map((wheel) => {
+          const isCurrent = wheel.id === currentWheel.id;
+          return (
+            <TouchableOpacity
+              key={wheel.id}
+              style={[styles.favoriteChip, isCurrent && styles.favoriteChipActive]}
+              onPress={() => switchWheel(wheel)}
+              disabled={isSpinning}
+            >
+              <Text style={styles.favoriteChipEmoji}>{wheel.emoji || '🎯'}</Text>
+              <Text
+                style={[styles.favoriteChipText, isCurrent && styles.favoriteChipTextActive]}
+                numberOfLines={1}
+              >
+                {wheel.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    );
   };
 
   if (!currentWheel) {
@@ -212,18 +286,22 @@ export default function MainSpinWheelScreen() {
   }
 
   const enabledOptions = currentWheel.options.filter(opt => opt.enabled);
-  const wheelPaths = createWheelPath(enabledOptions);
+  const cooling = getCoolingOptions(currentWheel, getSpinResultsForWheel(currentWheel.id));
 
   return (
     <SafeAreaView style={styles.container}>
       {/* Header */}
       <View style={styles.header}>
-        <View style={styles.headerSpacer} />
+        <TouchableOpacity style={styles.headerButton} onPress={navigateToHistory}>
+          <FontAwesome5 name="history" size={20} color="#007AFF" />
+        </TouchableOpacity>
         <TouchableOpacity style={styles.headerButton} onPress={navigateToMyWheels}>
           <FontAwesome5 name="bars" size={20} color="#007AFF" />
         </TouchableOpacity>
       </View>
 
+      {renderFavoritesStrip()}
+
       {/* Wheel title - clickable */}
       <View style={styles.titleContainer}>
         <TouchableOpacity style={styles.titleButton} onPress={navigateToMyWheels}>
@@ -237,82 +315,34 @@ export default function MainSpinWheelScreen() {
       </View>
 
       {/* Wheel with pointer */}
-      <View style={styles.wheelContainer}>
-        {/* Fixed pointer above wheel */}
-        <View style={styles.pointerContainer}>
-          <View style={styles.pointer} />
-        </View>
-        
-        <View style={styles.wheelShadow}>
-          <Animated.View
-            style={[
-              styles.wheel,
-              {
-                transform: [{
-                  rotate: rotationAnim.interpolate({
-                    inputRange: [0, 360],
-                    outputRange: ['0deg', '360deg'],
-                  })
-                }]
-              }
-            ]}
-          >
-            <Svg width={WHEEL_SIZE} height={WHEEL_SIZE}>
-              <G>
-                {wheelPaths.map((slice, index) => (
-                  <G key={index}>
-                    <Path
-                      d={slice.path}
-                      fill={slice.color}
-                      stroke="white"
-                      strokeWidth={2}
-                      opacity={slice.opacity}
-                    />
-                    <SvgText
-                      x={slice.textX}
-                      y={slice.textY}
-                      fill="white"
-                      fontSize={13}
-                      fontWeight="600"
-                      textAnchor="middle"
-                      alignmentBaseline="middle"
-                      transform={`rotate(${slice.textAngle}, ${slice.textX}, ${slice.textY})`}
-                    >
-                      {slice.label.length > 12 ? slice.label.slice(0, 12) + '...' : slice.label}
-                    </SvgText>
-                  </G>
-                ))}
-                {/* Center hub */}
-                <Circle
-                  cx={WHEEL_SIZE / 2}
-                  cy={WHEEL_SIZE / 2}
-                  r={35}
-                  fill="white"
-                  stroke="#E0E0E0"
-                  strokeWidth={2}
-                />
-                <Circle
-                  cx={WHEEL_SIZE / 2}
-                  cy={WHEEL_SIZE / 2}
-                  r={20}
-                  fill="#F0F0F0"
-                />
-              </G>
-            </Svg>
-            {/* Clickable center button */}
-            <TouchableOpacity
-              style={styles.centerButton}
-              onPress={spinWheel}
-              disabled={isSpinning}
-              activeOpacity={0.7}
-            />
-          </Animated.View>
-        </View>
-      </View>
+      <DecisionWheel
+        ref={wheelRef}
+        options={enabledOptions}
+        size={WHEEL_SIZE}
+        spinDuration={settings.defaultSpinDuration}
+        hapticsEnabled={settings.hapticsEnabled}
+        disabled={isEliminationComplete(currentWheel)}
+        blockedOptionIds={[...cooling.map(entry => entry.optionId), ...drawnIds]}
+        onSpinStart={handleSpinStart}
+        onSpinEnd={handleSpinEnd}
+        onCenterPress={currentWheel.fairDraw ? handleFairDrawPending : undefined}
+        getRandom={getRandom}
+        style={styles.wheelContainer}
+      />
+
+      {getCooldown(currentWheel).enabled && <CoolingNotice cooling={cooling} />}
+
+      {getElimination(currentWheel).enabled && (
+        <EliminationPanel
+          wheel={currentWheel}
+          hapticsEnabled={settings.hapticsEnabled}
+          onRestore={() => saveWheel(restoreEliminated(currentWheel))}
+        />
+      )}
 
       {/* Bottom controls */}
       <View style={styles.bottomControls}>
-        <TouchableOpacity style={styles.controlButton}>
+        <TouchableOpacity style={styles.controlButton} onPress={handleMoreActions}>
           <FontAwesome5 name="ellipsis-h" size={20} color="#007AFF" />
         </TouchableOpacity>
 
@@ -332,6 +362,28 @@ export default function MainSpinWheelScreen() {
         wheelId={currentWheel?.id}
         onSave={handleEditSave}
       />
+
+      <CooldownSettingsSheet
+        visible={showCooldownSheet}
+        wheel={currentWheel}
+        onClose={() => setShowCooldownSheet(false)}
+        onSave={saveCooldown}
+      />
+
+      <MultiDrawSheet
+        visible={showDrawSheet}
+        availableCount={enabledOptions.length - cooling.length}
+        allowReplacement={!getElimination(currentWheel).enabled}
+        onClose={() => setShowDrawSheet(false)}
+        onDraw={drawWinners}
+      />
+
+      <ActionMenu
+        visible={menuActions !== null}
+        title="Wheel Options"
+        actions={menuActions || []}
+        onClose={() => setMenuActions(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -362,9 +414,41 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
-  headerSpacer: {
-    width: 44,
-    height: 44,
+  favoritesStrip: {
+    flexGrow: 0,
+    marginBottom: 16,
+  },
+  favoritesStripContent: {
+    paddingHorizontal: 20,
+    gap: 8,
+  },
+  favoriteChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    maxWidth: 160,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+  },
+  favoriteChipActive: {
+    backgroundColor: '#E8F4FD',
+    borderColor: '#007AFF',
+  },
+  favoriteChipEmoji: {
+    fontSize: 14,
+  },
+  favoriteChipText: {
+    flexShrink: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+  },
+  favoriteChipTextActive: {
+    color: '#007AFF',
   },
   titleContainer: {
     alignItems: 'center',
@@ -391,54 +475,7 @@ const styles = StyleSheet.create({
     color: '#1A1A1A',
   },
   wheelContainer: {
-    alignItems: 'center',
-    justifyContent: 'center',
     marginBottom: 15,
-    position: 'relative',
-  },
-  wheelShadow: {
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 8 },
-    shadowOpacity: 0.15,
-    shadowRadius: 16,
-    elevation: 8,
-    borderRadius: WHEEL_SIZE / 2,
-    backgroundColor: 'transparent',
-  },
-  wheel: {
-    borderRadius: WHEEL_SIZE / 2,
-    overflow: 'hidden',
-    position: 'relative',
-  },
-  centerButton: {
-    position: 'absolute',
-    top: WHEEL_SIZE / 2 - 35,
-    left: WHEEL_SIZE / 2 - 35,
-    width: 70,
-    height: 70,
-    borderRadius: 35,
-    backgroundColor: 'transparent',
-    zIndex: 10,
-  },
-  pointerContainer: {
-    position: 'absolute',
-    top: WHEEL_SIZE / 2 - 52,
-    left: WHEEL_SIZE / 2,
-    width: 20,
-    height: 20,
-    alignItems: 'center',
-    justifyContent: 'center',
-    zIndex: 15,
-  },
-  pointer: {
-    width: 0,
-    height: 0,
-    borderLeftWidth: 10,
-    borderRightWidth: 10,
-    borderBottomWidth: 20,
-    borderLeftColor: 'transparent',
-    borderRightColor: 'transparent',
-    borderBottomColor: 'white',
   },
   bottomControls: {
     flexDirection: 'row',
@@ -13,58 +13,238 @@ import {
   Switch,
   Alert,
   ScrollView,
+  Modal,
+  ActionSheetIOS,
+  Platform,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import { FontAwesome5 } from '@expo/vector-icons';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import { File } from 'expo-file-system';
 import { useApp } from '../../contexts/AppContext';
+import RandomnessSettingsSheet from '../../components/RandomnessSettingsSheet';
+import { RANDOM_SOURCES, DEFAULT_RANDOMNESS } from '../../utils/randomness';
+import {
+  createBackup,
+  writeBackupFile,
+  parseBackup,
+  summarizeImport,
+} from '../../utils/backup';
+
+const RESET_SCOPES = [
+  {
+    key: 'wheels',
+    label: 'Wheels Only',
+    description: 'This will delete your wheels and restore the preset wheels.',
+  },
+  {
+    key: 'statistics',
+    label: 'Statistics Only',
+    description: 'This will clear coin flip counts and flip, number, dice, spin and finger picker history.',
+  },
+  {
+    key: 'everything',
+    label: 'Everything',
+    description: 'This will delete all your wheels, settings, and statistics and restore the defaults.',
+  },
+];
+
+const IMPORT_MODES = [
+  { key: 'merge', label: 'Merge' },
+  { key: 'replace', label: 'Replace' },
+  { key: 'skip', label: 'Skip' },
+];
+
+const IMPORT_MODE_DESCRIPTIONS = {
+  wheels: {
+    merge: 'Keep your wheels and add new ones. When both have the same wheel, the most recently edited copy wins.',
+    replace: 'Delete your current wheels and use the ones from the backup.',
+    skip: 'Leave your wheels unchanged.',
+  },
+  settings: {
+    merge: 'Apply the backup values on top of your current preferences.',
+    replace: 'Reset preferences to defaults, then apply the backup values.',
+    skip: 'Leave your preferences unchanged.',
+  },
+  statistics: {
+    merge: 'Add coin flips and history from the backup to your own.',
+    replace: 'Replace your coin statistics and history with the backup.',
+    skip: 'Leave your statistics unchanged.',
+  },
+};
 
 export default function ProfileScreen() {
-  const { settings, updateSettings, wheels } = useApp();
+  const {
+    settings,
+    updateSettings,
+    wheels,
+    rngConfig,
+    rngPresets,
+    coinConfig,
+    coinFlips,
+    dicePresets,
+    exportData,
+    importData,
+    resetApp,
+    restoreResetSnapshot,
+    resetSnapshot,
+  } = useApp();
   const [showDefaultWheelPicker, setShowDefaultWheelPicker] = useState(false);
+  const [showRandomnessSheet, setShowRandomnessSheet] = useState(false);
+  const [importPreview, setImportPreview] = useState(null); // { data, summary, fileName }
+  const [importChoices, setImportChoices] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+
+  const exportBackup = async () => {
+    try {
+      const backup = await createBackup(exportData());
+      const fileUri = writeBackupFile(backup);
+
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert('Backup Saved', `Your backup was saved to:\n${fileUri}`);
+        return;
+      }
+
+      await Sharing.shareAsync(fileUri, {
+        mimeType: 'application/json',
+        UTI: 'public.json',
+        dialogTitle: 'Export MiniDecider Data',
+      });
+    } catch (error) {
+      console.error('Failed to export data:', error);
+      Alert.alert('Error', 'Failed to export data.');
+    }
+  };
 
   const handleExportData = () => {
     Alert.alert(
       'Export Data',
-      'This feature will export all your wheels and settings to a JSON file.',
+      'This will save all your wheels, settings, and statistics to a JSON backup file.',
       [
         { text: 'Cancel', style: 'cancel' },
-        { text: 'Export', onPress: () => {
-          // TODO: Implement data export
-          Alert.alert('Coming Soon', 'Data export functionality will be available in a future update.');
-        }},
+        { text: 'Export', onPress: exportBackup },
       ]
     );
   };
 
-  const handleImportData = () => {
+  const handleImportData = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const asset = result.assets[0];
+      const text = await new File(asset.uri).text();
+      const { data, errors } = await parseBackup(text);
+
+      if (!data) {
+        const shownErrors = errors.slice(0, 5).join('\n');
+        const moreErrors = errors.length > 5 ? `\n...and ${errors.length - 5} more` : '';
+        Alert.alert('Invalid Backup', `This file can't be imported:\n${shownErrors}${moreErrors}`);
+        return;
+      }
+
+      const summary = summarizeImport(data, { wheels, settings, rngConfig, rngPresets, coinConfig, coinFlips, dicePresets });
+      setImportChoices({
+        wheels: data.wheels ? 'merge' : 'skip',
+        settings: summary.hasSettings ? 'merge' : 'skip',
+        statistics: summary.hasStatistics ? 'merge' : 'skip',
+      });
+      setImportPreview({ data, summary, fileName: asset.name });
+    } catch (error) {
+      console.error('Failed to read import file:', error);
+      Alert.alert('Error', 'Failed to read the selected file.');
+    }
+  };
+
+  const confirmImport = async () => {
+    setIsImporting(true);
+    const success = await importData(importPreview.data, importChoices);
+    setIsImporting(false);
+    setImportPreview(null);
+
+    if (success) {
+      Alert.alert('Import Complete', 'Your data has been imported.');
+    } else {
+      Alert.alert('Import Failed', 'Your existing data was not changed.');
+    }
+  };
+
+  const handleRestoreSnapshot = async (snapshot) => {
+    const success = await restoreResetSnapshot(snapshot);
+    if (success) {
+      Alert.alert('Data Restored', 'Your data from before the reset is back.');
+    } else {
+      Alert.alert('Error', 'Failed to restore your data.');
+    }
+  };
+
+  const confirmReset = (scope) => {
     Alert.alert(
-      'Import Data',
-      'This feature will allow you to import wheels and settings from a JSON file.',
+      `Reset ${scope.label}`,
+      `${scope.description} A backup is kept until you close the app, so you can undo this from Settings.`,
       [
         { text: 'Cancel', style: 'cancel' },
-        { text: 'Import', onPress: () => {
-          // TODO: Implement data import
-          Alert.alert('Coming Soon', 'Data import functionality will be available in a future update.');
+        { text: 'Reset', style: 'destructive', onPress: async () => {
+          const snapshot = await resetApp(scope.key);
+          if (!snapshot) {
+            Alert.alert('Error', 'Failed to reset app data. Nothing was changed.');
+            return;
+          }
+          Alert.alert('Reset Complete', 'Your data has been reset.', [
+            { text: 'Undo', onPress: () => handleRestoreSnapshot(snapshot) },
+            { text: 'OK', style: 'cancel' },
+          ]);
         }},
       ]
     );
   };
 
   const handleResetApp = () => {
-    Alert.alert(
-      'Reset App',
-      'This will delete all your wheels, settings, and statistics. This action cannot be undone.',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        { text: 'Reset', style: 'destructive', onPress: () => {
-          // TODO: Implement app reset
-          Alert.alert('Coming Soon', 'App reset functionality will be available in a future update.');
-        }},
-      ]
-    );
+    if (Platform.OS === 'ios') {
+      const options = [...RESET_SCOPES.map(scope => scope.label), 'Cancel'];
+      ActionSheetIOS.showActionSheetWithOptions(
+        {
+          title: 'What do you want to reset?',
+          options,
+          destructiveButtonIndex: RESET_SCOPES.length - 1,
+          cancelButtonIndex: options.length - 1,
+        },
+        (buttonIndex) => {
+          if (buttonIndex < RESET_SCOPES.length) {
+            confirmReset(RESET_SCOPES[buttonIndex]);
+          }
+        }
+      );
+    } else {
+      // Android fallback - dismiss the dialog to cancel
+      Alert.alert(
+        'Reset App',
+        'What do you want to reset?',
+        RESET_SCOPES.map(scope => ({
+          text: scope.label,
+          style: scope.key === 'everything' ? 'destructive' : 'default',
+          onPress: () => confirmReset(scope),
+        })),
+        { cancelable: true }
+      );
+    }
+  };
+
+  const saveRandomness = (randomness) => {
+    updateSettings({ randomness });
+    setShowRandomnessSheet(false);
   };
 
+  const randomness = { ...DEFAULT_RANDOMNESS, ...settings.randomness };
+  const randomnessSummary = randomness.source === 'seeded'
+    ? `Seed "${randomness.seed}", next draw #${randomness.nonce}`
+    : `${(RANDOM_SOURCES.find(source => source.key === randomness.source) || RANDOM_SOURCES[0]).label} generator`;
+
   const renderSettingRow = (icon, title, subtitle, rightComponent) => (
     <View style={styles.settingRow}>
       <View style={styles.settingLeft}>
@@ -87,6 +267,98 @@ export default function ProfileScreen() {
     </View>
   );
 
+  const renderImportCategory = (category, title, lines, available) => (
+    <View style={styles.importSection} key={category}>
+      <Text style={styles.importSectionTitle}>{title}</Text>
+      {lines.map((line) => (
+        <Text key={line} style={styles.importSummaryText}>{line}</Text>
+      ))}
+      {available ? (
+        <>
+          <View style={styles.importModes}>
+            {IMPORT_MODES.map((mode) => (
+              <TouchableOpacity
+                key={mode.key}
+                style={[
+                  styles.durationButton,
+                  importChoices[category] === mode.key && styles.durationButtonActive
+                ]}
+                onPress={() => setImportChoices(prev => ({ ...prev, [category]: mode.key }))}
+              >
+                <Text style={[
+                  styles.durationButtonText,
+                  importChoices[category] === mode.key && styles.durationButtonTextActive
+                ]}>
+                  {mode.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.importModeDescription}>
+            {IMPORT_MODE_DESCRIPTIONS[category][importChoices[category]]}
+          </Text>
+        </>
+      ) : (
+        <Text style={styles.importModeDescription}>Not included in this backup.</Text>
+      )}
+    </View>
+  );
+
+  const renderImportModal = () => {
+    if (!importPreview) return null;
+    const { data, summary, fileName } = importPreview;
+
+    const wheelLines = [
+      `${summary.newWheels.length} new wheel${summary.newWheels.length === 1 ? '' : 's'}`,
+      `${summary.conflictingWheels.length} wheel${summary.conflictingWheels.length === 1 ? '' : 's'} that differ from yours`,
+      `${summary.unchangedWheelCount} already up to date`,
+    ];
+    if (summary.conflictingWheels.length > 0) {
+      wheelLines.push(`Conflicts: ${summary.conflictingWheels.map(wheel => wheel.name).join(', ')}`);
+    }
+
+    const settingsLines = [
+      summary.changedSettings.length > 0
+        ? `Changes: ${summary.changedSettings.join(', ')}`
+        : 'Same as your current preferences',
+    ];
+
+    const statisticsLines = [
+      importChoices.statistics === 'replace'
+        ? `${summary.flipCount} coin flips`
+        : `${summary.newFlipCount} new coin flips`,
+      `${summary.spinResultCount} wheel spins in history`,
+    ];
+
+    return (
+      <Modal
+        visible
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setImportPreview(null)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setImportPreview(null)} disabled={isImporting}>
+              <Text style={styles.modalCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Import Data</Text>
+            <TouchableOpacity onPress={confirmImport} disabled={isImporting}>
+              <Text style={styles.modalSaveText}>{isImporting ? 'Importing...' : 'Import'}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            <Text style={styles.importFileName}>{fileName}</Text>
+            {renderImportCategory('wheels', 'Wheels', wheelLines, Boolean(data.wheels))}
+            {renderImportCategory('settings', 'Preferences', settingsLines, summary.hasSettings)}
+            {renderImportCategory('statistics', 'Statistics', statisticsLines, summary.hasStatistics)}
+          </ScrollView>
+        </SafeAreaView>
+      </Modal>
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
@@ -130,6 +402,15 @@ export default function ProfileScreen() {
                 ))}
               </View>
             )}
+
+            {renderSettingRow(
+              'random',
+              'Randomness',
+              randomnessSummary,
+              <TouchableOpacity onPress={() => setShowRandomnessSheet(true)}>
+                <FontAwesome5 name="chevron-right" size={16} color="#999" />
+              </TouchableOpacity>
+            )}
           </>
         ))}
 
@@ -191,11 +472,20 @@ export default function ProfileScreen() {
             {renderSettingRow(
               'exclamation-triangle',
               'Reset App',
-              'Delete all data and restore defaults',
+              'Clear wheels, statistics, or everything',
               <TouchableOpacity onPress={handleResetApp}>
                 <FontAwesome5 name="chevron-right" size={16} color="#FF3B30" />
               </TouchableOpacity>
             )}
+
+            {resetSnapshot && renderSettingRow(
+              'undo',
+              'Undo Last Reset',
+              'Restore the data removed by the last reset',
+              <TouchableOpacity onPress={() => handleRestoreSnapshot(resetSnapshot)}>
+                <FontAwesome5 name="chevron-right" size={16} color="#999" />
+              </TouchableOpacity>
+            )}
           </>
         ))}
 
@@ -204,6 +494,15 @@ export default function ProfileScreen() {
           <Text style={styles.footerSubtext}>Made with ❤️ for quick decisions</Text>
         </View>
       </ScrollView>
+
+      {renderImportModal()}
+
+      <RandomnessSettingsSheet
+        visible={showRandomnessSheet}
+        randomness={randomness}
+        onClose={() => setShowRandomnessSheet(false)}
+        onSave={saveRandomness}
+      />
     </SafeAreaView>
   );
 }
@@ -296,6 +595,70 @@ const styles = StyleSheet.create({
   durationButtonTextActive: {
     color: 'white',
   },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  modalCancelText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  modalSaveText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  importFileName: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  importSection: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 20,
+  },
+  importSectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 10,
+  },
+  importSummaryText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  importModes: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  importModeDescription: {
+    fontSize: 13,
+    color: '#999',
+    lineHeight: 18,
+  },
   footer: {
     alignItems: 'center',
     paddingVertical: 30,
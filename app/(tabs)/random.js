@@ -1,10 +1,12 @@
 /**
  * Random Number Generator Screen  
  * Purpose: Generate random numbers with configurable ranges
+ * Features: Decimal places, step size, excluded numbers, sorted output, lottery tickets,
+ *           presets, batch history
  * Extend: Add number history, export results, custom algorithms
  */
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -17,29 +19,106 @@ import {
   FlatList,
   Animated,
   Dimensions,
+  ScrollView,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesome5 } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
 import * as Clipboard from 'expo-clipboard';
 import { useApp } from '../../contexts/AppContext';
+import {
+  MAX_RESULT_COUNT,
+  MAX_DECIMALS,
+  MAX_TICKET_LINES,
+  MAX_TICKET_NUMBERS,
+  SORT_ORDERS,
+  RNG_MODES,
+  generateNumbers as drawNumbers,
+  getRngConfigError,
+  getAvailableCount,
+  hasAtMostDecimals,
+  formatNumber,
+  parseNumberList,
+  pickRngSettings,
+  describeRngConfig,
+  getTicketConfigError,
+  generateTicket,
+  formatTicket,
+} from '../../utils/randomNumbers';
+import { canReplay, describeRandomness, isStandardRandomness, replayRandom } from '../../utils/randomness';
 
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 const BOTTOM_SHEET_HEIGHT = SCREEN_HEIGHT * 0.55;
+const RESULT_ROW_HEIGHT = 90; // resultCard minHeight plus its vertical margins
+
+// Min and max in ascending order; the settings sheet swaps them on save
+const withOrderedRange = (config) => (
+  config.min > config.max ? { ...config, min: config.max, max: config.min } : config
+);
+
+// Fields typed as free text so values like "-" or "2." can be entered on the way to a number
+const getConfigText = (config) => ({
+  min: String(config.min),
+  max: String(config.max),
+  step: String(config.step ?? 1),
+  exclusions: (config.exclusions || []).join(', '),
+});
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const formatResults = (results, decimals) => results.map(value => formatNumber(value, decimals)).join(', ');
+
+// Clipboard text for a batch; ticket batches hold lines instead of numbers
+const formatBatch = (config, results) => (
+  config.mode === 'ticket' ? formatTicket(results) : formatResults(results, config.decimals || 0)
+);
+
+const getModeConfigError = (config) => (
+  config.mode === 'ticket' ? getTicketConfigError(config.ticket) : getRngConfigError(config)
+);
+
+// Unfinished or invalid text becomes NaN so the sheet reports it instead of guessing a value
+const parseNumberText = (text) => (text.trim() === '' ? NaN : Number(text));
+
 export default function RandomNumberScreen() {
-  const { settings, rngConfig, updateRngConfig } = useApp();
+  const {
+    settings,
+    rngConfig,
+    updateRngConfig,
+    rngPresets,
+    addRngPreset,
+    deleteRngPreset,
+    rngHistory,
+    addRngBatch,
+    clearRngHistory,
+    takeRandomSource,
+  } = useApp();
   const [showSettings, setShowSettings] = useState(false);
+  const [showPresets, setShowPresets] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [presetName, setPresetName] = useState('');
   const [currentResult, setCurrentResult] = useState(rngConfig.lastResults || null);
+  const [currentTicket, setCurrentTicket] = useState(rngConfig.lastTicket || []);
   const [isGenerating, setIsGenerating] = useState(false);
   const [tempConfig, setTempConfig] = useState(rngConfig);
+  const [tempText, setTempText] = useState(() => getConfigText(rngConfig));
   const [hasChanges, setHasChanges] = useState(false);
+  // Follow the saved results when they change elsewhere, e.g. after a statistics reset or an import
+  useEffect(() => {
+    setCurrentResult(rngConfig.lastResults || null);
+    setCurrentTicket(rngConfig.lastTicket || []);
+  }, [rngConfig.lastResults, rngConfig.lastTicket]);
+
+  const decimals = rngConfig.decimals || 0;
+  const isTicketMode = rngConfig.mode === 'ticket';
 
   const generateNumbers = async () => {
-    if (rngConfig.count > (rngConfig.max - rngConfig.min + 1) && !rngConfig.allowDuplicates) {
-      Alert.alert(
-        'Invalid Configuration',
-        'Count cannot be greater than the range when duplicates are not allowed.'
-      );
+    const configError = getModeConfigError(rngConfig);
+    if (configError) {
+      Alert.alert('Invalid Configuration', configError);
       return;
     }
 
@@ -51,27 +130,26 @@ export default function RandomNumberScreen() {
 
     // Simulate generation delay for better UX
     setTimeout(() => {
-      const results = [];
-      const usedNumbers = new Set();
-
-      for (let i = 0; i < rngConfig.count; i++) {
-        let randomNum;
-        let attempts = 0;
-        
-        do {
-          randomNum = Math.floor(Math.random() * (rngConfig.max - rngConfig.min + 1)) + rngConfig.min;
-          attempts++;
-          
-          // Prevent infinite loop
-          if (attempts > 1000) break;
-        } while (!rngConfig.allowDuplicates && usedNumbers.has(randomNum));
-
-        results.push(randomNum);
-        usedNumbers.add(randomNum);
+      const { random, record } = takeRandomSource();
+      let results;
+      if (isTicketMode) {
+        results = generateTicket(rngConfig.ticket, random);
+        setCurrentTicket(results);
+        updateRngConfig({ ...rngConfig, lastTicket: results });
+      } else {
+        // Unique draws use sparse Fisher–Yates sampling, so they never repeat and
+        // stay fast for any range size
+        results = drawNumbers(rngConfig, random);
+        setCurrentResult(results);
+        updateRngConfig({ ...rngConfig, lastResults: results });
       }
-
-      setCurrentResult(results);
-      updateRngConfig({ ...rngConfig, lastResults: results });
+      addRngBatch({
+        id: Date.now().toString(),
+        config: pickRngSettings(rngConfig),
+        results,
+        timestamp: new Date().toISOString(),
+        randomness: record,
+      });
       setIsGenerating(false);
 
       if (settings.hapticsEnabled) {
@@ -82,6 +160,7 @@ export default function RandomNumberScreen() {
 
   const handleOpenSettings = () => {
     setTempConfig({ ...rngConfig });
+    setTempText(getConfigText(rngConfig));
     setHasChanges(false);
     setShowSettings(true);
   };
@@ -107,6 +186,16 @@ export default function RandomNumberScreen() {
   const validateAndSaveSettings = () => {
     let finalConfig = { ...tempConfig };
 
+    if (finalConfig.mode === 'ticket') {
+      const ticketError = getTicketConfigError(finalConfig.ticket);
+      if (ticketError) {
+        Alert.alert('Invalid Ticket', ticketError);
+        return;
+      }
+      saveSettings(finalConfig);
+      return;
+    }
+
     // Validate and auto-fix min/max
     if (finalConfig.min > finalConfig.max) {
       const temp = finalConfig.min;
@@ -121,21 +210,22 @@ export default function RandomNumberScreen() {
       return;
     }
 
-    if (finalConfig.count > 20) {
-      finalConfig.count = 20;
-      Alert.alert('Count Limited', 'Count has been limited to 20.');
+    if (finalConfig.count > MAX_RESULT_COUNT) {
+      finalConfig.count = MAX_RESULT_COUNT;
+      Alert.alert('Count Limited', `Count has been limited to ${MAX_RESULT_COUNT}.`);
     }
 
-    // Validate duplicates constraint
-    const maxUnique = finalConfig.max - finalConfig.min + 1;
-    if (!finalConfig.allowDuplicates && finalConfig.count > maxUnique) {
-      Alert.alert(
-        'Count Exceeds Unique Values',
-        `Count cannot exceed ${maxUnique} when duplicates are not allowed.`
-      );
+    // Validate range size and duplicates constraint
+    const configError = getRngConfigError(finalConfig);
+    if (configError) {
+      Alert.alert('Invalid Configuration', configError);
       return;
     }
 
+    saveSettings(finalConfig);
+  };
+
+  const saveSettings = (finalConfig) => {
     updateRngConfig(finalConfig);
     setShowSettings(false);
     setHasChanges(false);
@@ -145,16 +235,11 @@ export default function RandomNumberScreen() {
     }
   };
 
-  const copyToClipboard = async () => {
-    if (!currentResult || currentResult.length === 0) {
-      Alert.alert('Nothing to copy', 'Generate some numbers first.');
-      return;
-    }
-
-    const resultText = currentResult.join(', ');
+  const copyResults = async (config, results) => {
+    const noun = config.mode === 'ticket' ? 'line' : 'result';
     try {
-      await Clipboard.setStringAsync(resultText);
-      Alert.alert('Copied!', `Copied ${currentResult.length} result${currentResult.length > 1 ? 's' : ''}`);
+      await Clipboard.setStringAsync(formatBatch(config, results));
+      Alert.alert('Copied!', `Copied ${results.length} ${noun}${results.length > 1 ? 's' : ''}`);
       
       if (settings.hapticsEnabled) {
         Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
@@ -164,20 +249,132 @@ export default function RandomNumberScreen() {
     }
   };
 
+  const copyToClipboard = () => {
+    const results = isTicketMode ? currentTicket : currentResult;
+    if (!results || results.length === 0) {
+      Alert.alert('Nothing to copy', isTicketMode ? 'Generate a ticket first.' : 'Generate some numbers first.');
+      return;
+    }
+    copyResults(rngConfig, results);
+  };
+
+  const changeMode = (mode) => {
+    if (mode === rngConfig.mode || isGenerating) return;
+    updateRngConfig({ ...rngConfig, mode });
+
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  // Presets and history entries only carry the drawing settings, so the last results stay
+  const applySettings = (config) => {
+    updateRngConfig({ ...rngConfig, ...config });
+
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  const applyPreset = (preset) => {
+    applySettings(preset.config);
+    setShowPresets(false);
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) {
+      Alert.alert('Name Required', 'Give the preset a name.');
+      return;
+    }
+    if (rngPresets.some(preset => preset.name.toLowerCase() === name.toLowerCase())) {
+      Alert.alert('Duplicate Name', `You already have a preset called "${name}".`);
+      return;
+    }
+
+    addRngPreset({
+      id: Date.now().toString(),
+      name,
+      config: pickRngSettings(rngConfig),
+    });
+    setPresetName('');
+
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  const confirmDeletePreset = (preset) => {
+    Alert.alert(
+      'Delete Preset',
+      `Delete "${preset.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => deleteRngPreset(preset.id) },
+      ]
+    );
+  };
+
+  const confirmClearHistory = () => {
+    Alert.alert(
+      'Clear History',
+      `Delete all ${rngHistory.length} generated batches?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: clearRngHistory },
+      ]
+    );
+  };
+
+  // Seeded batches are drawn again from their seed and draw number and compared with the stored results
+  const verifyBatch = (batch) => {
+    const random = replayRandom(batch.randomness);
+    if (!random) return;
+
+    const replayed = batch.config.mode === 'ticket'
+      ? generateTicket(batch.config.ticket, random)
+      : drawNumbers(batch.config, random);
+
+    if (JSON.stringify(replayed) === JSON.stringify(batch.results)) {
+      Alert.alert('Verified', `${describeRandomness(batch.randomness)} gives exactly these numbers.`);
+    } else {
+      Alert.alert('Mismatch', `${describeRandomness(batch.randomness)} gives different numbers than this batch.`);
+    }
+  };
+
+  const reuseBatchSettings = (batch) => {
+    applySettings(batch.config);
+    setShowHistory(false);
+  };
+
   const updateTempConfig = (field, value) => {
     setTempConfig(prev => ({ ...prev, [field]: value }));
     setHasChanges(true);
   };
 
-  const isValidConfig = () => {
-    if (tempConfig.count <= 0 || tempConfig.count > 20) return false;
-    
-    const maxUnique = tempConfig.max - tempConfig.min + 1;
-    if (!tempConfig.allowDuplicates && tempConfig.count > maxUnique) return false;
-    
-    return true;
+  const updateTempText = (field, text, value) => {
+    setTempText(prev => ({ ...prev, [field]: text }));
+    updateTempConfig(field, value);
+  };
+
+  // Fewer decimal places can make the step too fine, so it falls back to the smallest allowed step
+  const updateTempDecimals = (value) => {
+    const step = tempConfig.step ?? 1;
+    if (Number.isFinite(step) && (!hasAtMostDecimals(step, value) || step < 10 ** -value)) {
+      const smallestStep = 10 ** -value;
+      updateTempText('step', String(smallestStep), smallestStep);
+    }
+    updateTempConfig('decimals', value);
   };
 
+  const updateTempTicketPool = (pool, field, value) => {
+    const ticket = tempConfig.ticket;
+    updateTempConfig('ticket', { ...ticket, [pool]: { ...ticket[pool], [field]: value } });
+  };
+
+  const tempConfigError = getModeConfigError(withOrderedRange(tempConfig));
+  const isValidConfig = () => tempConfigError === null;
+
   const renderResult = () => {
     if (!currentResult) {
       return (
@@ -191,26 +388,297 @@ export default function RandomNumberScreen() {
     if (currentResult.length === 1) {
       return (
         <View style={styles.singleResultContainer}>
-          <Text style={styles.singleResultNumber}>{currentResult[0]}</Text>
+          <Text style={styles.singleResultNumber} numberOfLines={1} adjustsFontSizeToFit>
+            {formatNumber(currentResult[0], decimals)}
+          </Text>
+        </View>
+      );
+    }
+
+    // Thousands of results: rows have a fixed height so only the visible ones render
+    return (
+      <View style={styles.multiResultWrapper}>
+        <Text style={styles.resultCountText}>{currentResult.length} numbers</Text>
+        <FlatList
+          data={currentResult}
+          numColumns={3}
+          keyExtractor={(item, index) => index.toString()}
+          contentContainerStyle={styles.multiResultContainer}
+          getItemLayout={(data, index) => ({
+            length: RESULT_ROW_HEIGHT,
+            offset: RESULT_ROW_HEIGHT * index,
+            index,
+          })}
+          initialNumToRender={30}
+          maxToRenderPerBatch={60}
+          windowSize={7}
+          removeClippedSubviews
+          renderItem={({ item, index }) => (
+            <View style={styles.resultCard}>
+              <Text style={styles.resultNumber} numberOfLines={1} adjustsFontSizeToFit>
+                {formatNumber(item, decimals)}
+              </Text>
+            </View>
+          )}
+        />
+      </View>
+    );
+  };
+
+  const renderTicket = () => {
+    if (currentTicket.length === 0) {
+      return (
+        <View style={styles.emptyResultContainer}>
+          <FontAwesome5 name="ticket-alt" size={60} color="#C7C7CC" />
+          <Text style={styles.emptyResultText}>Tap "Generate" to fill in a lottery ticket</Text>
         </View>
       );
     }
 
     return (
-      <FlatList
-        data={currentResult}
-        numColumns={3}
-        keyExtractor={(item, index) => index.toString()}
-        contentContainerStyle={styles.multiResultContainer}
-        renderItem={({ item, index }) => (
-          <View style={styles.resultCard}>
-            <Text style={styles.resultNumber}>{item}</Text>
+      <ScrollView style={styles.ticketCard} contentContainerStyle={styles.ticketContent}>
+        {currentTicket.map((line, index) => (
+          <View key={index} style={[styles.ticketLine, index > 0 && styles.ticketLineDivider]}>
+            <Text style={styles.ticketLineLabel}>Line {index + 1}</Text>
+            <View style={styles.ticketBalls}>
+              {line.main.map(value => (
+                <View key={`main-${value}`} style={styles.ball}>
+                  <Text style={styles.ballText}>{value}</Text>
+                </View>
+              ))}
+              {line.bonus.map(value => (
+                <View key={`bonus-${value}`} style={[styles.ball, styles.bonusBall]}>
+                  <Text style={styles.ballText}>{value}</Text>
+                </View>
+              ))}
+            </View>
           </View>
-        )}
-      />
+        ))}
+      </ScrollView>
     );
   };
 
+  const renderStepper = (value, min, max, onChange) => (
+    <View style={styles.stepper}>
+      <TouchableOpacity
+        style={[styles.stepperButton, value <= min && styles.stepperButtonDisabled]}
+        onPress={() => onChange(value - 1)}
+        disabled={value <= min}
+      >
+        <FontAwesome5 name="minus" size={14} color="#007AFF" />
+      </TouchableOpacity>
+      <Text style={styles.stepperValue}>{value}</Text>
+      <TouchableOpacity
+        style={[styles.stepperButton, value >= max && styles.stepperButtonDisabled]}
+        onPress={() => onChange(value + 1)}
+        disabled={value >= max}
+      >
+        <FontAwesome5 name="plus" size={14} color="#007AFF" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderNumberSettings = () => (
+    <>
+      {/* Range Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="arrows-alt-h" size={20} color="#007AFF" style={styles.configIcon} />
+          <Text style={styles.configLabel}>Range</Text>
+        </View>
+        <View style={styles.rangeInputs}>
+          <TextInput
+            style={styles.rangeInput}
+            value={tempText.min}
+            onChangeText={(text) => updateTempText('min', text, parseNumberText(text))}
+            keyboardType="numbers-and-punctuation"
+            placeholder="Min"
+          />
+          <Text style={styles.rangeSeparator}>to</Text>
+          <TextInput
+            style={styles.rangeInput}
+            value={tempText.max}
+            onChangeText={(text) => updateTempText('max', text, parseNumberText(text))}
+            keyboardType="numbers-and-punctuation"
+            placeholder="Max"
+          />
+        </View>
+      </View>
+
+      {/* Decimal Places Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="percentage" size={20} color="#007AFF" style={styles.configIcon} />
+          <Text style={styles.configLabel}>Decimal Places</Text>
+        </View>
+        {renderStepper(tempConfig.decimals, 0, MAX_DECIMALS, updateTempDecimals)}
+        <Text style={styles.configDescription}>
+          {tempConfig.decimals === 0
+            ? 'Whole numbers only'
+            : `Numbers like ${formatNumber(1.5, tempConfig.decimals)}`}
+        </Text>
+      </View>
+
+      {/* Step Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="shoe-prints" size={20} color="#007AFF" style={styles.configIcon} />
+          <Text style={styles.configLabel}>Step</Text>
+        </View>
+        <TextInput
+          style={styles.countInput}
+          value={tempText.step}
+          onChangeText={(text) => updateTempText('step', text, parseNumberText(text))}
+          keyboardType="decimal-pad"
+          placeholder="Step"
+        />
+        <Text style={styles.configDescription}>
+          Numbers go up from the minimum in steps of this size, e.g. 0, 5, 10... for a step of 5
+        </Text>
+      </View>
+
+      {/* Exclusions Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="ban" size={20} color="#007AFF" style={styles.configIcon} />
+          <Text style={styles.configLabel}>Excluded Numbers</Text>
+        </View>
+        <TextInput
+          style={styles.exclusionsInput}
+          value={tempText.exclusions}
+          onChangeText={(text) => updateTempText('exclusions', text, parseNumberList(text))}
+          keyboardType="numbers-and-punctuation"
+          placeholder="e.g. 7, 13, 42"
+          multiline
+        />
+        <Text style={styles.configDescription}>
+          These numbers are never drawn. Separate them with commas or spaces.
+        </Text>
+      </View>
+
+      {/* Count Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="hashtag" size={20} color="#007AFF" style={styles.configIcon} />
+          <Text style={styles.configLabel}>Count</Text>
+        </View>
+        <TextInput
+          style={styles.countInput}
+          value={tempConfig.count.toString()}
+          onChangeText={(text) => {
+            const num = Math.min(MAX_RESULT_COUNT, Math.max(1, parseInt(text) || 1));
+            updateTempConfig('count', num);
+          }}
+          keyboardType="numeric"
+          placeholder={`Count (1-${MAX_RESULT_COUNT})`}
+        />
+        <Text style={styles.configDescription}>
+          Number of results to generate (1-{MAX_RESULT_COUNT})
+        </Text>
+      </View>
+
+      {/* Allow Duplicates Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="sync" size={20} color="#007AFF" style={styles.configIcon} />
+          <View style={styles.configTextContainer}>
+            <Text style={styles.configLabel}>Allow Duplicate Results</Text>
+            <Text style={styles.configDescription}>
+              When disabled, each number appears only once
+            </Text>
+          </View>
+        </View>
+        <View style={styles.switchContainer}>
+          <Switch
+            value={tempConfig.allowDuplicates}
+            onValueChange={(value) => updateTempConfig('allowDuplicates', value)}
+          />
+        </View>
+      </View>
+
+      {/* Sort Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="sort-numeric-down" size={20} color="#007AFF" style={styles.configIcon} />
+          <Text style={styles.configLabel}>Sort Results</Text>
+        </View>
+        <View style={styles.choiceOptions}>
+          {SORT_ORDERS.map((order) => (
+            <TouchableOpacity
+              key={order.key}
+              style={[styles.choiceButton, tempConfig.sort === order.key && styles.choiceButtonActive]}
+              onPress={() => updateTempConfig('sort', order.key)}
+            >
+              <Text style={[
+                styles.choiceButtonText,
+                tempConfig.sort === order.key && styles.choiceButtonTextActive
+              ]}>
+                {order.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+    </>
+  );
+
+  const renderTicketPool = (pool, title, icon, description, minCount) => (
+    <View style={styles.configSection}>
+      <View style={styles.configRow}>
+        <FontAwesome5 name={icon} size={20} color="#007AFF" style={styles.configIcon} />
+        <View style={styles.configTextContainer}>
+          <Text style={styles.configLabel}>{title}</Text>
+          <Text style={styles.configDescription}>{description}</Text>
+        </View>
+      </View>
+      {renderStepper(
+        tempConfig.ticket[pool].count,
+        minCount,
+        MAX_TICKET_NUMBERS,
+        (count) => updateTempTicketPool(pool, 'count', count)
+      )}
+      <View style={[styles.rangeInputs, styles.poolInputs]}>
+        <TextInput
+          style={styles.rangeInput}
+          value={Number.isNaN(tempConfig.ticket[pool].min) ? '' : String(tempConfig.ticket[pool].min)}
+          onChangeText={(text) => updateTempTicketPool(pool, 'min', parseInt(text, 10))}
+          keyboardType="number-pad"
+          placeholder="From"
+        />
+        <Text style={styles.rangeSeparator}>to</Text>
+        <TextInput
+          style={styles.rangeInput}
+          value={Number.isNaN(tempConfig.ticket[pool].max) ? '' : String(tempConfig.ticket[pool].max)}
+          onChangeText={(text) => updateTempTicketPool(pool, 'max', parseInt(text, 10))}
+          keyboardType="number-pad"
+          placeholder="To"
+        />
+      </View>
+    </View>
+  );
+
+  const renderTicketSettings = () => (
+    <>
+      {/* Lines Section */}
+      <View style={styles.configSection}>
+        <View style={styles.configRow}>
+          <FontAwesome5 name="ticket-alt" size={20} color="#007AFF" style={styles.configIcon} />
+          <Text style={styles.configLabel}>Lines</Text>
+        </View>
+        {renderStepper(
+          tempConfig.ticket.lines,
+          1,
+          MAX_TICKET_LINES,
+          (lines) => updateTempConfig('ticket', { ...tempConfig.ticket, lines })
+        )}
+        <Text style={styles.configDescription}>Each line is drawn separately</Text>
+      </View>
+
+      {renderTicketPool('main', 'Main Numbers', 'circle', 'Numbers per line, all different', 1)}
+      {renderTicketPool('bonus', 'Bonus Balls', 'star', 'Drawn from their own pool; set to 0 for none', 0)}
+    </>
+  );
+
   const renderConfigBottomSheet = () => (
     <Modal
       visible={showSettings}
@@ -237,88 +705,146 @@ export default function RandomNumberScreen() {
           </TouchableOpacity>
         </View>
 
-        <View style={styles.modalContent}>
-          {/* Range Section */}
-          <View style={styles.configSection}>
-            <View style={styles.configRow}>
-              <FontAwesome5 name="arrows-alt-h" size={20} color="#007AFF" style={styles.configIcon} />
-              <Text style={styles.configLabel}>Range</Text>
+        <ScrollView
+          style={styles.modalScroll}
+          contentContainerStyle={styles.modalContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          {tempConfig.mode === 'ticket' ? renderTicketSettings() : renderNumberSettings()}
+
+          {/* Validation Info */}
+          {tempConfigError ? (
+            <View style={[styles.validationInfo, styles.validationError]}>
+              <FontAwesome5 name="exclamation-circle" size={16} color="#FF3B30" />
+              <Text style={[styles.validationText, styles.validationErrorText]}>{tempConfigError}</Text>
             </View>
-            <View style={styles.rangeInputs}>
-              <TextInput
-                style={styles.rangeInput}
-                value={tempConfig.min.toString()}
-                onChangeText={(text) => {
-                  const num = parseInt(text) || 0;
-                  updateTempConfig('min', num);
-                }}
-                keyboardType="numeric"
-                placeholder="Min"
-              />
-              <Text style={styles.rangeSeparator}>to</Text>
-              <TextInput
-                style={styles.rangeInput}
-                value={tempConfig.max.toString()}
-                onChangeText={(text) => {
-                  const num = parseInt(text) || 100;
-                  updateTempConfig('max', num);
-                }}
-                keyboardType="numeric"
-                placeholder="Max"
-              />
+          ) : tempConfig.mode !== 'ticket' && !tempConfig.allowDuplicates && (
+            <View style={styles.validationInfo}>
+              <FontAwesome5 name="info-circle" size={16} color="#FF9500" />
+              <Text style={styles.validationText}>
+                Maximum unique values in range: {getAvailableCount(withOrderedRange(tempConfig))}
+              </Text>
             </View>
-          </View>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
 
-          {/* Count Section */}
-          <View style={styles.configSection}>
-            <View style={styles.configRow}>
-              <FontAwesome5 name="hashtag" size={20} color="#007AFF" style={styles.configIcon} />
-              <Text style={styles.configLabel}>Count</Text>
-            </View>
+  const renderPresetsModal = () => (
+    <Modal
+      visible={showPresets}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setShowPresets(false)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <View style={styles.modalHeaderSpacer} />
+          <Text style={styles.modalTitle}>Presets</Text>
+          <TouchableOpacity onPress={() => setShowPresets(false)}>
+            <Text style={styles.modalDoneText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.saveSection}>
+          <Text style={styles.saveSectionTitle} numberOfLines={2}>
+            Save current: {describeRngConfig(rngConfig)}
+          </Text>
+          <View style={styles.saveRow}>
             <TextInput
-              style={styles.countInput}
-              value={tempConfig.count.toString()}
-              onChangeText={(text) => {
-                const num = Math.min(20, Math.max(1, parseInt(text) || 1));
-                updateTempConfig('count', num);
-              }}
-              keyboardType="numeric"
-              placeholder="Count (1-20)"
+              style={styles.saveInput}
+              value={presetName}
+              onChangeText={setPresetName}
+              placeholder="Preset name"
+              maxLength={30}
             />
-            <Text style={styles.configDescription}>
-              Number of results to generate (1-20)
-            </Text>
+            <TouchableOpacity
+              style={[styles.saveButton, !presetName.trim() && styles.saveButtonDisabled]}
+              onPress={savePreset}
+              disabled={!presetName.trim()}
+            >
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
           </View>
+        </View>
 
-          {/* Allow Duplicates Section */}
-          <View style={styles.configSection}>
-            <View style={styles.configRow}>
-              <FontAwesome5 name="sync" size={20} color="#007AFF" style={styles.configIcon} />
-              <View style={styles.configTextContainer}>
-                <Text style={styles.configLabel}>Allow Duplicate Results</Text>
-                <Text style={styles.configDescription}>
-                  When disabled, each number appears only once
-                </Text>
+        <FlatList
+          data={rngPresets}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.modalList}
+          ListEmptyComponent={<Text style={styles.modalEmptyText}>No presets yet</Text>}
+          renderItem={({ item }) => (
+            <TouchableOpacity style={styles.listRow} onPress={() => applyPreset(item)}>
+              <View style={styles.listRowText}>
+                <Text style={styles.listRowTitle}>{item.name}</Text>
+                <Text style={styles.listRowDetail}>{describeRngConfig(item.config)}</Text>
               </View>
-            </View>
-            <View style={styles.switchContainer}>
-              <Switch
-                value={tempConfig.allowDuplicates}
-                onValueChange={(value) => updateTempConfig('allowDuplicates', value)}
-              />
-            </View>
-          </View>
-
-          {/* Validation Info */}
-          {!tempConfig.allowDuplicates && (
-            <View style={styles.validationInfo}>
-              <FontAwesome5 name="info-circle" size={16} color="#FF9500" />
-              <Text style={styles.validationText}>
-                Maximum unique values in range: {tempConfig.max - tempConfig.min + 1}
-              </Text>
-            </View>
+              <TouchableOpacity style={styles.listRowAction} onPress={() => confirmDeletePreset(item)}>
+                <FontAwesome5 name="trash" size={16} color="#FF3B30" />
+              </TouchableOpacity>
+            </TouchableOpacity>
           )}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+
+  const renderHistoryModal = () => (
+    <Modal
+      visible={showHistory}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setShowHistory(false)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={confirmClearHistory} disabled={rngHistory.length === 0}>
+            <Text style={[styles.modalClearText, rngHistory.length === 0 && styles.modalClearTextDisabled]}>
+              Clear
+            </Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>History</Text>
+          <TouchableOpacity onPress={() => setShowHistory(false)}>
+            <Text style={styles.modalDoneText}>Done</Text>
+          </TouchableOpacity>
         </View>
+
+        <FlatList
+          data={rngHistory}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.modalList}
+          ListEmptyComponent={<Text style={styles.modalEmptyText}>No numbers generated yet</Text>}
+          ListFooterComponent={rngHistory.length > 0 ? (
+            <Text style={styles.modalFooterText}>Tap a batch to copy its numbers</Text>
+          ) : null}
+          renderItem={({ item }) => (
+            <TouchableOpacity
+              style={styles.listRow}
+              onPress={() => copyResults(item.config, item.results)}
+            >
+              <View style={styles.listRowText}>
+                <Text style={styles.listRowTitle}>{describeRngConfig(item.config)}</Text>
+                <Text style={styles.listRowDetail} numberOfLines={3}>
+                  {formatBatch(item.config, item.results.slice(0, 100))}
+                  {item.results.length > 100 ? ` … +${item.results.length - 100} more` : ''}
+                </Text>
+                <Text style={styles.listRowTime}>
+                  {formatTimestamp(item.timestamp)}
+                  {!isStandardRandomness(item.randomness) ? ` · ${describeRandomness(item.randomness)}` : ''}
+                </Text>
+              </View>
+              {canReplay(item.randomness) && (
+                <TouchableOpacity style={styles.listRowAction} onPress={() => verifyBatch(item)}>
+                  <FontAwesome5 name="check-circle" size={16} color="#34C759" />
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={styles.listRowAction} onPress={() => reuseBatchSettings(item)}>
+                <FontAwesome5 name="redo" size={16} color="#007AFF" />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          )}
+        />
       </SafeAreaView>
     </Modal>
   );
@@ -327,11 +853,19 @@ export default function RandomNumberScreen() {
     <SafeAreaView style={styles.container}>
       {/* Header */}
       <View style={styles.header}>
-        <View style={styles.headerSpacer} />
+        <TouchableOpacity
+          style={styles.headerButton}
+          onPress={() => setShowHistory(true)}
+        >
+          <FontAwesome5 name="history" size={20} color="#007AFF" />
+        </TouchableOpacity>
         
         <View style={styles.rangeDisplay}>
-          <Text style={styles.rangeText}>
-            {rngConfig.min} ~ {rngConfig.max}
+          <Text style={styles.rangeText} numberOfLines={1} adjustsFontSizeToFit>
+            {isTicketMode ? describeRngConfig(rngConfig) : (
+              `${formatNumber(rngConfig.min, decimals)} ~ ${formatNumber(rngConfig.max, decimals)}` +
+              ((rngConfig.step ?? 1) !== 1 ? ` (step ${rngConfig.step})` : '')
+            )}
           </Text>
         </View>
         
@@ -343,13 +877,30 @@ export default function RandomNumberScreen() {
         </TouchableOpacity>
       </View>
 
+      {/* Mode selector */}
+      <View style={styles.modeSelector}>
+        {RNG_MODES.map(item => (
+          <TouchableOpacity
+            key={item.key}
+            style={[styles.modeButton, rngConfig.mode === item.key && styles.modeButtonActive]}
+            onPress={() => changeMode(item.key)}
+          >
+            <Text style={[styles.modeButtonText, rngConfig.mode === item.key && styles.modeButtonTextActive]}>
+              {item.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
       {/* Main content area */}
       <View style={styles.contentArea}>
         {isGenerating ? (
           <View style={styles.generatingContainer}>
-            <FontAwesome5 name="dice" size={60} color="#007AFF" />
+            <FontAwesome5 name={isTicketMode ? 'ticket-alt' : 'dice'} size={60} color="#007AFF" />
             <Text style={styles.generatingText}>Generating...</Text>
           </View>
+        ) : isTicketMode ? (
+          renderTicket()
         ) : (
           renderResult()
         )}
@@ -357,6 +908,13 @@ export default function RandomNumberScreen() {
 
       {/* Bottom controls */}
       <View style={styles.bottomControls}>
+        <TouchableOpacity
+          style={styles.editButton}
+          onPress={() => setShowPresets(true)}
+        >
+          <FontAwesome5 name="bookmark" size={20} color="#007AFF" />
+        </TouchableOpacity>
+
         <TouchableOpacity
           style={[styles.generateButton, isGenerating && styles.generateButtonDisabled]}
           onPress={generateNumbers}
@@ -376,6 +934,8 @@ export default function RandomNumberScreen() {
       </View>
 
       {renderConfigBottomSheet()}
+      {renderPresetsModal()}
+      {renderHistoryModal()}
     </SafeAreaView>
   );
 }
@@ -406,11 +966,9 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
-  headerSpacer: {
-    width: 44,
-    height: 44,
-  },
   rangeDisplay: {
+    flexShrink: 1,
+    marginHorizontal: 10,
     backgroundColor: 'white',
     paddingHorizontal: 24,
     paddingVertical: 12,
@@ -426,6 +984,31 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#1A1A1A',
   },
+  modeSelector: {
+    flexDirection: 'row',
+    backgroundColor: '#E8F4FD',
+    borderRadius: 20,
+    padding: 4,
+    marginHorizontal: 20,
+    marginBottom: 15,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  modeButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  modeButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  modeButtonTextActive: {
+    color: 'white',
+  },
   contentArea: {
     flex: 1,
     marginHorizontal: 20,
@@ -460,6 +1043,7 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 8,
     elevation: 4,
+    paddingHorizontal: 20,
   },
   singleResultNumber: {
     fontSize: 120,
@@ -469,6 +1053,15 @@ const styles = StyleSheet.create({
   multiResultContainer: {
     padding: 10,
   },
+  multiResultWrapper: {
+    flex: 1,
+  },
+  resultCountText: {
+    fontSize: 14,
+    color: '#8E8E93',
+    marginHorizontal: 15,
+    marginTop: 5,
+  },
   resultCard: {
     flex: 1,
     backgroundColor: 'white',
@@ -489,6 +1082,54 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#007AFF',
   },
+  ticketCard: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+  ticketContent: {
+    padding: 20,
+  },
+  ticketLine: {
+    paddingVertical: 12,
+  },
+  ticketLineDivider: {
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+    borderStyle: 'dashed',
+  },
+  ticketLineLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#8E8E93',
+    marginBottom: 8,
+  },
+  ticketBalls: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  ball: {
+    width: 38,
+    height: 38,
+    borderRadius: 19,
+    backgroundColor: '#007AFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  bonusBall: {
+    backgroundColor: '#FF9500',
+  },
+  ballText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: 'white',
+  },
   generatingContainer: {
     flex: 1,
     alignItems: 'center',
@@ -513,7 +1154,6 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: 20,
     paddingBottom: 0,
-    paddingLeft: 80, // Move buttons 40px more to the right
     gap: 20,
   },
   generateButton: {
@@ -582,8 +1222,10 @@ const styles = StyleSheet.create({
   modalSaveTextDisabled: {
     color: '#C7C7CC',
   },
-  modalContent: {
+  modalScroll: {
     flex: 1,
+  },
+  modalContent: {
     padding: 20,
   },
   configSection: {
@@ -638,6 +1280,9 @@ const styles = StyleSheet.create({
     backgroundColor: '#F9F9F9',
     textAlign: 'center',
   },
+  poolInputs: {
+    marginTop: 15,
+  },
   rangeSeparator: {
     fontSize: 16,
     color: '#8E8E93',
@@ -666,4 +1311,167 @@ const styles = StyleSheet.create({
     color: '#856404',
     flex: 1,
   },
+  modalHeaderSpacer: {
+    width: 40,
+  },
+  modalDoneText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  modalClearText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  modalClearTextDisabled: {
+    color: '#C7C7CC',
+  },
+  modalList: {
+    padding: 20,
+  },
+  modalEmptyText: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  modalFooterText: {
+    fontSize: 13,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  saveSection: {
+    backgroundColor: 'white',
+    margin: 20,
+    marginBottom: 0,
+    borderRadius: 12,
+    padding: 16,
+  },
+  saveSectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#8E8E93',
+    marginBottom: 10,
+  },
+  saveRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  saveInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+  },
+  saveButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 10,
+    paddingHorizontal: 18,
+    justifyContent: 'center',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#C7C7CC',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+  },
+  listRowText: {
+    flex: 1,
+  },
+  listRowTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1A1A1A',
+  },
+  listRowDetail: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  listRowTime: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  listRowAction: {
+    padding: 8,
+  },
+  validationError: {
+    backgroundColor: '#FFE5E5',
+  },
+  validationErrorText: {
+    color: '#C62828',
+  },
+  exclusionsInput: {
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#E8F0FF',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperButtonDisabled: {
+    opacity: 0.4,
+  },
+  stepperValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1A1A1A',
+  },
+  choiceOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+  },
+  choiceButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    backgroundColor: '#F9F9F9',
+  },
+  choiceButtonActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  choiceButtonText: {
+    fontSize: 14,
+    color: '#8E8E93',
+    fontWeight: '500',
+  },
+  choiceButtonTextActive: {
+    color: 'white',
+  },
 });
\ No newline at end of file
@@ -14,6 +14,9 @@ export default function RootLayout() {
         <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
         <Stack.Screen name="my-wheels" />
         <Stack.Screen name="details/[id]" />
+        <Stack.Screen name="history/[id]" />
+        <Stack.Screen name="groups/[id]" />
+        <Stack.Screen name="coin-history" />
         <Stack.Screen name="create" />
         <Stack.Screen name="edit/[id]" />
         <Stack.Screen name="about" />
@@ -33,12 +33,20 @@ const FAQ_ITEMS = [
   },
   {
     question: 'How does the finger spinner work?',
-    answer: 'Start the game, then have up to 5 people place their fingers on the screen. After 5 seconds, one finger will be randomly selected as the winner.',
+    answer: 'Open the Finger tab and have up to 5 people place their fingers on the screen. Once the fingers stay still for 3 seconds, one finger is randomly selected as the winner. Switch to Teams mode to split the fingers into 2-4 teams instead.',
   },
   {
     question: 'What happens to duplicates in random numbers?',
     answer: 'You can choose to allow or prevent duplicates in the settings. When duplicates are disabled, each number can only appear once in the results.',
   },
+  {
+    question: 'Which dice notation does the Dice tab understand?',
+    answer: 'Write the number of dice, "d" and the number of sides, then any bonus: 3d6+2, d20 or d% for a percentile die. Add "drop lowest", "keep highest 3", or the short forms dl1 and kh3 to drop dice, and pick Advantage or Disadvantage to roll twice and keep the better or worse total.',
+  },
+  {
+    question: 'How can people check a giveaway spin was fair?',
+    answer: 'Open a wheel, tap ... > Fair Draw and commit before you spin. Share the commitment hash, ask the audience for a seed, then spin. The app reveals its secret in a receipt, and anyone can paste that receipt into Fair Draw > Verify, or recompute the SHA-256 hashes themselves, to confirm the options and winner were fixed in advance.',
+  },
   {
     question: 'How do I export my data?',
     answer: 'Go to Profile > Export Data to download all your wheels and settings as a JSON file for backup or sharing.',
@@ -154,6 +162,12 @@ export default function AboutScreen() {
               <Text style={styles.featureTitle}>Coin Flip</Text>
               <Text style={styles.featureDescription}>Virtual coin flipping with statistics tracking</Text>
             </View>
+
+            <View style={styles.featureCard}>
+              <FontAwesome5 name="dice" size={24} color="#007AFF" />
+              <Text style={styles.featureTitle}>Dice Roller</Text>
+              <Text style={styles.featureDescription}>Tabletop dice notation with presets and history</Text>
+            </View>
           </View>
         ))}
 
@@ -0,0 +1,392 @@
+/**
+ * Coin Flip History Screen
+ * Purpose: Timeline of individual coin flips with streaks and a fairness check
+ * Extend: Add charts of the heads rate over time, export of the timeline
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Stack, router } from 'expo-router';
+import { FontAwesome5 } from '@expo/vector-icons';
+import { useApp } from '../contexts/AppContext';
+import {
+  getCoinFace,
+  getFlipStreaks,
+  getFairnessCheck,
+  clampHeadsChance,
+  replayFlip,
+} from '../utils/coin';
+import {
+  describeRandomness,
+  isStandardRandomness,
+  canReplay,
+  replayRandom,
+} from '../utils/randomness';
+
+const formatPercent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const formatPValue = (value) => (value < 0.001 ? '< 0.001' : value.toFixed(3));
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}`;
+};
+
+export default function CoinHistoryScreen() {
+  const { coinFlips, coinConfig, clearCoinFlips } = useApp();
+
+  const faces = {
+    heads: getCoinFace(coinConfig, 'heads'),
+    tails: getCoinFace(coinConfig, 'tails'),
+  };
+  const streaks = getFlipStreaks(coinFlips);
+  const fairness = getFairnessCheck(coinFlips);
+  const allFair = coinFlips.every(flip => clampHeadsChance(flip.headsChance) === 50);
+
+  const handleClear = () => {
+    Alert.alert(
+      'Clear History',
+      `Delete all ${coinFlips.length} recorded flips? Your heads and tails totals are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: clearCoinFlips },
+      ]
+    );
+  };
+
+  // Seeded flips are thrown again from their seed and draw number and compared with the stored side
+  const verifyFlip = (flip) => {
+    const random = replayRandom(flip.randomness);
+    if (!random || !flip.coinCount) return;
+
+    if (replayFlip(flip, random) === flip.side) {
+      Alert.alert('Verified', `${describeRandomness(flip.randomness)} gives exactly this flip.`);
+    } else {
+      Alert.alert('Mismatch', `${describeRandomness(flip.randomness)} gives a different flip.`);
+    }
+  };
+
+  const renderStreak = (title, streak) => (
+    <View style={styles.summaryCard}>
+      <Text style={styles.summaryValue}>{streak.length}</Text>
+      <Text style={styles.summaryLabel}>{title}</Text>
+      <Text style={styles.summaryDetail} numberOfLines={1}>
+        {streak.length > 0 ? faces[streak.side].label : '-'}
+      </Text>
+    </View>
+  );
+
+  const renderFairness = () => {
+    if (!fairness) {
+      return (
+        <Text style={styles.fairnessHint}>
+          Keep flipping. The check needs enough flips for each side to be expected at least 5 times.
+        </Text>
+      );
+    }
+
+    return (
+      <View>
+        <View style={styles.verdictRow}>
+          <FontAwesome5
+            name={fairness.looksFair ? 'check-circle' : 'exclamation-triangle'}
+            size={20}
+            color={fairness.looksFair ? '#34C759' : '#FF9500'}
+          />
+          <Text style={styles.verdictText}>
+            {fairness.looksFair
+              ? `Consistent with ${allFair ? 'a fair coin' : 'the chosen odds'}`
+              : 'Unusual result for these odds'}
+          </Text>
+        </View>
+
+        <View style={styles.fairnessRow}>
+          <Text style={styles.fairnessLabel}>{faces.heads.label} observed</Text>
+          <Text style={styles.fairnessValue}>
+            {fairness.heads} of {fairness.total} ({formatPercent(fairness.observedRate)})
+          </Text>
+        </View>
+        <View style={styles.fairnessRow}>
+          <Text style={styles.fairnessLabel}>{faces.heads.label} expected</Text>
+          <Text style={styles.fairnessValue}>
+            {Math.round(fairness.expectedHeads)} ({formatPercent(fairness.expectedRate)})
+          </Text>
+        </View>
+        <View style={styles.fairnessRow}>
+          <Text style={styles.fairnessLabel}>95% confidence range</Text>
+          <Text style={styles.fairnessValue}>
+            {formatPercent(fairness.interval.low)} – {formatPercent(fairness.interval.high)}
+          </Text>
+        </View>
+        <View style={styles.fairnessRow}>
+          <Text style={styles.fairnessLabel}>Chi-square / p-value</Text>
+          <Text style={styles.fairnessValue}>
+            {fairness.chiSquare.toFixed(2)} / {formatPValue(fairness.pValue)}
+          </Text>
+        </View>
+
+        <Text style={styles.fairnessHint}>
+          A p-value below 0.05 means a split this uneven would happen by chance less than 1 time in 20.
+          Even a fair coin does that now and then.
+        </Text>
+      </View>
+    );
+  };
+
+  const renderHeader = () => (
+    <View>
+      <View style={styles.summaryRow}>
+        <View style={styles.summaryCard}>
+          <Text style={styles.summaryValue}>{coinFlips.length}</Text>
+          <Text style={styles.summaryLabel}>Flips</Text>
+          <Text style={styles.summaryDetail}> </Text>
+        </View>
+        {renderStreak('Current streak', streaks.current)}
+        {renderStreak('Longest streak', streaks.longest)}
+      </View>
+
+      <Text style={styles.sectionTitle}>Fairness Check</Text>
+      <View style={styles.sectionContent}>
+        {renderFairness()}
+      </View>
+
+      <Text style={styles.sectionTitle}>Timeline</Text>
+    </View>
+  );
+
+  const renderFlip = ({ item, index }) => {
+    const face = faces[item.side];
+    const headsChance = clampHeadsChance(item.headsChance);
+
+    return (
+      <View style={styles.flipRow}>
+        <Text style={styles.flipIndex}>#{coinFlips.length - index}</Text>
+        <View style={[styles.flipCoin, { backgroundColor: face.color }]}>
+          <Text style={styles.flipCoinText}>{face.emoji || face.label.charAt(0).toUpperCase()}</Text>
+        </View>
+        <View style={styles.flipText}>
+          <Text style={styles.flipLabel} numberOfLines={1}>
+            {face.label}
+            {headsChance !== 50 ? <Text style={styles.flipOdds}>  {headsChance}% heads</Text> : null}
+          </Text>
+          {!isStandardRandomness(item.randomness) && (
+            <Text style={styles.flipOdds} numberOfLines={1}>{describeRandomness(item.randomness)}</Text>
+          )}
+        </View>
+        {canReplay(item.randomness) && item.coinCount > 0 && (
+          <TouchableOpacity style={styles.flipAction} onPress={() => verifyFlip(item)}>
+            <FontAwesome5 name="check-circle" size={16} color="#34C759" />
+          </TouchableOpacity>
+        )}
+        <Text style={styles.flipTime}>{formatTimestamp(item.timestamp)}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom', 'left', 'right']}>
+      <Stack.Screen
+        options={{
+          title: 'Flip History',
+          headerShown: true,
+          headerTitleStyle: { fontSize: 18, fontWeight: '600' },
+          headerLeft: () => (
+            <TouchableOpacity style={styles.headerButton} onPress={() => router.back()}>
+              <FontAwesome5 name="chevron-left" size={20} color="#007AFF" />
+            </TouchableOpacity>
+          ),
+          headerRight: () => coinFlips.length > 0 ? (
+            <TouchableOpacity style={styles.headerButton} onPress={handleClear}>
+              <FontAwesome5 name="trash" size={18} color="#FF3B30" />
+            </TouchableOpacity>
+          ) : null,
+        }}
+      />
+
+      {coinFlips.length > 0 ? (
+        <FlatList
+          data={coinFlips}
+          renderItem={renderFlip}
+          keyExtractor={(item) => item.id}
+          ListHeaderComponent={renderHeader}
+          contentContainerStyle={styles.list}
+          showsVerticalScrollIndicator={false}
+        />
+      ) : (
+        <View style={styles.emptyState}>
+          <FontAwesome5 name="coins" size={60} color="#ccc" />
+          <Text style={styles.emptyTitle}>No flips yet</Text>
+          <Text style={styles.emptyDescription}>
+            Flip the coin and every result will show up here
+          </Text>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  headerButton: {
+    padding: 8,
+  },
+  list: {
+    padding: 20,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginBottom: 30,
+  },
+  summaryCard: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 16,
+    paddingVertical: 16,
+    paddingHorizontal: 10,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  summaryValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  summaryLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  summaryDetail: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 15,
+  },
+  sectionContent: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 30,
+  },
+  verdictRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 16,
+  },
+  verdictText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  fairnessRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  fairnessLabel: {
+    fontSize: 14,
+    color: '#666',
+  },
+  fairnessValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  fairnessHint: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+    marginTop: 12,
+    lineHeight: 17,
+  },
+  flipRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  flipIndex: {
+    width: 48,
+    fontSize: 13,
+    color: '#999',
+  },
+  flipCoin: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 10,
+  },
+  flipCoinText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: 'white',
+  },
+  flipText: {
+    flex: 1,
+  },
+  flipLabel: {
+    fontSize: 15,
+    color: '#1a1a1a',
+  },
+  flipOdds: {
+    fontSize: 12,
+    color: '#999',
+  },
+  flipAction: {
+    padding: 6,
+    marginLeft: 6,
+  },
+  flipTime: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 10,
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  emptyDescription: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
@@ -1,7 +1,7 @@
 /**
  * Wheel Detail Screen
  * Purpose: Display and spin a specific wheel
- * Extend: Add spin history, share results, custom animations
+ * Extend: Add share results, custom animations
  */
 
 import React, { useState, useRef, useEffect } from 'react';
@@ -12,38 +12,65 @@ import {
   TouchableOpacity,
   Alert,
   Dimensions,
-  Animated,
-  Easing,
+  ActionSheetIOS,
+  Platform,
+  Share,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useLocalSearchParams, router } from 'expo-router';
 import { FontAwesome5 } from '@expo/vector-icons';
-import Svg, { G, Path, Text as SvgText, Circle, Polygon } from 'react-native-svg';
-import * as Haptics from 'expo-haptics';
 import { useApp } from '../../contexts/AppContext';
-
-// Utility to map angle → option index
-// finalDeg: wheel's final rotation in degrees (clockwise positive)
-// n: number of options
-// baseOffsetDeg: center of option[0] relative to 12 o'clock, clockwise (+)
-function pickIndex(finalDeg, n, baseOffsetDeg = 0) {
-  const pointerBiasDeg = -15; // Adjust to fix right-side bias
-  const seg = 360 / n;
-  const norm = ((finalDeg % 360) + 360) % 360; // 0..360
-  const a = (baseOffsetDeg + pointerBiasDeg + seg / 2 - norm + 360) % 360;
-  return Math.floor(a / seg); // 0..n-1
-}
+import DecisionWheel from '../../components/DecisionWheel';
+import EliminationPanel from '../../components/EliminationPanel';
+import CooldownSettingsSheet from '../../components/CooldownSettingsSheet';
+import CoolingNotice from '../../components/CoolingNotice';
+import MultiDrawSheet from '../../components/MultiDrawSheet';
+import ActionMenu from '../../components/ActionMenu';
+import FairDrawSheet from '../../components/FairDrawSheet';
+import { createSpinResult, createDrawResult } from '../../utils/wheelEngine';
+import {
+  getElimination,
+  isEliminationComplete,
+  eliminateOption,
+  restoreEliminated,
+  setEliminationEnabled,
+} from '../../utils/elimination';
+import { getCooldown, getCoolingOptions } from '../../utils/cooldown';
+import {
+  createFairDraw,
+  matchesFrozenOptions,
+  pickFairWinner,
+  createFairRecord,
+  createReceipt,
+  formatReceipt,
+} from '../../utils/fairDraw';
+import { canReplay } from '../../utils/randomness';
 
 const { width } = Dimensions.get('window');
 const WHEEL_SIZE = width * 0.9;
 
 export default function WheelDetailScreen() {
   const { id } = useLocalSearchParams();
-  const { wheels, updateWheel, settings, addSpinResult } = useApp();
+  const {
+    wheels,
+    updateWheel,
+    settings,
+    addSpinResult,
+    getSpinResultsForWheel,
+    takeRandomSource,
+  } = useApp();
   const [wheel, setWheel] = useState(null);
   const [isSpinning, setIsSpinning] = useState(false);
+  const [showCooldownSheet, setShowCooldownSheet] = useState(false);
+  const [showDrawSheet, setShowDrawSheet] = useState(false);
+  const [showFairDrawSheet, setShowFairDrawSheet] = useState(false);
+  const [drawnIds, setDrawnIds] = useState([]); // Winners of the draw in progress, faded on the wheel
+  const [menuActions, setMenuActions] = useState(null); // Wheel options menu on Android
   const [currentResult, setCurrentResult] = useState('???');
-  const rotationAnim = useRef(new Animated.Value(0)).current;
+  const wheelRef = useRef(null);
+  const randomnessRef = useRef(null); // How the winners of the current spin were drawn
+  const drawRef = useRef(null); // What the current seeded spin drew from
+  const fairSpinRef = useRef(null); // { audienceSeed } while a fair draw spin is running
 
   useEffect(() => {
     const foundWheel = wheels.find(w => w.id === id);
@@ -54,26 +81,6 @@ export default function WheelDetailScreen() {
     }
   }, [wheels, id]);
 
-  // Update result based on current wheel rotation
-  useEffect(() => {
-    if (!wheel || isSpinning) return;
-    
-    const enabledOptions = wheel.options.filter(opt => opt.enabled);
-    if (enabledOptions.length === 0) return;
-
-    const listener = rotationAnim.addListener(({ value }) => {
-      const normalizedRotation = ((value % 360) + 360) % 360;
-      const degreesPerOption = 360 / enabledOptions.length;
-      const pointerAngle = (90 - normalizedRotation + 360) % 360; // Adjust for pointer at top
-      const selectedIndex = Math.floor(pointerAngle / degreesPerOption);
-      const selectedOption = enabledOptions[selectedIndex];
-      
-      // Visual feedback only - result is set by spinWheel function
-    });
-
-    return () => rotationAnim.removeListener(listener);
-  }, [wheel, isSpinning, rotationAnim]);
-
   const spinWheel = () => {
     if (!wheel || isSpinning) return;
 
@@ -82,107 +89,223 @@ export default function WheelDetailScreen() {
       Alert.alert('No Options', 'Please enable at least one option to spin the wheel.');
       return;
     }
+    if (isEliminationComplete(wheel)) {
+      Alert.alert('Elimination Complete', 'Every option has been ranked. Restore all options to start again.');
+      return;
+    }
 
+    // A committed fair draw decides its winner from the secret, so it spins from its sheet
+    if (wheel.fairDraw) {
+      setShowFairDrawSheet(true);
+      return;
+    }
+
+    wheelRef.current?.spin();
+  };
+
+  // Options that can win right now; a fair draw commits to exactly these
+  const getEligibleOptions = () => {
+    const coolingIds = getCoolingOptions(wheel, getSpinResultsForWheel(wheel.id)).map(entry => entry.optionId);
+    return wheel.options.filter(option => option.enabled && !coolingIds.includes(option.id));
+  };
+
+  const commitFairDraw = async () => {
+    try {
+      const fairDraw = await createFairDraw(getEligibleOptions());
+      saveWheel({ ...wheel, fairDraw });
+    } catch (error) {
+      console.error('Error creating fair draw:', error);
+      Alert.alert('Error', 'Failed to create the commitment.');
+    }
+  };
+
+  const cancelFairDraw = () => {
+    const { fairDraw, ...rest } = wheel;
+    saveWheel(rest);
+    setShowFairDrawSheet(false);
+  };
+
+  const spinFairDraw = async (audienceSeed) => {
+    if (!matchesFrozenOptions(wheel.fairDraw, getEligibleOptions())) {
+      Alert.alert(
+        'Wheel Changed',
+        'The options that can win are different from the committed ones. Undo the change or cancel the fair draw.'
+      );
+      return;
+    }
+
+    try {
+      const winner = await pickFairWinner(wheel.fairDraw.options, wheel.fairDraw.secret, audienceSeed);
+      setShowFairDrawSheet(false);
+      fairSpinRef.current = { audienceSeed };
+      if (!winner || !wheelRef.current?.spin({ winnerId: winner.id })) {
+        fairSpinRef.current = null;
+        Alert.alert('Error', 'The wheel could not land on the fair draw winner.');
+      }
+    } catch (error) {
+      console.error('Error running fair draw:', error);
+      fairSpinRef.current = null;
+      Alert.alert('Error', 'Failed to run the fair draw.');
+    }
+  };
+
+  // The reveal: the secret goes into the history and a receipt anyone can check
+  const revealFairDraw = (selectedOption, spunWheel) => {
+    const { fairDraw, ...revealedWheel } = spunWheel;
+    const { audienceSeed } = fairSpinRef.current;
+    fairSpinRef.current = null;
+
+    saveWheel(revealedWheel);
+    addSpinResult(createSpinResult(wheel.id, selectedOption, createFairRecord(fairDraw, audienceSeed)));
+
+    const receipt = createReceipt(wheel.name, fairDraw, audienceSeed, selectedOption);
+    Alert.alert(
+      'Fair Draw Revealed',
+      `"${selectedOption.label}" won. Share the receipt so anyone can check the commitment and the winner.`,
+      [
+        { text: 'Done', style: 'cancel' },
+        { text: 'Share Receipt', onPress: () => shareReceipt(receipt) },
+      ]
+    );
+  };
+
+  const shareReceipt = async (receipt) => {
+    try {
+      await Share.share({
+        message: formatReceipt(receipt),
+        title: `${wheel.name} fair draw receipt`,
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to share receipt.');
+    }
+  };
+
+  // The wheel asks for a random function once per spin or draw; its record goes into the history
+  // Seeded spins also keep what they drew from, so they can be replayed after the wheel changes
+  const getRandom = (draw) => {
+    const source = takeRandomSource();
+    randomnessRef.current = source.record;
+    drawRef.current = canReplay(source.record) ? draw : null;
+    return source.random;
+  };
+
+  const handleSpinStart = () => {
     setIsSpinning(true);
     setCurrentResult('???');
+  };
 
-    // Calculate final rotation
-    const fullRotations = 5 + Math.random() * 3; // 5-8 full rotations for dramatic effect
-    const randomStopAngle = Math.random() * 360;
-    const currentRotation = rotationAnim._value % 360;
-    const finalRotation = currentRotation + fullRotations * 360 + randomStopAngle;
+  const handleSpinEnd = (selectedOption) => {
+    setCurrentResult(selectedOption.label);
+    setIsSpinning(false);
 
-    if (settings.hapticsEnabled) {
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    // Update wheel last used; in elimination mode the winner also sits out the following spins
+    const spunWheel = getElimination(wheel).enabled ? eliminateOption(wheel, selectedOption.id) : wheel;
+    if (fairSpinRef.current) {
+      revealFairDraw(selectedOption, spunWheel);
+      return;
     }
+    saveWheel(spunWheel);
 
-    // Function to handle spin end
-    const onSpinEnd = (finalDeg) => {
-      const idx = pickIndex(finalDeg, enabledOptions.length, 0);
-      const selectedOption = enabledOptions[idx];
-      
-      setCurrentResult(selectedOption.label);
-      setIsSpinning(false);
-      
-      // Update wheel last used
-      const updatedWheel = { ...wheel, updatedAt: new Date().toISOString() };
-      updateWheel(updatedWheel);
-      setWheel(updatedWheel);
-
-      // Record spin result
-      addSpinResult({
-        id: Date.now().toString(),
-        wheelId: wheel.id,
-        winnerOptionId: selectedOption.id,
-        timestamp: new Date().toISOString(),
-      });
+    // Record spin result
+    addSpinResult(createSpinResult(wheel.id, selectedOption, randomnessRef.current, drawRef.current));
+  };
 
-      if (settings.hapticsEnabled) {
-        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-      }
-    };
-
-    Animated.timing(rotationAnim, {
-      toValue: finalRotation,
-      duration: settings.defaultSpinDuration * 1000,
-      easing: Easing.out(Easing.cubic),
-      useNativeDriver: true,
-    }).start(() => {
-      onSpinEnd(finalRotation);
+  // Spin once per winner and record the whole draw as one history entry
+  const drawWinners = async ({ count, replacement }) => {
+    setShowDrawSheet(false);
+
+    const drawn = [];
+    const winners = await wheelRef.current?.spinMany(count, {
+      replacement,
+      onStep: (option) => {
+        drawn.push(option);
+        setCurrentResult(drawn.map(winner => winner.label).join(', '));
+        if (!replacement) setDrawnIds(drawn.map(winner => winner.id));
+      },
     });
+    setDrawnIds([]);
+    if (!winners) return;
+    setIsSpinning(false);
+
+    addSpinResult(createDrawResult(wheel.id, winners, replacement, randomnessRef.current, drawRef.current));
+
+    // Update wheel last used; in elimination mode every winner also sits out the following spins
+    const spunWheel = getElimination(wheel).enabled
+      ? winners.reduce((current, option) => eliminateOption(current, option.id), wheel)
+      : wheel;
+    saveWheel(spunWheel);
+  };
+
+  const saveWheel = (changedWheel) => {
+    const updatedWheel = { ...changedWheel, updatedAt: new Date().toISOString() };
+    updateWheel(updatedWheel);
+    setWheel(updatedWheel);
+  };
+
+  const saveCooldown = (cooldown) => {
+    saveWheel({ ...wheel, cooldown });
+    setShowCooldownSheet(false);
+  };
+
+  const toggleElimination = () => {
+    const { enabled, order } = getElimination(wheel);
+    if (enabled && order.length > 0) {
+      Alert.alert(
+        'Turn Off Elimination',
+        'Eliminated options will be put back on the wheel.',
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Turn Off', onPress: () => saveWheel(setEliminationEnabled(wheel, false)) },
+        ]
+      );
+      return;
+    }
+    saveWheel(setEliminationEnabled(wheel, !enabled));
+  };
+
+  const handleMoreActions = () => {
+    if (isSpinning) return;
+
+    const eliminationLabel = getElimination(wheel).enabled
+      ? 'Turn Off Elimination Mode'
+      : 'Turn On Elimination Mode';
+    const actions = [
+      { text: eliminationLabel, onPress: toggleElimination },
+      { text: wheel.fairDraw ? 'Fair Draw (Committed)' : 'Fair Draw', onPress: () => setShowFairDrawSheet(true) },
+      // Fair draws commit to a single winner, so several winners wait until it is revealed
+      ...(wheel.fairDraw ? [] : [{ text: 'Draw Multiple Winners', onPress: () => setShowDrawSheet(true) }]),
+      { text: 'No-Repeat Cooldown', onPress: () => setShowCooldownSheet(true) },
+      { text: 'Split into Groups', onPress: () => router.push(`/groups/${wheel.id}`) },
+      { text: 'Spin History', onPress: handleHistory },
+    ];
+
+    if (Platform.OS === 'ios') {
+      ActionSheetIOS.showActionSheetWithOptions(
+        {
+          options: [...actions.map(action => action.text), 'Cancel'],
+          cancelButtonIndex: actions.length,
+        },
+        (buttonIndex) => {
+          if (buttonIndex < actions.length) actions[buttonIndex].onPress();
+        }
+      );
+    } else {
+      setMenuActions(actions);
+    }
   };
 
   const resetWheel = () => {
-    rotationAnim.setValue(0);
+    if (isSpinning) return;
+    wheelRef.current?.reset();
     setCurrentResult('???');
   };
 
-  const handleEdit = () => {
-    router.push(`/edit/${wheel.id}`);
+  const handleHistory = () => {
+    router.push(`/history/${wheel.id}`);
   };
 
-  const createWheelPath = (options) => {
-    if (options.length === 0) return [];
-
-    const centerX = WHEEL_SIZE / 2;
-    const centerY = WHEEL_SIZE / 2;
-    const radius = WHEEL_SIZE / 2 - 10;
-    const degreesPerSlice = 360 / options.length;
-
-    return options.map((option, index) => {
-      const startAngle = (index * degreesPerSlice - 90) * (Math.PI / 180);
-      const endAngle = ((index + 1) * degreesPerSlice - 90) * (Math.PI / 180);
-
-      const x1 = centerX + radius * Math.cos(startAngle);
-      const y1 = centerY + radius * Math.sin(startAngle);
-      const x2 = centerX + radius * Math.cos(endAngle);
-      const y2 = centerY + radius * Math.sin(endAngle);
-
-      const largeArcFlag = degreesPerSlice > 180 ? 1 : 0;
-
-      const pathData = [
-        `M ${centerX} ${centerY}`,
-        `L ${x1} ${y1}`,
-        `A ${radius} ${radius} 0 ${largeArcFlag} 1 ${x2} ${y2}`,
-        'Z'
-      ].join(' ');
-
-      // Calculate text position
-      const textAngle = (index + 0.5) * degreesPerSlice - 90;
-      const textRadius = radius * 0.65;
-      const textX = centerX + textRadius * Math.cos(textAngle * (Math.PI / 180));
-      const textY = centerY + textRadius * Math.sin(textAngle * (Math.PI / 180));
-
-      return {
-        path: pathData,
-        color: option.color,
-        label: option.label,
-        textX,
-        textY,
-        textAngle,
-        opacity: option.enabled ? 1 : 0.4,
-      };
-    });
+  const handleEdit = () => {
+    router.push(`/edit/${wheel.id}`);
   };
 
   if (!wheel) {
@@ -194,14 +317,16 @@ export default function WheelDetailScreen() {
   }
 
   const enabledOptions = wheel.options.filter(opt => opt.enabled);
-  const wheelPaths = createWheelPath(enabledOptions);
+  const cooling = getCoolingOptions(wheel, getSpinResultsForWheel(wheel.id));
 
   return (
     <SafeAreaView style={styles.container}>
       {/* Header with settings and menu */}
       <View style={styles.header}>
-        <View style={styles.headerSpacer} />
-        <TouchableOpacity style={styles.headerButton}>
+        <TouchableOpacity style={styles.headerButton} onPress={handleHistory}>
+          <FontAwesome5 name="history" size={20} color="#007AFF" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.headerButton} onPress={handleMoreActions}>
           <FontAwesome5 name="ellipsis-h" size={24} color="#007AFF" />
         </TouchableOpacity>
       </View>
@@ -209,92 +334,51 @@ export default function WheelDetailScreen() {
       {/* Wheel title */}
       <View style={styles.titleContainer}>
         <Text style={styles.wheelTitle}>{wheel.name}</Text>
+        {wheel.fairDraw && (
+          <TouchableOpacity style={styles.fairDrawBadge} onPress={() => setShowFairDrawSheet(true)}>
+            <FontAwesome5 name="lock" size={12} color="#34C759" />
+            <Text style={styles.fairDrawBadgeText}>
+              Fair draw committed · {wheel.fairDraw.commitment.slice(0, 8)}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Result display */}
       <View style={styles.resultContainer}>
-        <Text style={styles.resultText}>{currentResult}</Text>
+        <Text style={styles.resultText} numberOfLines={2} adjustsFontSizeToFit>{currentResult}</Text>
       </View>
 
-      {/* Wheel container with shadow */}
-      <View style={styles.wheelContainer}>
-        {/* Fixed pointer above wheel */}
-        <View style={styles.pointerContainer}>
-          <View style={styles.pointer} />
-        </View>
-        
-        <View style={styles.wheelShadow}>
-          <Animated.View
-            style={[
-              styles.wheel,
-              {
-                transform: [{
-                  rotate: rotationAnim.interpolate({
-                    inputRange: [0, 360],
-                    outputRange: ['0deg', '360deg'],
-                  })
-                }]
-              }
-            ]}
-          >
-            <Svg width={WHEEL_SIZE} height={WHEEL_SIZE}>
-              <G>
-                {wheelPaths.map((slice, index) => (
-                  <G key={index}>
-                    <Path
-                      d={slice.path}
-                      fill={slice.color}
-                      stroke="white"
-                      strokeWidth={2}
-                      opacity={slice.opacity}
-                    />
-                    <SvgText
-                      x={slice.textX}
-                      y={slice.textY}
-                      fill="white"
-                      fontSize={13}
-                      fontWeight="600"
-                      textAnchor="middle"
-                      alignmentBaseline="middle"
-                      transform={`rotate(${slice.textAngle}, ${slice.textX}, ${slice.textY})`}
-                    >
-                      {slice.label.length > 12 ? slice.label.slice(0, 12) + '...' : slice.label}
-                    </SvgText>
-                  </G>
-                ))}
-                {/* Center hub */}
-                <Circle
-                  cx={WHEEL_SIZE / 2}
-                  cy={WHEEL_SIZE / 2}
-                  r={35}
-                  fill="white"
-                  stroke="#E0E0E0"
-                  strokeWidth={2}
-                />
-                <Circle
-                  cx={WHEEL_SIZE / 2}
-                  cy={WHEEL_SIZE / 2}
-                  r={20}
-                  fill="#F0F0F0"
-                />
-              </G>
-            </Svg>
-            {/* Clickable center button overlay */}
-            <TouchableOpacity
-              style={styles.centerButton}
-              onPress={spinWheel}
-              disabled={isSpinning}
-              activeOpacity={0.7}
-            >
-              <View style={styles.centerButtonInner} />
-            </TouchableOpacity>
-          </Animated.View>
-        </View>
-      </View>
+      {/* Wheel with pointer */}
+      <DecisionWheel
+        ref={wheelRef}
+        options={enabledOptions}
+        size={WHEEL_SIZE}
+        spinDuration={settings.defaultSpinDuration}
+        hapticsEnabled={settings.hapticsEnabled}
+        showCenterKnob
+        disabled={isEliminationComplete(wheel)}
+        blockedOptionIds={[...cooling.map(entry => entry.optionId), ...drawnIds]}
+        onSpinStart={handleSpinStart}
+        onSpinEnd={handleSpinEnd}
+        getRandom={getRandom}
+        onCenterPress={spinWheel}
+        style={styles.wheelContainer}
+      />
+
+      {getCooldown(wheel).enabled && <CoolingNotice cooling={cooling} />}
+
+      {getElimination(wheel).enabled && (
+        <EliminationPanel
+          wheel={wheel}
+          hapticsEnabled={settings.hapticsEnabled}
+          onRestore={() => saveWheel(restoreEliminated(wheel))}
+        />
+      )}
 
       {/* Bottom controls */}
       <View style={styles.bottomControls}>
-        <TouchableOpacity style={styles.controlButton}>
+        <TouchableOpacity style={styles.controlButton} onPress={handleMoreActions}>
           <FontAwesome5 name="ellipsis-h" size={20} color="#007AFF" />
         </TouchableOpacity>
 
@@ -315,10 +399,42 @@ export default function WheelDetailScreen() {
           disabled={isSpinning}
         >
           <Text style={styles.spinButtonText}>
-            {isSpinning ? 'Spinning...' : 'Spin'}
+            {isSpinning ? 'Spinning...' : wheel.fairDraw ? 'Fair Spin' : 'Spin'}
           </Text>
         </TouchableOpacity>
       </View>
+
+      <CooldownSettingsSheet
+        visible={showCooldownSheet}
+        wheel={wheel}
+        onClose={() => setShowCooldownSheet(false)}
+        onSave={saveCooldown}
+      />
+
+      <MultiDrawSheet
+        visible={showDrawSheet}
+        availableCount={enabledOptions.length - cooling.length}
+        allowReplacement={!getElimination(wheel).enabled}
+        onClose={() => setShowDrawSheet(false)}
+        onDraw={drawWinners}
+      />
+
+      <FairDrawSheet
+        visible={showFairDrawSheet}
+        wheel={wheel}
+        optionCount={enabledOptions.length - cooling.length}
+        onClose={() => setShowFairDrawSheet(false)}
+        onCommit={commitFairDraw}
+        onCancelDraw={cancelFairDraw}
+        onSpin={spinFairDraw}
+      />
+
+      <ActionMenu
+        visible={menuActions !== null}
+        title="Wheel Options"
+        actions={menuActions || []}
+        onClose={() => setMenuActions(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -349,10 +465,6 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
-  headerSpacer: {
-    width: 44,
-    height: 44,
-  },
   titleContainer: {
     alignItems: 'center',
     marginBottom: 30,
@@ -367,78 +479,34 @@ const styles = StyleSheet.create({
     borderRadius: 20,
     overflow: 'hidden',
   },
+  fairDrawBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: '#E8F8EC',
+  },
+  fairDrawBadgeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#34C759',
+  },
   resultContainer: {
     alignItems: 'center',
     marginBottom: 40,
+    paddingHorizontal: 20,
   },
   resultText: {
     fontSize: 48,
     fontWeight: 'bold',
     color: '#1A1A1A',
+    textAlign: 'center',
   },
   wheelContainer: {
-    alignItems: 'center',
-    justifyContent: 'center',
     marginBottom: 50,
-    position: 'relative',
-  },
-  wheelShadow: {
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 8 },
-    shadowOpacity: 0.15,
-    shadowRadius: 16,
-    elevation: 8,
-    borderRadius: WHEEL_SIZE / 2,
-    backgroundColor: 'transparent',
-  },
-  wheel: {
-    borderRadius: WHEEL_SIZE / 2,
-    overflow: 'hidden',
-    position: 'relative',
-  },
-  centerButton: {
-    position: 'absolute',
-    top: WHEEL_SIZE / 2 - 35,
-    left: WHEEL_SIZE / 2 - 35,
-    width: 70,
-    height: 70,
-    borderRadius: 35,
-    alignItems: 'center',
-    justifyContent: 'center',
-    zIndex: 10,
-  },
-  pointerContainer: {
-    position: 'absolute',
-    top: WHEEL_SIZE / 2 - 52,
-    left: WHEEL_SIZE / 2,
-    width: 20,
-    height: 20,
-    alignItems: 'center',
-    justifyContent: 'center',
-    zIndex: 15,
-  },
-  pointer: {
-    width: 0,
-    height: 0,
-    borderLeftWidth: 10,
-    borderRightWidth: 10,
-    borderBottomWidth: 20,
-    borderLeftColor: 'transparent',
-    borderRightColor: 'transparent',
-    borderBottomColor: 'white',
-  },
-  centerButtonInner: {
-    width: 40,
-    height: 40,
-    borderRadius: 20,
-    backgroundColor: 'white',
-    alignItems: 'center',
-    justifyContent: 'center',
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.15,
-    shadowRadius: 4,
-    elevation: 4,
   },
   bottomControls: {
     flexDirection: 'row',
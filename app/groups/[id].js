@@ -0,0 +1,409 @@
+/**
+ * Group Splitter Screen
+ * Purpose: Split a wheel's enabled options into random groups or teams
+ * Extend: Add saved group history, keep-apart rules, custom team names
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  Alert,
+  Share,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Stack, useLocalSearchParams, router } from 'expo-router';
+import { FontAwesome5 } from '@expo/vector-icons';
+import * as Clipboard from 'expo-clipboard';
+import * as Haptics from 'expo-haptics';
+import { useApp } from '../../contexts/AppContext';
+import { getOptionWeight } from '../../utils/wheelEngine';
+import {
+  splitIntoGroups,
+  splitIntoGroupsOfSize,
+  splitIntoBalancedGroups,
+} from '../../utils/grouping';
+
+const SPLIT_MODES = [
+  { key: 'count', label: 'Number of groups' },
+  { key: 'size', label: 'Group size' },
+];
+
+export default function GroupSplitterScreen() {
+  const { id } = useLocalSearchParams();
+  const { wheels, settings, takeRandomSource } = useApp();
+  const [splitMode, setSplitMode] = useState('count'); // 'count' or 'size'
+  const [amount, setAmount] = useState(2);
+  const [balanceByWeight, setBalanceByWeight] = useState(false);
+  const [groups, setGroups] = useState([]);
+
+  const wheel = wheels.find(w => w.id === id);
+  const members = wheel ? wheel.options.filter(option => option.enabled) : [];
+  const maxAmount = Math.max(1, splitMode === 'count' ? members.length : members.length - 1);
+  const value = Math.min(amount, maxAmount);
+
+  const split = () => {
+    if (members.length === 0) {
+      setGroups([]);
+      return;
+    }
+
+    const groupCount = splitMode === 'count' ? value : Math.ceil(members.length / value);
+    const { random } = takeRandomSource();
+    let result;
+    if (balanceByWeight) {
+      result = splitIntoBalancedGroups(members, groupCount, getOptionWeight, random);
+    } else if (splitMode === 'count') {
+      result = splitIntoGroups(members, value, random);
+    } else {
+      result = splitIntoGroupsOfSize(members, value, random);
+    }
+    setGroups(result);
+  };
+
+  // Re-split whenever the settings or the wheel's options change
+  useEffect(() => {
+    split();
+  }, [splitMode, value, balanceByWeight, wheel]);
+
+  const reshuffle = () => {
+    split();
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    }
+  };
+
+  const changeMode = (mode) => {
+    setSplitMode(mode);
+    setAmount(2);
+  };
+
+  const formatGroups = () => {
+    const lines = groups.map((group, index) =>
+      `Group ${index + 1}: ${group.map(option => option.label).join(', ')}`
+    );
+    return `${wheel.name} - groups\n\n${lines.join('\n')}`;
+  };
+
+  const copyGroups = async () => {
+    try {
+      await Clipboard.setStringAsync(formatGroups());
+      Alert.alert('Copied!', `Copied ${groups.length} group${groups.length === 1 ? '' : 's'}`);
+
+      if (settings.hapticsEnabled) {
+        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to copy to clipboard');
+    }
+  };
+
+  const shareGroups = async () => {
+    try {
+      await Share.share({
+        message: formatGroups(),
+        title: wheel.name,
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to share groups.');
+    }
+  };
+
+  if (!wheel) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.emptyText}>This wheel no longer exists.</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const renderGroup = (group, index) => (
+    <View key={index} style={styles.groupCard}>
+      <View style={styles.groupHeader}>
+        <Text style={styles.groupTitle}>Group {index + 1}</Text>
+        <Text style={styles.groupMeta}>
+          {group.length} member{group.length === 1 ? '' : 's'}
+          {balanceByWeight ? ` · weight ${group.reduce((sum, option) => sum + getOptionWeight(option), 0)}` : ''}
+        </Text>
+      </View>
+      {group.map(option => (
+        <View key={option.id} style={styles.memberRow}>
+          <View style={[styles.colorDot, { backgroundColor: option.color }]} />
+          <Text style={styles.memberLabel}>{option.label}</Text>
+          {balanceByWeight && <Text style={styles.memberWeight}>{getOptionWeight(option)}</Text>}
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom', 'left', 'right']}>
+      <Stack.Screen
+        options={{
+          title: 'Split into Groups',
+          headerShown: true,
+          headerTitleStyle: { fontSize: 18, fontWeight: '600' },
+          headerLeft: () => (
+            <TouchableOpacity style={styles.headerButton} onPress={() => router.back()}>
+              <FontAwesome5 name="chevron-left" size={20} color="#007AFF" />
+            </TouchableOpacity>
+          ),
+          headerRight: () => groups.length > 0 ? (
+            <TouchableOpacity style={styles.headerButton} onPress={shareGroups}>
+              <FontAwesome5 name="share" size={18} color="#007AFF" />
+            </TouchableOpacity>
+          ) : null,
+        }}
+      />
+
+      <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+        <Text style={styles.subtitle}>
+          {wheel.emoji || '🎯'} {wheel.name} · {members.length} enabled option{members.length === 1 ? '' : 's'}
+        </Text>
+
+        <View style={styles.settingsCard}>
+          <View style={styles.modeSelector}>
+            {SPLIT_MODES.map(mode => (
+              <TouchableOpacity
+                key={mode.key}
+                style={[styles.modeButton, splitMode === mode.key && styles.modeButtonActive]}
+                onPress={() => changeMode(mode.key)}
+              >
+                <Text style={[styles.modeButtonText, splitMode === mode.key && styles.modeButtonTextActive]}>
+                  {mode.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.stepper}>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => setAmount(Math.max(1, value - 1))}
+            >
+              <FontAwesome5 name="minus" size={14} color="#007AFF" />
+            </TouchableOpacity>
+            <Text style={styles.stepperValue}>
+              {splitMode === 'count' ? `${value} group${value === 1 ? '' : 's'}` : `${value} per group`}
+            </Text>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => setAmount(Math.min(maxAmount, value + 1))}
+            >
+              <FontAwesome5 name="plus" size={14} color="#007AFF" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.switchRow}>
+            <View style={styles.switchText}>
+              <Text style={styles.switchLabel}>Balance by weight</Text>
+              <Text style={styles.switchDescription}>
+                Use option weights as skill levels and even out the group totals
+              </Text>
+            </View>
+            <Switch value={balanceByWeight} onValueChange={setBalanceByWeight} />
+          </View>
+        </View>
+
+        {members.length === 0 ? (
+          <Text style={styles.emptyText}>Enable some options on this wheel to split them into groups.</Text>
+        ) : (
+          groups.map(renderGroup)
+        )}
+      </ScrollView>
+
+      {groups.length > 0 && (
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.secondaryButton} onPress={copyGroups}>
+            <FontAwesome5 name="copy" size={16} color="#007AFF" />
+            <Text style={styles.secondaryButtonText}>Copy</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.primaryButton} onPress={reshuffle}>
+            <FontAwesome5 name="random" size={16} color="white" />
+            <Text style={styles.primaryButtonText}>Reshuffle</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  headerButton: {
+    padding: 8,
+  },
+  content: {
+    padding: 20,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 15,
+  },
+  settingsCard: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  modeSelector: {
+    flexDirection: 'row',
+    backgroundColor: '#E8F4FD',
+    borderRadius: 20,
+    padding: 4,
+    marginBottom: 16,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  modeButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  modeButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  modeButtonTextActive: {
+    color: 'white',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#E8F4FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  switchLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  switchDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  groupCard: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  groupTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  groupMeta: {
+    fontSize: 13,
+    color: '#999',
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  colorDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 10,
+  },
+  memberLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1a1a1a',
+  },
+  memberWeight: {
+    fontSize: 14,
+    color: '#999',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    padding: 20,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  secondaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#E8F4FD',
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  primaryButton: {
+    flex: 2,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 14,
+    borderRadius: 12,
+    backgroundColor: '#007AFF',
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
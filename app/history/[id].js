@@ -0,0 +1,368 @@
+/**
+ * Wheel History Screen
+ * Purpose: Spin log and win statistics for a single wheel
+ * Extend: Add charts, date filters, export of the log
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Stack, useLocalSearchParams, router } from 'expo-router';
+import { FontAwesome5 } from '@expo/vector-icons';
+import { useApp } from '../../contexts/AppContext';
+import { getWheelStats, getResultWinnerIds } from '../../utils/spinHistory';
+import { replayWheelDraw } from '../../utils/wheelEngine';
+import {
+  describeRandomness,
+  isStandardRandomness,
+  canReplay,
+  replayRandom,
+} from '../../utils/randomness';
+
+const formatPercent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+export default function WheelHistoryScreen() {
+  const { id } = useLocalSearchParams();
+  const { wheels, getSpinResultsForWheel, clearSpinHistory } = useApp();
+
+  const wheel = wheels.find(w => w.id === id);
+  const results = getSpinResultsForWheel(id);
+
+  if (!wheel) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.emptyDescription}>This wheel no longer exists.</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const stats = getWheelStats(wheel, results);
+  const labelById = Object.fromEntries(stats.optionStats.map(option => [option.id, option.label]));
+  const colorById = Object.fromEntries(stats.optionStats.map(option => [option.id, option.color]));
+
+  const handleClear = () => {
+    Alert.alert(
+      'Clear History',
+      `Delete all ${stats.totalSpins} recorded spins of "${wheel.name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: () => clearSpinHistory(wheel.id) },
+      ]
+    );
+  };
+
+  const renderStreak = (title, streak) => (
+    <View style={styles.summaryCard}>
+      <Text style={styles.summaryValue}>{streak.length}</Text>
+      <Text style={styles.summaryLabel}>{title}</Text>
+      <Text style={styles.summaryDetail} numberOfLines={1}>
+        {streak.length > 0 ? labelById[streak.optionId] : '-'}
+      </Text>
+    </View>
+  );
+
+  const renderOptionStat = (option) => (
+    <View key={option.id} style={styles.statRow}>
+      <View style={styles.statHeader}>
+        <View style={[styles.colorDot, { backgroundColor: option.color }]} />
+        <Text style={[styles.statLabel, !option.enabled && styles.statLabelDisabled]} numberOfLines={1}>
+          {option.label}
+        </Text>
+        <Text style={styles.statWins}>{option.wins}</Text>
+      </View>
+      <View style={styles.barTrack}>
+        <View style={[styles.barObserved, { width: `${option.observed * 100}%`, backgroundColor: option.color }]} />
+        {option.expected > 0 && (
+          <View style={[styles.barExpected, { left: `${option.expected * 100}%` }]} />
+        )}
+      </View>
+      <Text style={styles.statShares}>
+        Observed {formatPercent(option.observed)} · Expected {formatPercent(option.expected)}
+      </Text>
+    </View>
+  );
+
+  const renderHeader = () => (
+    <View>
+      <View style={styles.summaryRow}>
+        <View style={styles.summaryCard}>
+          <Text style={styles.summaryValue}>{stats.totalSpins}</Text>
+          <Text style={styles.summaryLabel}>Spins</Text>
+          <Text style={styles.summaryDetail}> </Text>
+        </View>
+        {renderStreak('Current streak', stats.currentStreak)}
+        {renderStreak('Longest streak', stats.longestStreak)}
+      </View>
+
+      <Text style={styles.sectionTitle}>Wins per Option</Text>
+      <View style={styles.sectionContent}>
+        {stats.optionStats.map(renderOptionStat)}
+        <Text style={styles.legend}>The marker shows each option's expected share from its current weight.</Text>
+      </View>
+
+      <Text style={styles.sectionTitle}>Spin Log</Text>
+    </View>
+  );
+
+  // Seeded spins are drawn again from their seed and draw number, with the options as they
+  // were at the time, and compared with the stored winners
+  const verifySpin = (result) => {
+    const random = replayRandom(result.randomness);
+    if (!random || !result.draw) return;
+
+    const replayedIds = replayWheelDraw(result.draw, random);
+    if (JSON.stringify(replayedIds) === JSON.stringify(getResultWinnerIds(result))) {
+      Alert.alert('Verified', `${describeRandomness(result.randomness)} gives exactly this result.`);
+    } else {
+      Alert.alert('Mismatch', `${describeRandomness(result.randomness)} gives a different result.`);
+    }
+  };
+
+  const renderLogEntry = ({ item, index }) => {
+    const winnerIds = getResultWinnerIds(item);
+    // Options removed since the spin keep the label they had when it was recorded
+    const frozenLabelById = Object.fromEntries((item.draw?.options || []).map(option => [option.id, option.label]));
+    const labels = winnerIds.map(winnerId => labelById[winnerId] || frozenLabelById[winnerId] || 'Removed option');
+
+    return (
+      <View style={styles.logRow}>
+        <Text style={styles.logIndex}>#{stats.totalSpins - index}</Text>
+        <View style={[styles.colorDot, { backgroundColor: colorById[winnerIds[0]] || '#C7C7CC' }]} />
+        <View style={styles.logText}>
+          <Text style={styles.logLabel} numberOfLines={2}>
+            {winnerIds.length > 1 ? `${winnerIds.length} winners: ${labels.join(', ')}` : labels[0]}
+          </Text>
+          {!isStandardRandomness(item.randomness) && (
+            <Text style={styles.logRandomness} numberOfLines={1}>{describeRandomness(item.randomness)}</Text>
+          )}
+        </View>
+        {canReplay(item.randomness) && item.draw && (
+          <TouchableOpacity style={styles.logAction} onPress={() => verifySpin(item)}>
+            <FontAwesome5 name="check-circle" size={16} color="#34C759" />
+          </TouchableOpacity>
+        )}
+        <Text style={styles.logTime}>{formatTimestamp(item.timestamp)}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom', 'left', 'right']}>
+      <Stack.Screen
+        options={{
+          title: `${wheel.emoji || '🎯'} ${wheel.name}`,
+          headerShown: true,
+          headerTitleStyle: { fontSize: 18, fontWeight: '600' },
+          headerLeft: () => (
+            <TouchableOpacity style={styles.headerButton} onPress={() => router.back()}>
+              <FontAwesome5 name="chevron-left" size={20} color="#007AFF" />
+            </TouchableOpacity>
+          ),
+          headerRight: () => stats.totalSpins > 0 ? (
+            <TouchableOpacity style={styles.headerButton} onPress={handleClear}>
+              <FontAwesome5 name="trash" size={18} color="#FF3B30" />
+            </TouchableOpacity>
+          ) : null,
+        }}
+      />
+
+      {stats.totalSpins > 0 ? (
+        <FlatList
+          data={results}
+          renderItem={renderLogEntry}
+          keyExtractor={(item) => item.id}
+          ListHeaderComponent={renderHeader}
+          contentContainerStyle={styles.list}
+          showsVerticalScrollIndicator={false}
+        />
+      ) : (
+        <View style={styles.emptyState}>
+          <FontAwesome5 name="history" size={60} color="#ccc" />
+          <Text style={styles.emptyTitle}>No spins yet</Text>
+          <Text style={styles.emptyDescription}>
+            Spin this wheel and its results will show up here
+          </Text>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  headerButton: {
+    padding: 8,
+  },
+  list: {
+    padding: 20,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginBottom: 30,
+  },
+  summaryCard: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 16,
+    paddingVertical: 16,
+    paddingHorizontal: 10,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  summaryValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  summaryLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  summaryDetail: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 15,
+  },
+  sectionContent: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 30,
+  },
+  statRow: {
+    marginBottom: 16,
+  },
+  statHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  colorDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 10,
+  },
+  statLabel: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1a1a1a',
+  },
+  statLabelDisabled: {
+    color: '#999',
+  },
+  statWins: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  barTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+  },
+  barObserved: {
+    height: 8,
+    borderRadius: 4,
+  },
+  barExpected: {
+    position: 'absolute',
+    top: 0,
+    width: 2,
+    height: 8,
+    marginLeft: -1,
+    backgroundColor: '#1a1a1a',
+  },
+  statShares: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  legend: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  logRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  logIndex: {
+    width: 48,
+    fontSize: 13,
+    color: '#999',
+  },
+  logText: {
+    flex: 1,
+  },
+  logLabel: {
+    fontSize: 15,
+    color: '#1a1a1a',
+  },
+  logRandomness: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  logAction: {
+    padding: 6,
+    marginLeft: 6,
+  },
+  logTime: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 10,
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  emptyDescription: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+});
@@ -1,7 +1,8 @@
 /**
  * My Wheels Screen
  * Purpose: Browse, create, and manage decision wheels
- * Features: Default wheel management, templates, search, sorting
+ * Features: Default wheel management, templates, search, sorting, pinning, favorites,
+ *   tags with filter chips and bulk tagging
  */
 
 import React, { useState, useEffect } from 'react';
@@ -10,6 +11,7 @@ import {
   Text,
   StyleSheet,
   FlatList,
+  ScrollView,
   TouchableOpacity,
   TextInput,
   Alert,
@@ -23,47 +25,73 @@ import { FontAwesome5 } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
 import { useApp } from '../contexts/AppContext';
 import EditWheelBottomSheet from '../components/EditWheelBottomSheet';
+import RenameWheelSheet from '../components/RenameWheelSheet';
+import ActionMenu from '../components/ActionMenu';
+import WheelTagsSheet from '../components/WheelTagsSheet';
+import {
+  createWheelCopy,
+  sortWheels,
+  getAllTags,
+  getWheelTags,
+  hasTag,
+  applyTagChanges,
+} from '../utils/wheels';
+
+const MAX_CARD_TAGS = 3;
 
 export default function MyWheelsScreen() {
   const { 
     wheels, 
     deleteWheel, 
     updateWheel, 
+    updateWheels,
     addWheel, 
+    searchWheels,
     settings, 
     currentWheelId, 
     setCurrentWheel 
   } = useApp();
   const [searchQuery, setSearchQuery] = useState('');
   const [sortOrder, setSortOrder] = useState('desc'); // 'asc' or 'desc'
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [activeTag, setActiveTag] = useState(null); // Only wheels with this tag are listed
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [taggingIds, setTaggingIds] = useState(null); // Wheels open in the tags sheet
   const [filteredWheels, setFilteredWheels] = useState([]);
   const [showEditSheet, setShowEditSheet] = useState(false);
   const [editingWheelId, setEditingWheelId] = useState(null);
+  const [renamingWheel, setRenamingWheel] = useState(null);
+  const [menuActions, setMenuActions] = useState(null); // Wheel actions menu on Android
+
+  const allTags = getAllTags(wheels);
 
   // Filter and sort wheels with pinning logic
   useEffect(() => {
-    let filtered = wheels;
-
-    // Apply search filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      filtered = wheels.filter(wheel => 
-        wheel.name.toLowerCase().includes(query) ||
-        wheel.options.some(option => 
-          option.label.toLowerCase().includes(query)
-        )
-      );
-    } else {
-      // Sort all wheels
-      filtered.sort((a, b) => {
-        const aTime = new Date(a.updatedAt || a.createdAt).getTime();
-        const bTime = new Date(b.updatedAt || b.createdAt).getTime();
-        return sortOrder === 'desc' ? bTime - aTime : aTime - bTime;
-      });
+    // Search matches names, option labels and tags
+    let filtered = searchWheels(searchQuery);
+
+    if (favoritesOnly) {
+      filtered = filtered.filter(wheel => wheel.favorite);
+    } else if (activeTag) {
+      filtered = filtered.filter(wheel => hasTag(wheel, activeTag));
+    }
+
+    // Pinned wheels stay on top, search results included
+    setFilteredWheels(sortWheels(filtered, sortOrder));
+  }, [wheels, searchQuery, sortOrder, favoritesOnly, activeTag]);
+
+  // A tag taken off its last wheel disappears from the filter chips
+  useEffect(() => {
+    if (activeTag && !wheels.some(wheel => hasTag(wheel, activeTag))) {
+      setActiveTag(null);
     }
+  }, [wheels, activeTag]);
 
-    setFilteredWheels(filtered);
-  }, [wheels, searchQuery, sortOrder]);
+  const selectFilter = (favorites, tag) => {
+    setFavoritesOnly(favorites);
+    setActiveTag(tag);
+  };
 
   const handleCreateNewWheel = () => {
     if (settings.hapticsEnabled) {
@@ -77,58 +105,80 @@ export default function MyWheelsScreen() {
     if (settings.hapticsEnabled) {
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
     }
+
+    if (isSelecting) {
+      setSelectedIds(prev => (
+        prev.includes(wheel.id) ? prev.filter(id => id !== wheel.id) : [...prev, wheel.id]
+      ));
+      return;
+    }
     
     // Set as current wheel and navigate to main spin tab
     setCurrentWheel(wheel.id);
     router.navigate('/(tabs)');
   };
 
+  // Pinning and favoriting organize the list; they don't count as changes to the wheel
+  const togglePinned = (wheel) => {
+    updateWheel({ ...wheel, pinned: !wheel.pinned });
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  const toggleFavorite = (wheel) => {
+    updateWheel({ ...wheel, favorite: !wheel.favorite });
+    if (settings.hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    }
+  };
+
+  const toggleSelecting = () => {
+    setIsSelecting(prev => !prev);
+    setSelectedIds([]);
+  };
+
+  // Tags organize the list like pins do, so they don't count as changes to the wheel
+  const saveTags = (changes) => {
+    updateWheels(
+      wheels
+        .filter(wheel => taggingIds.includes(wheel.id))
+        .map(wheel => applyTagChanges(wheel, changes))
+    );
+    setTaggingIds(null);
+    if (isSelecting) {
+      setIsSelecting(false);
+      setSelectedIds([]);
+    }
+
+    if (settings.hapticsEnabled) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    }
+  };
+
   const handleMoreActions = (wheel) => {
-    const options = [
-      'Rename',
-      'Duplicate',
-      'Delete',
-      'Cancel'
+    const actions = [
+      { text: wheel.pinned ? 'Unpin' : 'Pin to Top', onPress: () => togglePinned(wheel) },
+      { text: wheel.favorite ? 'Remove from Favorites' : 'Add to Favorites', onPress: () => toggleFavorite(wheel) },
+      { text: 'Rename', onPress: () => setRenamingWheel(wheel) },
+      { text: 'Edit Tags', onPress: () => setTaggingIds([wheel.id]) },
+      { text: 'Duplicate', onPress: () => handleDuplicate(wheel) },
+      { text: 'Delete', style: 'destructive', onPress: () => handleDelete(wheel) },
     ];
 
     if (Platform.OS === 'ios') {
       ActionSheetIOS.showActionSheetWithOptions(
         {
-          options,
-          destructiveButtonIndex: 2,
-          cancelButtonIndex: options.length - 1,
+          options: [...actions.map(action => action.text), 'Cancel'],
+          destructiveButtonIndex: actions.findIndex(action => action.style === 'destructive'),
+          cancelButtonIndex: actions.length,
         },
         (buttonIndex) => {
-          if (buttonIndex === 0) {
-            // Rename - TODO: Implement rename modal
-            Alert.alert('Coming Soon', 'Rename functionality will be available soon.');
-          } else if (buttonIndex === 1) {
-            // Duplicate
-            handleDuplicate(wheel);
-          } else if (buttonIndex === 2) {
-            // Delete
-            handleDelete(wheel);
-          }
+          if (buttonIndex < actions.length) actions[buttonIndex].onPress();
         }
       );
     } else {
-      // Android fallback
-      Alert.alert(
-        'Wheel Actions',
-        'Choose an action',
-        [
-          { text: 'Rename', onPress: () => Alert.alert('Coming Soon', 'Rename functionality will be available soon.') },
-          { text: 'Duplicate', onPress: () => handleDuplicate(wheel) },
-          { 
-            text: 'Delete', 
-            style: 'destructive', 
-            onPress: () => {
-              handleDelete(wheel);
-            }
-          },
-          { text: 'Cancel', style: 'cancel' },
-        ]
-      );
+      setMenuActions(actions);
     }
   };
 
@@ -153,15 +203,17 @@ export default function MyWheelsScreen() {
     setShowEditSheet(true);
   };
 
+  const saveRename = ({ name, emoji }) => {
+    updateWheel({ ...renamingWheel, name, emoji, updatedAt: new Date().toISOString() });
+    setRenamingWheel(null);
+
+    if (settings.hapticsEnabled) {
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    }
+  };
+
   const handleDuplicate = (wheel) => {
-    const duplicatedWheel = {
-      ...wheel,
-      id: Date.now().toString(),
-      name: `${wheel.name} Copy`,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-    addWheel(duplicatedWheel);
+    addWheel(createWheelCopy(wheel, wheels));
     Alert.alert('Success', 'Wheel duplicated successfully!');
   };
 
@@ -210,8 +262,24 @@ export default function MyWheelsScreen() {
     }
   };
 
+  const renderWheelTags = (wheel) => {
+    const tags = getWheelTags(wheel);
+    if (tags.length === 0) return null;
+
+    return (
+      <View style={styles.wheelTags}>
+        {tags.slice(0, MAX_CARD_TAGS).map(tag => (
+          <Text key={tag} style={styles.wheelTag} numberOfLines={1}>{tag}</Text>
+        ))}
+        {tags.length > MAX_CARD_TAGS && (
+          <Text style={styles.wheelTagMore}>+{tags.length - MAX_CARD_TAGS}</Text>
+        )}
+      </View>
+    );
+  };
+
   const renderWheelCard = ({ item: wheel }) => {
-    const isSelected = wheel.id === currentWheelId;
+    const isSelected = isSelecting ? selectedIds.includes(wheel.id) : wheel.id === currentWheelId;
 
     return (
       <TouchableOpacity
@@ -226,44 +294,74 @@ export default function MyWheelsScreen() {
           <View style={styles.cardLeft}>
             <Text style={styles.wheelEmoji}>{wheel.emoji || '🎯'}</Text>
             <View style={styles.wheelInfo}>
-              <Text style={styles.wheelName}>{wheel.name}</Text>
+              <View style={styles.wheelNameRow}>
+                {wheel.pinned && (
+                  <FontAwesome5 name="thumbtack" size={12} color="#007AFF" style={styles.pinIcon} />
+                )}
+                <Text style={styles.wheelName} numberOfLines={1}>{wheel.name}</Text>
+                <TouchableOpacity
+                  style={styles.favoriteButton}
+                  onPress={(e) => {
+                    e.stopPropagation();
+                    toggleFavorite(wheel);
+                  }}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                >
+                  <FontAwesome5
+                    name="star"
+                    solid={wheel.favorite}
+                    size={14}
+                    color={wheel.favorite ? '#FFB800' : '#C7C7CC'}
+                  />
+                </TouchableOpacity>
+              </View>
               <Text style={styles.wheelSubtitle}>
                 {wheel.options.filter(opt => opt.enabled).length} options
               </Text>
+              {renderWheelTags(wheel)}
             </View>
           </View>
 
-          <View style={styles.cardActions}>
-            <TouchableOpacity
-              style={styles.actionButton}
-              onPress={(e) => {
-                e.stopPropagation();
-                handleMoreActions(wheel);
-              }}
-            >
-              <FontAwesome5 name="ellipsis-h" size={16} color="#666" />
-            </TouchableOpacity>
+          {isSelecting ? (
+            <FontAwesome5
+              name={isSelected ? 'check-circle' : 'circle'}
+              solid={isSelected}
+              size={24}
+              color={isSelected ? '#007AFF' : '#C7C7CC'}
+            />
+          ) : (
+            <View style={styles.cardActions}>
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={(e) => {
+                  e.stopPropagation();
+                  handleMoreActions(wheel);
+                }}
+              >
+                <FontAwesome5 name="ellipsis-h" size={16} color="#666" />
+              </TouchableOpacity>
             
-            <TouchableOpacity
-              style={styles.actionButton}
-              onPress={(e) => {
-                e.stopPropagation();
-                handleShare(wheel);
-              }}
-            >
-              <FontAwesome5 name="share" size={16} color="#666" />
-            </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={(e) => {
+                  e.stopPropagation();
+                  handleShare(wheel);
+                }}
+              >
+                <FontAwesome5 name="share" size={16} color="#666" />
+              </TouchableOpacity>
             
-            <TouchableOpacity
-              style={styles.actionButton}
-              onPress={(e) => {
-                e.stopPropagation();
-                handleEdit(wheel);
-              }}
-            >
-              <FontAwesome5 name="edit" size={16} color="#666" />
-            </TouchableOpacity>
-          </View>
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={(e) => {
+                  e.stopPropagation();
+                  handleEdit(wheel);
+                }}
+              >
+                <FontAwesome5 name="edit" size={16} color="#666" />
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
       </TouchableOpacity>
     );
@@ -271,10 +369,12 @@ export default function MyWheelsScreen() {
 
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
-      <FontAwesome5 name="search" size={60} color="#ccc" />
-      <Text style={styles.emptyTitle}>No wheels found</Text>
+      <FontAwesome5 name={favoritesOnly ? 'star' : 'search'} size={60} color="#ccc" />
+      <Text style={styles.emptyTitle}>{favoritesOnly ? 'No favorites' : 'No wheels found'}</Text>
       <Text style={styles.emptyDescription}>
-        Try adjusting your search or create a new wheel
+        {favoritesOnly && !searchQuery.trim()
+          ? 'Tap the star on a wheel to add it to your favorites'
+          : 'Try adjusting your search or create a new wheel'}
       </Text>
       <TouchableOpacity style={styles.createButton} onPress={handleCreateWheel}>
         <Text style={styles.createButtonText}>Create Wheel</Text>
@@ -320,16 +420,21 @@ export default function MyWheelsScreen() {
             </TouchableOpacity>
           ),
           headerRight: () => (
-            <TouchableOpacity
-              style={styles.sortButton}
-              onPress={toggleSort}
-            >
-              <FontAwesome5 
-                name={sortOrder === 'desc' ? 'sort-amount-down' : 'sort-amount-up'} 
-                size={20} 
-                color="#007AFF" 
-              />
-            </TouchableOpacity>
+            <View style={styles.headerActions}>
+              <TouchableOpacity style={styles.selectButton} onPress={toggleSelecting}>
+                <Text style={styles.selectButtonText}>{isSelecting ? 'Done' : 'Select'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.sortButton}
+                onPress={toggleSort}
+              >
+                <FontAwesome5 
+                  name={sortOrder === 'desc' ? 'sort-amount-down' : 'sort-amount-up'} 
+                  size={20} 
+                  color="#007AFF" 
+                />
+              </TouchableOpacity>
+            </View>
           ),
         }}
       />
@@ -347,6 +452,30 @@ export default function MyWheelsScreen() {
         }}
       />
 
+      <RenameWheelSheet
+        visible={renamingWheel !== null}
+        wheelId={renamingWheel?.id}
+        name={renamingWheel?.name}
+        emoji={renamingWheel?.emoji}
+        onClose={() => setRenamingWheel(null)}
+        onSave={saveRename}
+      />
+
+      <WheelTagsSheet
+        visible={taggingIds !== null}
+        wheels={wheels.filter(wheel => taggingIds?.includes(wheel.id))}
+        allTags={allTags}
+        onClose={() => setTaggingIds(null)}
+        onSave={saveTags}
+      />
+
+      <ActionMenu
+        visible={menuActions !== null}
+        title="Wheel Actions"
+        actions={menuActions || []}
+        onClose={() => setMenuActions(null)}
+      />
+
       <View style={styles.searchSection}>
         <View style={styles.searchBar}>
           <FontAwesome5 name="search" size={16} color="#999" style={styles.searchIcon} />
@@ -365,6 +494,44 @@ export default function MyWheelsScreen() {
         </View>
       </View>
 
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.filterBar}
+        contentContainerStyle={styles.filterBarContent}
+      >
+        <TouchableOpacity
+          style={[styles.filterChip, !favoritesOnly && !activeTag && styles.filterChipActive]}
+          onPress={() => selectFilter(false, null)}
+        >
+          <Text style={[styles.filterChipText, !favoritesOnly && !activeTag && styles.filterChipTextActive]}>
+            All
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.filterChip, favoritesOnly && styles.filterChipActive]}
+          onPress={() => selectFilter(true, null)}
+        >
+          <FontAwesome5 name="star" solid size={12} color={favoritesOnly ? 'white' : '#FFB800'} />
+          <Text style={[styles.filterChipText, favoritesOnly && styles.filterChipTextActive]}>
+            Favorites ({wheels.filter(wheel => wheel.favorite).length})
+          </Text>
+        </TouchableOpacity>
+        {allTags.map((tag) => {
+          const isActive = activeTag === tag;
+          return (
+            <TouchableOpacity
+              key={tag}
+              style={[styles.filterChip, isActive && styles.filterChipActive]}
+              onPress={() => selectFilter(false, isActive ? null : tag)}
+            >
+              <FontAwesome5 name="tag" size={11} color={isActive ? 'white' : '#999'} />
+              <Text style={[styles.filterChipText, isActive && styles.filterChipTextActive]}>{tag}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
       {filteredWheels.length > 0 ? (
         <FlatList
           data={filteredWheels}
@@ -378,7 +545,22 @@ export default function MyWheelsScreen() {
         renderEmptyState()
       )}
 
-      {filteredWheels.length > 0 && (
+      {isSelecting ? (
+        <View style={styles.selectionBar}>
+          <TouchableOpacity
+            style={[styles.selectionButton, selectedIds.length === 0 && styles.selectionButtonDisabled]}
+            onPress={() => setTaggingIds(selectedIds)}
+            disabled={selectedIds.length === 0}
+          >
+            <FontAwesome5 name="tags" size={16} color="white" />
+            <Text style={styles.selectionButtonText}>
+              {selectedIds.length === 0
+                ? 'Select Wheels to Tag'
+                : `Tag ${selectedIds.length} ${selectedIds.length === 1 ? 'Wheel' : 'Wheels'}`}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      ) : filteredWheels.length > 0 && (
         <TouchableOpacity
           style={styles.fab}
           onPress={handleCreateNewWheel}
@@ -399,13 +581,53 @@ const styles = StyleSheet.create({
   backButton: {
     padding: 8,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  selectButton: {
+    padding: 8,
+  },
+  selectButtonText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
   sortButton: {
     padding: 8,
   },
   searchSection: {
     paddingHorizontal: 20,
     paddingTop: 20,
-    paddingBottom: 20,
+    paddingBottom: 12,
+  },
+  filterBar: {
+    flexGrow: 0,
+    marginBottom: 16,
+  },
+  filterBarContent: {
+    paddingHorizontal: 20,
+    gap: 8,
+  },
+  filterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+  },
+  filterChipActive: {
+    backgroundColor: '#007AFF',
+  },
+  filterChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+  },
+  filterChipTextActive: {
+    color: 'white',
   },
   searchBar: {
     flexDirection: 'row',
@@ -460,16 +682,48 @@ const styles = StyleSheet.create({
   wheelInfo: {
     flex: 1,
   },
+  wheelNameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  pinIcon: {
+    marginRight: 6,
+  },
   wheelName: {
+    flexShrink: 1,
     fontSize: 18,
     fontWeight: '600',
     color: '#1a1a1a',
-    marginBottom: 4,
+  },
+  favoriteButton: {
+    marginLeft: 8,
   },
   wheelSubtitle: {
     fontSize: 14,
     color: '#666',
   },
+  wheelTags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 6,
+  },
+  wheelTag: {
+    maxWidth: 110,
+    fontSize: 12,
+    color: '#007AFF',
+    backgroundColor: '#E8F4FD',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  wheelTagMore: {
+    fontSize: 12,
+    color: '#999',
+    paddingVertical: 2,
+  },
   cardActions: {
     flexDirection: 'row',
     gap: 8,
@@ -553,6 +807,34 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  selectionBar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 100, // Above tab bar
+  },
+  selectionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 10,
+    backgroundColor: '#007AFF',
+    paddingVertical: 16,
+    borderRadius: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  selectionButtonDisabled: {
+    backgroundColor: '#999',
+  },
+  selectionButtonText: {
+    color: 'white',
+    fontSize: 17,
+    fontWeight: '600',
+  },
   fab: {
     position: 'absolute',
     bottom: 100, // Above tab bar
@@ -0,0 +1,97 @@
+/**
+ * Action Menu
+ * Purpose: Bottom action list for Android, where alerts show at most three buttons
+ * Features: Destructive styling, cancel row, tap outside to dismiss
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Pressable,
+} from 'react-native';
+
+// actions: [{ text, onPress, style?: 'destructive' }]
+export default function ActionMenu({ visible, title, actions = [], onClose }) {
+  const handlePress = (action) => {
+    onClose();
+    action.onPress();
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <Pressable style={styles.backdrop} onPress={onClose}>
+        <View style={styles.sheet}>
+          {title ? <Text style={styles.title}>{title}</Text> : null}
+          {actions.map((action) => (
+            <TouchableOpacity
+              key={action.text}
+              style={styles.action}
+              onPress={() => handlePress(action)}
+            >
+              <Text style={[styles.actionText, action.style === 'destructive' && styles.actionTextDestructive]}>
+                {action.text}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={[styles.action, styles.cancelAction]} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </Pressable>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingBottom: 20,
+  },
+  title: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  action: {
+    paddingVertical: 16,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  actionText: {
+    fontSize: 17,
+    color: '#007AFF',
+    textAlign: 'center',
+  },
+  actionTextDestructive: {
+    color: '#FF3B30',
+  },
+  cancelAction: {
+    borderBottomWidth: 0,
+  },
+  cancelText: {
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#666',
+    textAlign: 'center',
+  },
+});
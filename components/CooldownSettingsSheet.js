@@ -0,0 +1,237 @@
+/**
+ * Cooldown Settings Sheet
+ * Purpose: Edit a wheel's no-repeat cooldown (last N spins or last N days)
+ * Features: Enable switch, unit selector, amount stepper
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Switch,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+import { getCooldown, COOLDOWN_UNITS, MAX_COOLDOWN_AMOUNT } from '../utils/cooldown';
+
+export default function CooldownSettingsSheet({ visible, wheel, onClose, onSave }) {
+  const [cooldown, setCooldown] = useState(() => getCooldown(wheel));
+
+  // Start from the wheel's saved settings every time the sheet opens
+  useEffect(() => {
+    if (visible) setCooldown(getCooldown(wheel));
+  }, [visible]);
+
+  const update = (field, value) => {
+    setCooldown(prev => ({ ...prev, [field]: value }));
+  };
+
+  const changeAmount = (delta) => {
+    update('amount', Math.min(MAX_COOLDOWN_AMOUNT, Math.max(1, cooldown.amount + delta)));
+  };
+
+  const unitLabel = cooldown.unit === 'days'
+    ? `day${cooldown.amount === 1 ? '' : 's'}`
+    : `spin${cooldown.amount === 1 ? '' : 's'}`;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>No Repeats</Text>
+          <TouchableOpacity onPress={() => onSave(cooldown)}>
+            <Text style={styles.saveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>Cooldown</Text>
+              <Text style={styles.rowDescription}>
+                Recent winners can't win again until their cooldown ends
+              </Text>
+            </View>
+            <Switch
+              value={cooldown.enabled}
+              onValueChange={(enabled) => update('enabled', enabled)}
+            />
+          </View>
+
+          <View style={[styles.section, !cooldown.enabled && styles.sectionDisabled]}>
+            <Text style={styles.sectionLabel}>Count cooldown in</Text>
+            <View style={styles.unitSelector}>
+              {COOLDOWN_UNITS.map((unit) => (
+                <TouchableOpacity
+                  key={unit}
+                  style={[styles.unitButton, cooldown.unit === unit && styles.unitButtonActive]}
+                  onPress={() => update('unit', unit)}
+                  disabled={!cooldown.enabled}
+                >
+                  <Text style={[styles.unitButtonText, cooldown.unit === unit && styles.unitButtonTextActive]}>
+                    {unit === 'spins' ? 'Spins' : 'Days'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionLabel}>Length</Text>
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                style={styles.stepperButton}
+                onPress={() => changeAmount(-1)}
+                disabled={!cooldown.enabled}
+              >
+                <FontAwesome5 name="minus" size={14} color="#007AFF" />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{cooldown.amount} {unitLabel}</Text>
+              <TouchableOpacity
+                style={styles.stepperButton}
+                onPress={() => changeAmount(1)}
+                disabled={!cooldown.enabled}
+              >
+                <FontAwesome5 name="plus" size={14} color="#007AFF" />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={styles.hint}>
+              {cooldown.unit === 'days'
+                ? `An option that wins can't win again for ${cooldown.amount} ${unitLabel}.`
+                : `An option that wins can't win again in the next ${cooldown.amount} ${unitLabel}.`}
+              {' '}If every option is cooling down, the one closest to the end of its cooldown is allowed again.
+            </Text>
+          </View>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  saveText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  content: {
+    padding: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  rowLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  rowDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+  },
+  sectionDisabled: {
+    opacity: 0.4,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 10,
+  },
+  unitSelector: {
+    flexDirection: 'row',
+    backgroundColor: '#E8F4FD',
+    borderRadius: 20,
+    padding: 4,
+    marginBottom: 20,
+  },
+  unitButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  unitButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  unitButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  unitButtonTextActive: {
+    color: 'white',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#E8F4FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#999',
+    lineHeight: 18,
+  },
+});
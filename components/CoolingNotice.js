@@ -0,0 +1,43 @@
+/**
+ * Cooling Notice
+ * Purpose: List the options of a wheel that are cooling down and when they return
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { FontAwesome5 } from '@expo/vector-icons';
+import { describeCooling } from '../utils/cooldown';
+
+export default function CoolingNotice({ cooling }) {
+  const text = cooling.length > 0
+    ? cooling.map(entry => `${entry.label} (${describeCooling(entry)})`).join(', ')
+    : 'No options are cooling down';
+
+  return (
+    <View style={styles.notice}>
+      <FontAwesome5 name="snowflake" size={14} color="#45B7D1" style={styles.icon} />
+      <Text style={styles.text} numberOfLines={2}>{text}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  notice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginBottom: 15,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 16,
+    backgroundColor: 'white',
+  },
+  icon: {
+    marginRight: 10,
+  },
+  text: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+  },
+});
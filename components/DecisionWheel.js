@@ -0,0 +1,311 @@
+/**
+ * Decision Wheel
+ * Purpose: Animated, weight-aware spinning wheel with a fixed pointer at 12 o'clock
+ * Features: Weighted slices, blocked (faded) options, center tap to spin,
+ *   imperative spin/spinMany/reset via ref, winners drawn from a pluggable random source
+ *   or decided up front (fair draws)
+ */
+
+import React, { forwardRef, useImperativeHandle, useRef, useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity,
+  Animated,
+  Easing,
+} from 'react-native';
+import Svg, { G, Path, Text as SvgText, Circle } from 'react-native-svg';
+import * as Haptics from 'expo-haptics';
+import {
+  getSliceAngles,
+  pickWeightedIndexAmong,
+  drawWinnerIndexes,
+  pickIndex,
+  getStopRotation,
+  createWheelPaths,
+  freezeWheelDraw,
+} from '../utils/wheelEngine';
+
+const MULTI_SPIN_PAUSE_MS = 800; // Time to read each winner before the next spin
+
+const DecisionWheel = forwardRef(function DecisionWheel({
+  options,
+  size,
+  spinDuration = 4,
+  hapticsEnabled = true,
+  showCenterKnob = false,
+  disabled = false,
+  blockedOptionIds = [],
+  onSpinStart,
+  onSpinEnd,
+  getRandom = () => Math.random, // Called once per spin or draw with its freezeWheelDraw output, for the function that picks winners
+  onCenterPress, // Replaces the plain spin on a center tap, e.g. to check the wheel first
+  style,
+}, ref) {
+  const rotationAnim = useRef(new Animated.Value(0)).current;
+  const rotationRef = useRef(0);
+  const [isSpinning, setIsSpinning] = useState(false);
+
+  const getAllowedIndexes = () => options
+    .map((option, index) => index)
+    .filter(index => !blockedOptionIds.includes(options[index].id));
+
+  // Turn the wheel until slices[winnerIndex] is under the pointer
+  // Resolves with the index read back from where the wheel stopped, so the
+  // result always matches the slice under the pointer
+  const animateTo = (slices, winnerIndex, duration) => new Promise((resolve) => {
+    const finalRotation = getStopRotation(rotationRef.current, slices, winnerIndex);
+    Animated.timing(rotationAnim, {
+      toValue: finalRotation,
+      duration,
+      easing: Easing.out(Easing.cubic),
+      useNativeDriver: true,
+    }).start(() => {
+      rotationRef.current = finalRotation;
+      resolve(pickIndex(finalRotation, slices));
+    });
+  });
+
+  // winnerId: land on this option instead of drawing one, for winners decided elsewhere
+  const spin = ({ winnerId } = {}) => {
+    if (disabled || isSpinning || options.length === 0) return false;
+
+    // Draw the winner by weight among options that may win, then land the wheel inside its slice
+    const allowedIndexes = getAllowedIndexes();
+    if (allowedIndexes.length === 0) return false;
+
+    const slices = getSliceAngles(options);
+    const winnerIndex = winnerId !== undefined
+      ? allowedIndexes.find(index => options[index].id === winnerId && slices[index].sweep > 0) ?? -1
+      : pickWeightedIndexAmong(slices, allowedIndexes, getRandom(freezeWheelDraw(options, allowedIndexes)));
+    if (winnerIndex === -1) return false;
+
+    setIsSpinning(true);
+    if (onSpinStart) onSpinStart();
+
+    if (hapticsEnabled) {
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    }
+
+    animateTo(slices, winnerIndex, spinDuration * 1000).then((idx) => {
+      setIsSpinning(false);
+
+      if (hapticsEnabled) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      }
+
+      if (onSpinEnd) onSpinEnd(options[idx], idx);
+    });
+
+    return true;
+  };
+
+  // Draw several winners up front, then spin once for each of them
+  // onStep(option, step) fires as each spin lands; onSpinEnd is not called
+  // Resolves with the winners, or null when nothing could be drawn
+  const spinMany = async (count, { replacement = false, onStep } = {}) => {
+    if (disabled || isSpinning || options.length === 0) return null;
+
+    const allowedIndexes = getAllowedIndexes();
+    if (allowedIndexes.length === 0) return null;
+
+    const slices = getSliceAngles(options);
+    const random = getRandom(freezeWheelDraw(options, allowedIndexes, count, replacement));
+    const winnerIndexes = drawWinnerIndexes(slices, allowedIndexes, count, replacement, random);
+    if (winnerIndexes.length === 0) return null;
+
+    setIsSpinning(true);
+    if (onSpinStart) onSpinStart();
+
+    const winners = [];
+    for (let step = 0; step < winnerIndexes.length; step++) {
+      if (hapticsEnabled) {
+        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+      }
+
+      // Follow-up spins are shorter so large draws don't drag on
+      const duration = step === 0 ? spinDuration : Math.max(1.5, spinDuration / 2);
+      const idx = await animateTo(slices, winnerIndexes[step], duration * 1000);
+      winners.push(options[idx]);
+
+      if (hapticsEnabled) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      }
+      if (onStep) onStep(options[idx], step);
+
+      if (step < winnerIndexes.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, MULTI_SPIN_PAUSE_MS));
+      }
+    }
+
+    setIsSpinning(false);
+    return winners;
+  };
+
+  const reset = () => {
+    if (isSpinning) return;
+    rotationRef.current = 0;
+    rotationAnim.setValue(0);
+  };
+
+  useImperativeHandle(ref, () => ({ spin, spinMany, reset }));
+
+  const wheelPaths = createWheelPaths(options, size, blockedOptionIds);
+  const dynamicStyles = getDynamicStyles(size);
+
+  return (
+    <View style={[styles.wheelContainer, style]}>
+      {/* Fixed pointer above wheel */}
+      <View style={[styles.pointerContainer, dynamicStyles.pointerContainer]}>
+        <View style={styles.pointer} />
+      </View>
+
+      <View style={[styles.wheelShadow, dynamicStyles.rounded]}>
+        <Animated.View
+          style={[
+            styles.wheel,
+            dynamicStyles.rounded,
+            {
+              transform: [{
+                rotate: rotationAnim.interpolate({
+                  inputRange: [0, 360],
+                  outputRange: ['0deg', '360deg'],
+                })
+              }]
+            }
+          ]}
+        >
+          <Svg width={size} height={size}>
+            <G>
+              {wheelPaths.filter(slice => slice.sweep > 0).map((slice) => (
+                <G key={slice.id}>
+                  <Path
+                    d={slice.path}
+                    fill={slice.color}
+                    stroke="white"
+                    strokeWidth={2}
+                    opacity={slice.opacity}
+                  />
+                  <SvgText
+                    x={slice.textX}
+                    y={slice.textY}
+                    fill="white"
+                    fontSize={13}
+                    fontWeight="600"
+                    textAnchor="middle"
+                    alignmentBaseline="middle"
+                    transform={`rotate(${slice.textAngle}, ${slice.textX}, ${slice.textY})`}
+                  >
+                    {slice.label.length > 12 ? slice.label.slice(0, 12) + '...' : slice.label}
+                  </SvgText>
+                </G>
+              ))}
+              {/* Center hub */}
+              <Circle
+                cx={size / 2}
+                cy={size / 2}
+                r={35}
+                fill="white"
+                stroke="#E0E0E0"
+                strokeWidth={2}
+              />
+              <Circle
+                cx={size / 2}
+                cy={size / 2}
+                r={20}
+                fill="#F0F0F0"
+              />
+            </G>
+          </Svg>
+          {/* Clickable center button */}
+          <TouchableOpacity
+            style={[styles.centerButton, dynamicStyles.centerButton]}
+            onPress={() => (onCenterPress ? onCenterPress() : spin())}
+            disabled={disabled || isSpinning}
+            activeOpacity={0.7}
+          >
+            {showCenterKnob && <View style={styles.centerButtonInner} />}
+          </TouchableOpacity>
+        </Animated.View>
+      </View>
+    </View>
+  );
+});
+
+export default DecisionWheel;
+
+const getDynamicStyles = (size) => ({
+  rounded: {
+    borderRadius: size / 2,
+  },
+  pointerContainer: {
+    top: size / 2 - 52,
+  },
+  centerButton: {
+    top: size / 2 - 35,
+    left: size / 2 - 35,
+  },
+});
+
+const styles = StyleSheet.create({
+  wheelContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    position: 'relative',
+  },
+  wheelShadow: {
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 8 },
+    shadowOpacity: 0.15,
+    shadowRadius: 16,
+    elevation: 8,
+    backgroundColor: 'transparent',
+  },
+  wheel: {
+    overflow: 'hidden',
+    position: 'relative',
+  },
+  centerButton: {
+    position: 'absolute',
+    width: 70,
+    height: 70,
+    borderRadius: 35,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'transparent',
+    zIndex: 10,
+  },
+  centerButtonInner: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'white',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    elevation: 4,
+  },
+  pointerContainer: {
+    position: 'absolute',
+    left: '50%', // Centered over the wheel so it points exactly at 12 o'clock
+    marginLeft: -10,
+    width: 20,
+    height: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 15,
+  },
+  pointer: {
+    width: 0,
+    height: 0,
+    borderLeftWidth: 10,
+    borderRightWidth: 10,
+    borderBottomWidth: 20,
+    borderLeftColor: 'transparent',
+    borderRightColor: 'transparent',
+    borderBottomColor: 'white',
+  },
+});
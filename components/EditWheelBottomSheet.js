@@ -19,11 +19,16 @@ import {
   Dimensions,
   Switch,
   Share,
+  ActionSheetIOS,
+  Platform,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesome5 } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
 import { useApp } from '../contexts/AppContext';
+import RenameWheelSheet from './RenameWheelSheet';
+import ActionMenu from './ActionMenu';
+import { getFirstEmoji, createWheelCopy } from '../utils/wheels';
 
 const { height: SCREEN_HEIGHT } = Dimensions.get('window');
 const BOTTOM_SHEET_HEIGHT = SCREEN_HEIGHT * 0.9;
@@ -39,8 +44,6 @@ const DEFAULT_COLORS = [
   '#283593', '#512DA8', '#3949AB', '#455A64', '#263238',
 ];
 
-const EMOJI_OPTIONS = ['🤔', '🍕', '🎯', '🎲', '🎭', '🎮', '🏆', '⭐', '🔥', '💡', '🎪', '🎨'];
-
 export default function EditWheelBottomSheet({ 
   visible, 
   onClose, 
@@ -58,6 +61,8 @@ export default function EditWheelBottomSheet({
   const [batchText, setBatchText] = useState('');
   const [hasChanges, setHasChanges] = useState(false);
   const [showEmojiInput, setShowEmojiInput] = useState(false);
+  const [showRename, setShowRename] = useState(false);
+  const [menuActions, setMenuActions] = useState(null); // More actions menu on Android
   const emojiInputRef = useRef(null);
 
   const translateY = useRef(new Animated.Value(SCREEN_HEIGHT)).current;
@@ -129,6 +134,7 @@ export default function EditWheelBottomSheet({
       setShowColorPicker(null);
       setShowWeightAdjuster(null);
       setShowBatchAdd(false);
+      setShowRename(false);
       setBatchText('');
     });
   };
@@ -144,10 +150,9 @@ export default function EditWheelBottomSheet({
 
   const handleEmojiChange = (text) => {
     // Extract first emoji from input
-    const emojiRegex = /[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/gu;
-    const emojis = text.match(emojiRegex);
-    if (emojis && emojis.length > 0) {
-      setWheelEmoji(emojis[0]);
+    const emoji = getFirstEmoji(text);
+    if (emoji) {
+      setWheelEmoji(emoji);
       setHasChanges(true);
       setShowEmojiInput(false);
     }
@@ -305,26 +310,57 @@ export default function EditWheelBottomSheet({
     }
   };
 
+  // Renaming changes the draft like the name field does; Save stores it
+  const applyRename = ({ name, emoji }) => {
+    setWheelName(name);
+    setWheelEmoji(emoji);
+    setHasChanges(true);
+    setShowRename(false);
+  };
+
+  const handleDuplicate = () => {
+    // Saving the copy refreshes the wheels list, which reloads this sheet and would drop the draft
+    if (hasChanges) {
+      Alert.alert('Unsaved Changes', 'Save your changes before duplicating this wheel.');
+      return;
+    }
+    addWheel(createWheelCopy(wheel, wheels));
+    Alert.alert('Success', 'Wheel duplicated successfully!');
+  };
+
   const handleMoreActions = () => {
-    Alert.alert(
-      'More Actions',
-      'Choose an action',
-      [
-        { text: 'Duplicate Wheel', onPress: () => Alert.alert('Coming Soon', 'Duplicate functionality will be available soon.') },
-        { text: 'Reset Colors', onPress: () => {
-          setOptions(options.map((opt, index) => ({
-            ...opt,
-            color: DEFAULT_COLORS[index % DEFAULT_COLORS.length]
-          })));
-          setHasChanges(true);
-        }},
-        { text: 'Equalize Weights', onPress: () => {
-          setOptions(options.map(opt => ({ ...opt, weight: 50 })));
-          setHasChanges(true);
-        }},
-        { text: 'Cancel', style: 'cancel' },
-      ]
-    );
+    const actions = [
+      { text: 'Rename Wheel', onPress: () => setShowRename(true) },
+      // A new wheel has nothing saved to copy yet
+      ...(wheelId === 'new' ? [] : [{ text: 'Duplicate Wheel', onPress: handleDuplicate }]),
+      { text: 'Reset Colors', onPress: () => {
+        setOptions(options.map((opt, index) => ({
+          ...opt,
+          color: DEFAULT_COLORS[index % DEFAULT_COLORS.length]
+        })));
+        setHasChanges(true);
+      }},
+      { text: 'Equalize Weights', onPress: () => {
+        setOptions(options.map(opt => ({ ...opt, weight: 50 })));
+        setHasChanges(true);
+      }},
+    ];
+
+    // Android alerts show at most three buttons, so longer menus use the action list there
+    if (Platform.OS === 'ios') {
+      ActionSheetIOS.showActionSheetWithOptions(
+        {
+          title: 'More Actions',
+          options: [...actions.map(action => action.text), 'Cancel'],
+          cancelButtonIndex: actions.length,
+        },
+        (buttonIndex) => {
+          if (buttonIndex < actions.length) actions[buttonIndex].onPress();
+        }
+      );
+    } else {
+      setMenuActions(actions);
+    }
   };
 
   const getWeightPercentage = (weight) => {
@@ -523,7 +559,7 @@ export default function EditWheelBottomSheet({
                   onPress={() => {
                     const option = options.find(opt => opt.id === showWeightAdjuster);
                     if (option && option.weight > 1) {
-                      updateOption(showWeightAdjuster, 'weight', option.weight - 10);
+                      updateOption(showWeightAdjuster, 'weight', Math.max(1, option.weight - 10));
                     }
                   }}
                 >
@@ -544,7 +580,7 @@ export default function EditWheelBottomSheet({
                   onPress={() => {
                     const option = options.find(opt => opt.id === showWeightAdjuster);
                     if (option && option.weight < 100) {
-                      updateOption(showWeightAdjuster, 'weight', option.weight + 10);
+                      updateOption(showWeightAdjuster, 'weight', Math.min(100, option.weight + 10));
                     }
                   }}
                 >
@@ -591,6 +627,22 @@ export default function EditWheelBottomSheet({
           </View>
         </Modal>
       )}
+
+      <RenameWheelSheet
+        visible={showRename}
+        wheelId={wheel.id}
+        name={wheelName}
+        emoji={wheelEmoji}
+        onClose={() => setShowRename(false)}
+        onSave={applyRename}
+      />
+
+      <ActionMenu
+        visible={menuActions !== null}
+        title="More Actions"
+        actions={menuActions || []}
+        onClose={() => setMenuActions(null)}
+      />
     </Modal>
   );
 }
@@ -0,0 +1,261 @@
+/**
+ * Elimination Panel
+ * Purpose: Progress, ranking and restore controls for a wheel in elimination mode
+ * Features: Ranking sheet with copy and share
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  Alert,
+  Share,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import * as Clipboard from 'expo-clipboard';
+import * as Haptics from 'expo-haptics';
+import {
+  getEliminationRanking,
+  isEliminationComplete,
+  formatRanking,
+} from '../utils/elimination';
+
+export default function EliminationPanel({ wheel, hapticsEnabled = true, onRestore }) {
+  const [showRanking, setShowRanking] = useState(false);
+
+  const ranking = getEliminationRanking(wheel);
+  const isComplete = isEliminationComplete(wheel);
+  const remaining = wheel.options.filter(option => option.enabled).length;
+
+  const statusText = isComplete
+    ? 'Elimination complete'
+    : `${ranking.length} picked · ${remaining} left`;
+
+  const copyRanking = async () => {
+    try {
+      await Clipboard.setStringAsync(formatRanking(wheel, ranking));
+      Alert.alert('Copied!', 'The ranking was copied to the clipboard.');
+
+      if (hapticsEnabled) {
+        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to copy to clipboard');
+    }
+  };
+
+  const shareRanking = async () => {
+    try {
+      await Share.share({
+        message: formatRanking(wheel, ranking),
+        title: wheel.name,
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to share ranking.');
+    }
+  };
+
+  const confirmRestore = () => {
+    if (ranking.length === 0) return;
+    Alert.alert(
+      'Restore All',
+      'Put every eliminated option back on the wheel and start a new ranking?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', onPress: onRestore },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.panel}>
+      <View style={styles.statusRow}>
+        <Text style={styles.modeLabel}>Elimination</Text>
+        <Text style={[styles.statusText, isComplete && styles.statusTextComplete]}>{statusText}</Text>
+      </View>
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={[styles.button, ranking.length === 0 && styles.buttonDisabled]}
+          onPress={() => setShowRanking(true)}
+          disabled={ranking.length === 0}
+        >
+          <Text style={styles.buttonText}>Ranking</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, ranking.length === 0 && styles.buttonDisabled]}
+          onPress={confirmRestore}
+          disabled={ranking.length === 0}
+        >
+          <Text style={styles.buttonText}>Restore All</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Modal
+        visible={showRanking}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setShowRanking(false)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setShowRanking(false)}>
+              <Text style={styles.modalCloseText}>Close</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Ranking</Text>
+            <TouchableOpacity onPress={shareRanking}>
+              <Text style={styles.modalActionText}>Share</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            {ranking.map(({ place, option }) => (
+              <View key={option.id} style={styles.rankRow}>
+                <Text style={styles.rankPlace}>{place}</Text>
+                <View style={[styles.colorDot, { backgroundColor: option.color }]} />
+                <Text style={styles.rankLabel}>{option.label}</Text>
+              </View>
+            ))}
+            {!isComplete && (
+              <Text style={styles.pendingText}>
+                {remaining} option{remaining === 1 ? '' : 's'} still on the wheel
+              </Text>
+            )}
+            <TouchableOpacity style={styles.copyButton} onPress={copyRanking}>
+              <Text style={styles.copyButtonText}>Copy Ranking</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </SafeAreaView>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  panel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginHorizontal: 20,
+    marginBottom: 15,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 16,
+    backgroundColor: 'white',
+  },
+  statusRow: {
+    flex: 1,
+  },
+  modeLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FF9500',
+    textTransform: 'uppercase',
+  },
+  statusText: {
+    fontSize: 15,
+    color: '#1A1A1A',
+    marginTop: 2,
+  },
+  statusTextComplete: {
+    fontWeight: '600',
+    color: '#34C759',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  button: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#E8F4FD',
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
+  buttonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  modalCloseText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  modalActionText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  rankRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    marginBottom: 8,
+  },
+  rankPlace: {
+    width: 32,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#007AFF',
+  },
+  colorDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 10,
+  },
+  rankLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1a1a1a',
+  },
+  pendingText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginVertical: 10,
+  },
+  copyButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 10,
+    marginBottom: 40,
+  },
+  copyButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,343 @@
+/**
+ * Fair Draw Sheet
+ * Purpose: Run a commit–reveal draw on a wheel so giveaway audiences can check the result
+ * Features: Commitment creation and sharing, audience seed, cancel, receipt verification
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  Alert,
+  Share,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+import * as Clipboard from 'expo-clipboard';
+import { verifyReceipt } from '../utils/fairDraw';
+
+const MAX_AUDIENCE_SEED_LENGTH = 100;
+const MONOSPACE_FONT = Platform.select({ ios: 'Menlo', default: 'monospace' });
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+// Text to publish before the spin: the hash plus the option list it covers
+const formatCommitment = (wheelName, fairDraw) => [
+  `${wheelName} - fair draw`,
+  `Commitment (SHA-256): ${fairDraw.commitment}`,
+  `Options: ${fairDraw.options.map(option => option.label).join(', ')}`,
+  `Committed: ${formatTimestamp(fairDraw.committedAt)}`,
+].join('\n');
+
+export default function FairDrawSheet({
+  visible,
+  wheel,
+  optionCount, // Options that can win right now and would be frozen by a new commitment
+  onClose,
+  onCommit,
+  onCancelDraw,
+  onSpin,
+}) {
+  const [audienceSeed, setAudienceSeed] = useState('');
+  const [receiptText, setReceiptText] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const fairDraw = wheel?.fairDraw || null;
+
+  useEffect(() => {
+    if (visible) {
+      setAudienceSeed('');
+      setReceiptText('');
+    }
+  }, [visible]);
+
+  const handleCommit = async () => {
+    if (optionCount === 0) {
+      Alert.alert('No Options', 'Please enable at least one option that can win before committing.');
+      return;
+    }
+    setIsWorking(true);
+    await onCommit();
+    setIsWorking(false);
+  };
+
+  const copyCommitment = async () => {
+    try {
+      await Clipboard.setStringAsync(formatCommitment(wheel.name, fairDraw));
+      Alert.alert('Copied!', 'The commitment was copied to the clipboard.');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to copy to clipboard');
+    }
+  };
+
+  const shareCommitment = async () => {
+    try {
+      await Share.share({
+        message: formatCommitment(wheel.name, fairDraw),
+        title: wheel.name,
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to share commitment.');
+    }
+  };
+
+  const confirmCancelDraw = () => {
+    Alert.alert(
+      'Cancel Fair Draw',
+      'The published commitment will never be revealed. Only do this if you haven\'t shared it yet.',
+      [
+        { text: 'Keep', style: 'cancel' },
+        { text: 'Cancel Draw', style: 'destructive', onPress: onCancelDraw },
+      ]
+    );
+  };
+
+  const handleVerify = async () => {
+    if (!receiptText.trim()) return;
+    setIsWorking(true);
+    const { valid, message } = await verifyReceipt(receiptText.trim());
+    setIsWorking(false);
+    Alert.alert(valid ? 'Receipt Verified' : 'Verification Failed', message);
+  };
+
+  const renderVerifySection = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Verify a Receipt</Text>
+      <TextInput
+        style={styles.receiptInput}
+        value={receiptText}
+        onChangeText={setReceiptText}
+        placeholder="Paste a fair draw receipt"
+        autoCapitalize="none"
+        autoCorrect={false}
+        multiline
+      />
+      <TouchableOpacity
+        style={[styles.actionButton, (!receiptText.trim() || isWorking) && styles.actionButtonDisabled]}
+        onPress={handleVerify}
+        disabled={!receiptText.trim() || isWorking}
+      >
+        <FontAwesome5 name="check-circle" size={14} color="#007AFF" />
+        <Text style={styles.actionButtonText}>Verify</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.cancelText}>{fairDraw ? 'Close' : 'Cancel'}</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Fair Draw</Text>
+          {fairDraw ? (
+            <TouchableOpacity onPress={() => onSpin(audienceSeed.trim())}>
+              <Text style={styles.actionText}>Spin</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity onPress={handleCommit} disabled={isWorking}>
+              <Text style={[styles.actionText, isWorking && styles.actionTextDisabled]}>Commit</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {fairDraw ? (
+            <>
+              <View style={styles.section}>
+                <Text style={styles.sectionLabel}>Commitment</Text>
+                <Text style={styles.commitment} selectable>{fairDraw.commitment}</Text>
+                <Text style={styles.meta}>
+                  {fairDraw.options.length} options · committed {formatTimestamp(fairDraw.committedAt)}
+                </Text>
+                <View style={styles.actionRow}>
+                  <TouchableOpacity style={styles.actionButton} onPress={copyCommitment}>
+                    <FontAwesome5 name="copy" size={14} color="#007AFF" />
+                    <Text style={styles.actionButtonText}>Copy</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.actionButton} onPress={shareCommitment}>
+                    <FontAwesome5 name="share" size={14} color="#007AFF" />
+                    <Text style={styles.actionButtonText}>Share</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+
+              <View style={styles.section}>
+                <Text style={styles.sectionLabel}>Audience Seed</Text>
+                <TextInput
+                  style={styles.input}
+                  value={audienceSeed}
+                  onChangeText={setAudienceSeed}
+                  placeholder="e.g. a word or number from the chat"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  maxLength={MAX_AUDIENCE_SEED_LENGTH}
+                />
+                <Text style={styles.hint}>
+                  Ask your audience for this after sharing the commitment. It's mixed into the draw,
+                  so nobody could have known the winner when the commitment was made.
+                </Text>
+              </View>
+
+              <TouchableOpacity style={styles.cancelDrawButton} onPress={confirmCancelDraw}>
+                <Text style={styles.cancelDrawText}>Cancel Fair Draw</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <View style={styles.section}>
+              <Text style={styles.sectionLabel}>How it works</Text>
+              <Text style={styles.step}>1. Commit: the {optionCount} options that can win are frozen and locked with a secret. Share the commitment hash before you spin.</Text>
+              <Text style={styles.step}>2. Spin: the winner comes from the secret and an audience seed, not from the animation.</Text>
+              <Text style={styles.step}>3. Reveal: the secret is published in a receipt, so anyone can recompute the hash and the winner.</Text>
+            </View>
+          )}
+
+          {renderVerifySection()}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  actionText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  actionTextDisabled: {
+    color: '#C7C7CC',
+  },
+  content: {
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 10,
+  },
+  step: {
+    fontSize: 15,
+    color: '#1a1a1a',
+    lineHeight: 21,
+    marginBottom: 8,
+  },
+  commitment: {
+    fontSize: 14,
+    fontFamily: MONOSPACE_FONT,
+    color: '#1a1a1a',
+    lineHeight: 20,
+  },
+  meta: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: '#E8F4FD',
+  },
+  actionButtonDisabled: {
+    opacity: 0.5,
+  },
+  actionButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+  },
+  receiptInput: {
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 13,
+    fontFamily: MONOSPACE_FONT,
+    backgroundColor: '#F9F9F9',
+    minHeight: 100,
+    maxHeight: 200,
+    textAlignVertical: 'top',
+    marginBottom: 12,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#999',
+    lineHeight: 18,
+    marginTop: 10,
+  },
+  cancelDrawButton: {
+    alignItems: 'center',
+    paddingVertical: 14,
+    marginBottom: 20,
+  },
+  cancelDrawText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FF3B30',
+  },
+});
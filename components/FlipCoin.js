@@ -0,0 +1,202 @@
+/**
+ * Flip Coin
+ * Purpose: Golden coin with a perspective flip animation
+ * Features: Custom face labels, colors and emoji, any size, lands on a given side
+ */
+
+import React, { useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { FontAwesome5 } from '@expo/vector-icons';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  withSequence,
+  runOnJS,
+} from 'react-native-reanimated';
+
+const BASE_SIZE = 240; // Size the coin artwork was designed at
+
+const isFrontVisible = (rotation) => {
+  'worklet';
+  const angle = ((rotation % 360) + 360) % 360;
+  return angle < 90 || angle > 270;
+};
+
+// side: 'heads' or 'tails' to land on; each new flipId starts a flip (0 shows the side at rest)
+// faces: { heads, tails } from getCoinFace
+export default function FlipCoin({ size = BASE_SIZE, side, flipId, duration, faces, onFlipEnd }) {
+  const rotation = useSharedValue(side === 'tails' ? 180 : 0);
+  const scale = useSharedValue(1);
+  const ratio = size / BASE_SIZE;
+
+  useEffect(() => {
+    if (!flipId) return;
+    const target = side === 'tails' ? 180 : 0;
+
+    scale.value = withSequence(
+      withTiming(0.98, { duration: 100 }), // Press down
+      withTiming(1, { duration: 100 })
+    );
+
+    // Always spin forward 5-7 full turns from wherever the coin is now
+    const fullRotations = 5 + Math.floor(Math.random() * 3);
+    const finalRotation = (Math.floor(rotation.value / 360) + fullRotations) * 360 + target;
+
+    rotation.value = withTiming(finalRotation, { duration: duration * 1000 }, (finished) => {
+      if (finished) {
+        scale.value = withSequence(
+          withTiming(1.02, { duration: 150 }),
+          withTiming(1, { duration: 150 })
+        );
+        if (onFlipEnd) runOnJS(onFlipEnd)();
+      }
+    });
+  }, [flipId]);
+
+  const coinStyle = useAnimatedStyle(() => ({
+    transform: [
+      { perspective: 1000 },
+      { rotateY: `${((rotation.value % 360) + 360) % 360}deg` },
+      { scale: scale.value },
+    ],
+  }));
+
+  const headsStyle = useAnimatedStyle(() => ({
+    opacity: isFrontVisible(rotation.value) ? 1 : 0,
+  }));
+
+  const tailsStyle = useAnimatedStyle(() => ({
+    opacity: isFrontVisible(rotation.value) ? 0 : 1,
+  }));
+
+  const sideSize = { width: size, height: size, borderRadius: size / 2 };
+  const ringStyle = (inset) => ({
+    width: size - inset * ratio,
+    height: size - inset * ratio,
+    borderRadius: (size - inset * ratio) / 2,
+  });
+
+  const renderFace = (sideName) => {
+    const face = faces[sideName];
+    const isClassic = !face.emoji;
+
+    return (
+      <View style={[styles.coinInner, { borderRadius: size / 2, borderWidth: Math.max(3, 8 * ratio) }]}>
+        <View style={[styles.outerRing, ringStyle(20)]} />
+        <View style={[styles.middleRing, ringStyle(40)]} />
+        <View style={styles.centerArea}>
+          {!isClassic ? (
+            <Text style={{ fontSize: 72 * ratio }}>{face.emoji}</Text>
+          ) : sideName === 'heads' ? (
+            <View style={[styles.laurelWreath, { gap: 16 * ratio }]}>
+              <FontAwesome5 name="leaf" size={18 * ratio} color="#FFE394" style={styles.laurelLeft} />
+              <Text style={[styles.coinNumber, { fontSize: 72 * ratio }]}>1</Text>
+              <FontAwesome5 name="leaf" size={18 * ratio} color="#FFE394" style={styles.laurelRight} />
+            </View>
+          ) : (
+            <FontAwesome5 name="university" size={36 * ratio} color="#FFE394" style={styles.buildingIcon} />
+          )}
+          <Text
+            style={[styles.coinText, { fontSize: Math.max(8, 12 * ratio), maxWidth: size * 0.7 }]}
+            numberOfLines={1}
+            adjustsFontSizeToFit
+          >
+            {face.label.toUpperCase()}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Animated.View style={[{ width: size, height: size }, coinStyle]}>
+      <Animated.View style={[styles.coinSide, sideSize, { backgroundColor: faces.heads.color }, headsStyle]}>
+        {renderFace('heads')}
+      </Animated.View>
+      <Animated.View style={[styles.coinSide, styles.backSide, sideSize, { backgroundColor: faces.tails.color }, tailsStyle]}>
+        {renderFace('tails')}
+      </Animated.View>
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  coinSide: {
+    position: 'absolute',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#B8860B',
+    shadowOffset: { width: 0, height: 12 },
+    shadowOpacity: 0.5,
+    shadowRadius: 16,
+    elevation: 16,
+  },
+  backSide: {
+    transform: [{ rotateY: '180deg' }],
+  },
+  coinInner: {
+    width: '100%',
+    height: '100%',
+    alignItems: 'center',
+    justifyContent: 'center',
+    position: 'relative',
+    borderColor: '#FFE394',
+  },
+  outerRing: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: '#FFE394',
+    opacity: 0.6,
+  },
+  middleRing: {
+    position: 'absolute',
+    borderWidth: 1,
+    borderColor: '#FFE394',
+    opacity: 0.4,
+  },
+  centerArea: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1,
+  },
+  laurelWreath: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  laurelLeft: {
+    transform: [{ rotate: '-25deg' }],
+    textShadowColor: 'rgba(0,0,0,0.3)',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
+  laurelRight: {
+    transform: [{ rotate: '25deg' }],
+    textShadowColor: 'rgba(0,0,0,0.3)',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+  },
+  coinNumber: {
+    fontWeight: 'bold',
+    color: 'white',
+    textShadowColor: 'rgba(0,0,0,0.3)',
+    textShadowOffset: { width: 0, height: 3 },
+    textShadowRadius: 6,
+  },
+  coinText: {
+    fontWeight: '600',
+    color: '#FFE394',
+    letterSpacing: 1.5,
+    marginTop: 4,
+    textShadowColor: 'rgba(0,0,0,0.2)',
+    textShadowOffset: { width: 0, height: 1 },
+    textShadowRadius: 2,
+  },
+  buildingIcon: {
+    textShadowColor: 'rgba(0,0,0,0.3)',
+    textShadowOffset: { width: 1, height: 1 },
+    textShadowRadius: 2,
+    marginBottom: 4,
+  },
+});
@@ -0,0 +1,193 @@
+/**
+ * Multi Draw Sheet
+ * Purpose: Choose how many winners to draw from a wheel in one go
+ * Features: Winner count stepper, with/without replacement
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Switch,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+
+export const MAX_DRAW_COUNT = 20;
+
+export default function MultiDrawSheet({
+  visible,
+  availableCount,
+  allowReplacement = true,
+  onClose,
+  onDraw,
+}) {
+  const [count, setCount] = useState(2);
+  const [replacement, setReplacement] = useState(false);
+
+  const useReplacement = allowReplacement && replacement;
+  // Without replacement every option can win only once
+  const maxCount = useReplacement ? MAX_DRAW_COUNT : Math.min(MAX_DRAW_COUNT, availableCount);
+  const drawCount = Math.min(count, maxCount);
+  const canDraw = drawCount >= 2;
+
+  const changeCount = (delta) => {
+    setCount(Math.min(maxCount, Math.max(2, drawCount + delta)));
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Draw Winners</Text>
+          <TouchableOpacity
+            onPress={() => onDraw({ count: drawCount, replacement: useReplacement })}
+            disabled={!canDraw}
+          >
+            <Text style={[styles.drawText, !canDraw && styles.drawTextDisabled]}>Draw</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>Number of winners</Text>
+            <View style={styles.stepper}>
+              <TouchableOpacity style={styles.stepperButton} onPress={() => changeCount(-1)}>
+                <FontAwesome5 name="minus" size={14} color="#007AFF" />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{canDraw ? drawCount : '-'}</Text>
+              <TouchableOpacity style={styles.stepperButton} onPress={() => changeCount(1)}>
+                <FontAwesome5 name="plus" size={14} color="#007AFF" />
+              </TouchableOpacity>
+            </View>
+            {!canDraw && (
+              <Text style={styles.hint}>At least two options must be able to win to draw several winners.</Text>
+            )}
+          </View>
+
+          {allowReplacement && (
+            <View style={styles.row}>
+              <View style={styles.rowText}>
+                <Text style={styles.rowLabel}>Allow repeat winners</Text>
+                <Text style={styles.rowDescription}>
+                  Each spin uses the full wheel, so the same option can win more than once
+                </Text>
+              </View>
+              <Switch value={replacement} onValueChange={setReplacement} />
+            </View>
+          )}
+
+          <Text style={styles.hint}>
+            The wheel spins once per winner. Option weights apply to every spin, and all winners are saved as one history entry.
+          </Text>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  drawText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  drawTextDisabled: {
+    color: '#C7C7CC',
+  },
+  content: {
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 10,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stepperButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#E8F4FD',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepperValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  rowLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  rowDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#999',
+    lineHeight: 18,
+    marginTop: 10,
+  },
+});
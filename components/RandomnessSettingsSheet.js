@@ -0,0 +1,271 @@
+/**
+ * Randomness Settings Sheet
+ * Purpose: Choose where every tool gets its random numbers from
+ * Features: Standard / secure / seeded source, editable or generated seed, draw counter reset
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+import { RANDOM_SOURCES, DEFAULT_RANDOMNESS, generateSeed } from '../utils/randomness';
+
+const MAX_SEED_LENGTH = 64;
+
+export default function RandomnessSettingsSheet({ visible, randomness, onClose, onSave }) {
+  const [draft, setDraft] = useState({ ...DEFAULT_RANDOMNESS, ...randomness });
+
+  // Start from the saved settings every time the sheet opens
+  useEffect(() => {
+    if (visible) setDraft({ ...DEFAULT_RANDOMNESS, ...randomness });
+  }, [visible]);
+
+  const selectSource = (source) => {
+    // Seeded draws need a seed, so suggest one rather than leaving the field empty
+    setDraft(prev => ({
+      ...prev,
+      source,
+      seed: source === 'seeded' && !prev.seed ? generateSeed() : prev.seed,
+    }));
+  };
+
+  const handleSave = () => {
+    const seed = draft.seed.trim();
+    if (draft.source === 'seeded' && !seed) {
+      Alert.alert('Seed Required', 'Enter a seed or tap "New Seed".');
+      return;
+    }
+
+    // A different seed starts a new sequence of draws
+    const seedChanged = seed !== (randomness?.seed || '');
+    onSave({ ...draft, seed, nonce: seedChanged ? 0 : draft.nonce });
+  };
+
+  const selected = RANDOM_SOURCES.find(source => source.key === draft.source) || RANDOM_SOURCES[0];
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Randomness</Text>
+          <TouchableOpacity onPress={handleSave}>
+            <Text style={styles.saveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>Source</Text>
+            <View style={styles.sourceSelector}>
+              {RANDOM_SOURCES.map((source) => (
+                <TouchableOpacity
+                  key={source.key}
+                  style={[styles.sourceButton, draft.source === source.key && styles.sourceButtonActive]}
+                  onPress={() => selectSource(source.key)}
+                >
+                  <Text style={[styles.sourceButtonText, draft.source === source.key && styles.sourceButtonTextActive]}>
+                    {source.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.hint}>{selected.description}</Text>
+          </View>
+
+          {draft.source === 'seeded' && (
+            <View style={styles.section}>
+              <Text style={styles.sectionLabel}>Seed</Text>
+              <View style={styles.seedRow}>
+                <TextInput
+                  style={styles.seedInput}
+                  value={draft.seed}
+                  onChangeText={(seed) => setDraft(prev => ({ ...prev, seed }))}
+                  placeholder="e.g. giveaway-june"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  maxLength={MAX_SEED_LENGTH}
+                />
+                <TouchableOpacity
+                  style={styles.seedButton}
+                  onPress={() => setDraft(prev => ({ ...prev, seed: generateSeed() }))}
+                >
+                  <FontAwesome5 name="random" size={14} color="#007AFF" />
+                  <Text style={styles.seedButtonText}>New Seed</Text>
+                </TouchableOpacity>
+              </View>
+
+              <View style={styles.counterRow}>
+                <View style={styles.counterText}>
+                  <Text style={styles.counterLabel}>Next draw</Text>
+                  <Text style={styles.counterValue}>#{draft.nonce}</Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.resetButton}
+                  onPress={() => setDraft(prev => ({ ...prev, nonce: 0 }))}
+                  disabled={draft.nonce === 0}
+                >
+                  <Text style={[styles.resetButtonText, draft.nonce === 0 && styles.resetButtonTextDisabled]}>
+                    Start Over
+                  </Text>
+                </TouchableOpacity>
+              </View>
+
+              <Text style={styles.hint}>
+                Publish the seed before a giveaway. Every spin, flip, roll or number draw uses the seed
+                with the next draw number, and the history keeps both so anyone can replay the result.
+              </Text>
+            </View>
+          )}
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  saveText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  content: {
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 10,
+  },
+  sourceSelector: {
+    flexDirection: 'row',
+    backgroundColor: '#E8F4FD',
+    borderRadius: 20,
+    padding: 4,
+    marginBottom: 12,
+  },
+  sourceButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  sourceButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  sourceButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  sourceButtonTextActive: {
+    color: 'white',
+  },
+  seedRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginBottom: 16,
+  },
+  seedInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+  },
+  seedButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    backgroundColor: '#E8F4FD',
+  },
+  seedButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  counterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  counterText: {
+    flex: 1,
+  },
+  counterLabel: {
+    fontSize: 14,
+    color: '#666',
+  },
+  counterValue: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginTop: 2,
+  },
+  resetButton: {
+    padding: 8,
+  },
+  resetButtonText: {
+    fontSize: 15,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  resetButtonTextDisabled: {
+    color: '#C7C7CC',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#999',
+    lineHeight: 18,
+  },
+});
@@ -0,0 +1,225 @@
+/**
+ * Rename Wheel Sheet
+ * Purpose: Change a wheel's name and emoji without opening the full editor
+ * Features: Emoji grid plus any keyboard emoji, empty and duplicate name checks
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useApp } from '../contexts/AppContext';
+import {
+  MAX_WHEEL_NAME_LENGTH,
+  DEFAULT_WHEEL_EMOJI,
+  EMOJI_OPTIONS,
+  getFirstEmoji,
+  getWheelNameError,
+} from '../utils/wheels';
+
+export default function RenameWheelSheet({ visible, wheelId, name, emoji, onClose, onSave }) {
+  const { wheels } = useApp();
+  const [draftName, setDraftName] = useState(name || '');
+  const [draftEmoji, setDraftEmoji] = useState(emoji || DEFAULT_WHEEL_EMOJI);
+  const [customEmoji, setCustomEmoji] = useState('');
+
+  // Start from the wheel's current name every time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setDraftName(name || '');
+      setDraftEmoji(emoji || DEFAULT_WHEEL_EMOJI);
+      setCustomEmoji('');
+    }
+  }, [visible]);
+
+  const handleCustomEmoji = (text) => {
+    const typed = getFirstEmoji(text);
+    if (typed) {
+      setDraftEmoji(typed);
+      setCustomEmoji('');
+    } else {
+      setCustomEmoji(text);
+    }
+  };
+
+  const nameError = getWheelNameError(draftName, wheels, wheelId);
+
+  const handleSave = () => {
+    if (nameError) return;
+    onSave({ name: draftName.trim(), emoji: draftEmoji });
+  };
+
+  // The emoji may be one typed on the keyboard, so it is shown in the grid too
+  const emojiChoices = EMOJI_OPTIONS.includes(draftEmoji) ? EMOJI_OPTIONS : [draftEmoji, ...EMOJI_OPTIONS];
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Rename Wheel</Text>
+          <TouchableOpacity onPress={handleSave} disabled={Boolean(nameError)}>
+            <Text style={[styles.saveText, nameError && styles.saveTextDisabled]}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>Name</Text>
+            <View style={styles.nameRow}>
+              <Text style={styles.nameEmoji}>{draftEmoji}</Text>
+              <TextInput
+                style={styles.nameInput}
+                value={draftName}
+                onChangeText={setDraftName}
+                placeholder="Enter wheel name..."
+                maxLength={MAX_WHEEL_NAME_LENGTH}
+                autoFocus
+                returnKeyType="done"
+                onSubmitEditing={handleSave}
+              />
+            </View>
+            {nameError && draftName.length > 0 && <Text style={styles.errorText}>{nameError}</Text>}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>Emoji</Text>
+            <View style={styles.emojiGrid}>
+              {emojiChoices.map((choice) => (
+                <TouchableOpacity
+                  key={choice}
+                  style={[styles.emojiButton, choice === draftEmoji && styles.emojiButtonActive]}
+                  onPress={() => setDraftEmoji(choice)}
+                >
+                  <Text style={styles.emojiText}>{choice}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <TextInput
+              style={styles.customEmojiInput}
+              value={customEmoji}
+              onChangeText={handleCustomEmoji}
+              placeholder="Or type any emoji"
+            />
+          </View>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  saveText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  saveTextDisabled: {
+    color: '#C7C7CC',
+  },
+  content: {
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 10,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  nameEmoji: {
+    fontSize: 28,
+  },
+  nameInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#FF3B30',
+    marginTop: 8,
+  },
+  emojiGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  emojiButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#F0F0F0',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  emojiButtonActive: {
+    backgroundColor: '#E8F4FD',
+    borderWidth: 2,
+    borderColor: '#007AFF',
+  },
+  emojiText: {
+    fontSize: 22,
+  },
+  customEmojiInput: {
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+  },
+});
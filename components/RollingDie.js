@@ -0,0 +1,102 @@
+/**
+ * Rolling Die
+ * Purpose: Single die face that tumbles while a roll is in progress
+ * Features: Flickering faces while rolling, settle bounce, dropped dice styling
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Text, StyleSheet, Animated, Easing } from 'react-native';
+
+const FLICKER_INTERVAL_MS = 70;
+
+export default function RollingDie({ value, sides, rolling, dropped = false, size = 56 }) {
+  const [shownValue, setShownValue] = useState(value);
+  const spin = useRef(new Animated.Value(0)).current;
+  const scale = useRef(new Animated.Value(1)).current;
+
+  useEffect(() => {
+    if (!rolling) {
+      setShownValue(value);
+      Animated.sequence([
+        Animated.timing(scale, { toValue: 1.15, duration: 120, useNativeDriver: true }),
+        Animated.timing(scale, { toValue: 1, duration: 120, useNativeDriver: true }),
+      ]).start();
+      return undefined;
+    }
+
+    // Show random faces while tumbling; the real value is revealed when rolling stops
+    const flicker = setInterval(() => {
+      setShownValue(Math.floor(Math.random() * sides) + 1);
+    }, FLICKER_INTERVAL_MS);
+
+    spin.setValue(0);
+    const tumble = Animated.loop(
+      Animated.timing(spin, {
+        toValue: 1,
+        duration: 350,
+        easing: Easing.linear,
+        useNativeDriver: true,
+      })
+    );
+    tumble.start();
+
+    return () => {
+      clearInterval(flicker);
+      tumble.stop();
+      spin.setValue(0);
+    };
+  }, [rolling, value]);
+
+  const rotate = spin.interpolate({
+    inputRange: [0, 1],
+    outputRange: ['0deg', '360deg'],
+  });
+
+  return (
+    <Animated.View
+      style={[
+        styles.die,
+        { width: size, height: size, borderRadius: size * 0.2 },
+        dropped && !rolling && styles.dieDropped,
+        { transform: [{ rotate }, { scale }] },
+      ]}
+    >
+      <Text
+        style={[
+          styles.value,
+          { fontSize: size * (shownValue >= 100 ? 0.32 : 0.42) },
+          dropped && !rolling && styles.valueDropped,
+        ]}
+      >
+        {shownValue}
+      </Text>
+    </Animated.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  die: {
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#007AFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  dieDropped: {
+    borderColor: '#C7C7CC',
+    backgroundColor: '#F2F2F7',
+  },
+  value: {
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+  },
+  valueDropped: {
+    color: '#8E8E93',
+    textDecorationLine: 'line-through',
+  },
+});
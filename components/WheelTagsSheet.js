@@ -0,0 +1,266 @@
+/**
+ * Wheel Tags Sheet
+ * Purpose: Add and remove tags on one wheel or on a whole selection at once
+ * Features: Existing tag chips with all / some / none state, new tag input
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+import { MAX_TAG_LENGTH, normalizeTag, hasTag } from '../utils/wheels';
+
+// How many of the wheels carry a tag: 'all', 'some' or 'none'
+const getTagState = (wheels, tag) => {
+  const count = wheels.filter(wheel => hasTag(wheel, tag)).length;
+  if (count === 0) return 'none';
+  return count === wheels.length ? 'all' : 'some';
+};
+
+export default function WheelTagsSheet({ visible, wheels = [], allTags = [], onClose, onSave }) {
+  const [tags, setTags] = useState([]); // [{ tag, state }]
+  const [newTag, setNewTag] = useState('');
+
+  // Start from the wheels' current tags every time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setTags(allTags.map(tag => ({ tag, state: getTagState(wheels, tag) })));
+      setNewTag('');
+    }
+  }, [visible]);
+
+  // Mixed tags become 'all' on the first tap, so one tap is enough to tag the whole selection
+  const toggleTag = (tag) => {
+    setTags(prev => prev.map(item => (
+      item.tag === tag ? { ...item, state: item.state === 'all' ? 'none' : 'all' } : item
+    )));
+  };
+
+  const addNewTag = () => {
+    const tag = normalizeTag(newTag);
+    if (!tag) return;
+
+    const existing = tags.find(item => item.tag.toLowerCase() === tag.toLowerCase());
+    if (existing) {
+      setTags(prev => prev.map(item => (item === existing ? { ...item, state: 'all' } : item)));
+    } else {
+      setTags(prev => [...prev, { tag, state: 'all' }]);
+    }
+    setNewTag('');
+  };
+
+  // Tags left mixed stay as they are on each wheel
+  const handleSave = () => {
+    onSave({
+      add: tags.filter(item => item.state === 'all').map(item => item.tag),
+      remove: tags.filter(item => item.state === 'none').map(item => item.tag),
+    });
+  };
+
+  const title = wheels.length === 1 ? 'Tags' : `Tag ${wheels.length} Wheels`;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>{title}</Text>
+          <TouchableOpacity onPress={handleSave}>
+            <Text style={styles.saveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>New Tag</Text>
+            <View style={styles.newTagRow}>
+              <TextInput
+                style={styles.newTagInput}
+                value={newTag}
+                onChangeText={setNewTag}
+                placeholder="e.g. Family dinner"
+                maxLength={MAX_TAG_LENGTH}
+                returnKeyType="done"
+                onSubmitEditing={addNewTag}
+              />
+              <TouchableOpacity
+                style={[styles.addButton, !newTag.trim() && styles.addButtonDisabled]}
+                onPress={addNewTag}
+                disabled={!newTag.trim()}
+              >
+                <FontAwesome5 name="plus" size={14} color="white" />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionLabel}>Tags</Text>
+            {tags.length === 0 ? (
+              <Text style={styles.hint}>No tags yet. Create one above, like "Work standup" or "Games".</Text>
+            ) : (
+              <>
+                <View style={styles.tagGrid}>
+                  {tags.map(({ tag, state }) => (
+                    <TouchableOpacity
+                      key={tag}
+                      style={[
+                        styles.tagChip,
+                        state === 'all' && styles.tagChipAll,
+                        state === 'some' && styles.tagChipSome,
+                      ]}
+                      onPress={() => toggleTag(tag)}
+                    >
+                      {state !== 'none' && (
+                        <FontAwesome5
+                          name={state === 'all' ? 'check' : 'minus'}
+                          size={11}
+                          color={state === 'all' ? 'white' : '#007AFF'}
+                        />
+                      )}
+                      <Text
+                        style={[
+                          styles.tagChipText,
+                          state === 'all' && styles.tagChipTextAll,
+                          state === 'some' && styles.tagChipTextSome,
+                        ]}
+                      >
+                        {tag}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={styles.hint}>
+                  {wheels.length === 1
+                    ? 'Tap a tag to add it to this wheel or take it off.'
+                    : 'Tap a tag to add it to every selected wheel or take it off all of them. A dash means only some of them have it.'}
+                </Text>
+              </>
+            )}
+          </View>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+    backgroundColor: 'white',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  saveText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  content: {
+    padding: 20,
+  },
+  section: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 20,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 10,
+  },
+  newTagRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  newTagInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#E5E5EA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#F9F9F9',
+  },
+  addButton: {
+    width: 44,
+    borderRadius: 10,
+    backgroundColor: '#007AFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  addButtonDisabled: {
+    backgroundColor: '#C7C7CC',
+  },
+  tagGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+  },
+  tagChipAll: {
+    backgroundColor: '#007AFF',
+  },
+  tagChipSome: {
+    backgroundColor: '#E8F4FD',
+  },
+  tagChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+  },
+  tagChipTextAll: {
+    color: 'white',
+  },
+  tagChipTextSome: {
+    color: '#007AFF',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#999',
+    lineHeight: 18,
+    marginTop: 10,
+  },
+});
@@ -4,8 +4,17 @@
  * Extend: Add cloud sync, offline storage, user accounts
  */
 
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { validateBackupData, applyImport } from '../utils/backup';
+import { loadStores } from '../utils/storage';
+import { trimSpinHistory } from '../utils/spinHistory';
+import { MAX_COIN_FLIPS } from '../utils/coin';
+import { DEFAULT_DICE_PRESETS, MAX_DICE_RESULTS } from '../utils/dice';
+import { DEFAULT_RNG_PRESETS, DEFAULT_TICKET, trimRngHistory } from '../utils/randomNumbers';
+import { DEFAULT_RANDOMNESS, createRandomSource } from '../utils/randomness';
+import { matchesWheelSearch } from '../utils/wheels';
 
 // Default color palette for wheel options
 const DEFAULT_COLORS = [
@@ -23,14 +32,59 @@ const STORAGE_KEYS = {
   WHEELS: '@minidecider_wheels',
   SETTINGS: '@minidecider_settings',
   RNG_CONFIG: '@minidecider_rng_config',
+  RNG_PRESETS: '@minidecider_rng_presets',
+  RNG_HISTORY: '@minidecider_rng_history',
   COIN_STATS: '@minidecider_coin_stats',
+  COIN_CONFIG: '@minidecider_coin_config',
+  COIN_FLIPS: '@minidecider_coin_flips',
+  DICE_PRESETS: '@minidecider_dice_presets',
+  DICE_RESULTS: '@minidecider_dice_results',
   SPIN_RESULTS: '@minidecider_spin_results',
+  FINGER_RESULTS: '@minidecider_finger_results',
+  CURRENT_WHEEL: '@minidecider_current_wheel',
+};
+
+const DEFAULT_WHEEL_ID = 'preset-what-to-eat';
+
+// Storage key for each piece of state persisted by persistState
+const STATE_STORAGE_KEYS = {
+  wheels: STORAGE_KEYS.WHEELS,
+  settings: STORAGE_KEYS.SETTINGS,
+  rngConfig: STORAGE_KEYS.RNG_CONFIG,
+  rngPresets: STORAGE_KEYS.RNG_PRESETS,
+  rngHistory: STORAGE_KEYS.RNG_HISTORY,
+  coinStats: STORAGE_KEYS.COIN_STATS,
+  coinConfig: STORAGE_KEYS.COIN_CONFIG,
+  coinFlips: STORAGE_KEYS.COIN_FLIPS,
+  dicePresets: STORAGE_KEYS.DICE_PRESETS,
+  diceResults: STORAGE_KEYS.DICE_RESULTS,
+  spinResults: STORAGE_KEYS.SPIN_RESULTS,
+  fingerResults: STORAGE_KEYS.FINGER_RESULTS,
+  currentWheelId: STORAGE_KEYS.CURRENT_WHEEL,
+};
+
+// Human-readable names used when telling the user a store had to be recovered
+const STORE_LABELS = {
+  wheels: 'wheels',
+  settings: 'settings',
+  rngConfig: 'number generator settings',
+  rngPresets: 'number presets',
+  rngHistory: 'number history',
+  coinStats: 'coin statistics',
+  coinConfig: 'coin settings',
+  coinFlips: 'coin flip history',
+  dicePresets: 'dice presets',
+  diceResults: 'dice roll history',
+  spinResults: 'spin history',
+  fingerResults: 'finger picker history',
+  currentWheelId: 'selected wheel',
 };
 
 const DEFAULT_SETTINGS = {
   hapticsEnabled: true,
   defaultSpinDuration: 4,
   onboardingCompleted: false,
+  randomness: DEFAULT_RANDOMNESS,
 };
 
 const DEFAULT_RNG_CONFIG = {
@@ -38,7 +92,14 @@ const DEFAULT_RNG_CONFIG = {
   max: 100,
   count: 1,
   allowDuplicates: true,
+  decimals: 0,
+  step: 1,
+  exclusions: [],
+  sort: 'none',
   lastResults: [],
+  mode: 'numbers',
+  ticket: DEFAULT_TICKET,
+  lastTicket: [],
 };
 
 const DEFAULT_COIN_STATS = {
@@ -48,6 +109,17 @@ const DEFAULT_COIN_STATS = {
   lastFlippedAt: null,
 };
 
+// Coin faces, heads chance in percent, how many coins are flipped at once
+// and the coin screen's own preferences
+const DEFAULT_COIN_CONFIG = {
+  heads: { label: 'Heads', emoji: '', color: '#F7C74A' },
+  tails: { label: 'Tails', emoji: '', color: '#F7C74A' },
+  headsChance: 50,
+  coinCount: 1,
+  hapticsMode: 'app', // 'app' follows settings.hapticsEnabled, 'on' or 'off' override it
+  flipDuration: 1.25, // seconds
+};
+
 // Preset wheels that are created for new users
 const PRESET_WHEELS = [
   {
@@ -388,14 +460,34 @@ const PRESET_WHEELS = [
     updatedAt: new Date().toISOString(),
   },
 ];
+
+// Fresh copies of the preset wheels, used when seeding or resetting wheels
+const createPresetWheels = () => {
+  const now = new Date().toISOString();
+  return PRESET_WHEELS.map(preset => ({
+    ...preset,
+    options: preset.options.map(option => ({ ...option })),
+    createdAt: now,
+    updatedAt: now,
+  }));
+};
+
 export function AppProvider({ children }) {
   const [wheels, setWheels] = useState([]);
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [rngConfig, setRngConfig] = useState(DEFAULT_RNG_CONFIG);
+  const [rngPresets, setRngPresets] = useState(DEFAULT_RNG_PRESETS);
+  const [rngHistory, setRngHistory] = useState([]); // Generated batches, newest first
   const [coinStats, setCoinStats] = useState(DEFAULT_COIN_STATS);
+  const [coinConfig, setCoinConfig] = useState(DEFAULT_COIN_CONFIG);
+  const [coinFlips, setCoinFlips] = useState([]); // Individual flips, newest first
+  const [dicePresets, setDicePresets] = useState(DEFAULT_DICE_PRESETS);
+  const [diceResults, setDiceResults] = useState([]);
   const [spinResults, setSpinResults] = useState([]);
+  const [fingerResults, setFingerResults] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [currentWheelId, setCurrentWheelId] = useState('preset-what-to-eat');
+  const [currentWheelId, setCurrentWheelId] = useState(DEFAULT_WHEEL_ID);
+  const [resetSnapshot, setResetSnapshot] = useState(null); // Session-only backup taken before a reset
 
   // Load data from storage on app start
   useEffect(() => {
@@ -422,29 +514,33 @@ export function AppProvider({ children }) {
 
   const loadAppData = async () => {
     try {
-      const [
-        storedWheels,
-        storedSettings,
-        storedRngConfig,
-        storedCoinStats,
-        storedSpinResults,
-        storedCurrentWheel,
-      ] = await Promise.all([
-        AsyncStorage.getItem(STORAGE_KEYS.WHEELS),
-        AsyncStorage.getItem(STORAGE_KEYS.SETTINGS),
-        AsyncStorage.getItem(STORAGE_KEYS.RNG_CONFIG),
-        AsyncStorage.getItem(STORAGE_KEYS.COIN_STATS),
-        AsyncStorage.getItem(STORAGE_KEYS.SPIN_RESULTS),
-        AsyncStorage.getItem('@minidecider_current_wheel'),
-        AsyncStorage.getItem('@minidecider_current_wheel'),
-      ]);
-
-      if (storedWheels) setWheels(JSON.parse(storedWheels));
-      if (storedSettings) setSettings(JSON.parse(storedSettings));
-      if (storedRngConfig) setRngConfig(JSON.parse(storedRngConfig));
-      if (storedCoinStats) setCoinStats(JSON.parse(storedCoinStats));
-      if (storedSpinResults) setSpinResults(JSON.parse(storedSpinResults));
-      if (storedCurrentWheel) setCurrentWheelId(JSON.parse(storedCurrentWheel));
+      // Stored data is migrated to the current schema before it reaches state
+      const { stores, recoveredStores, droppedWheelCount } = await loadStores(STATE_STORAGE_KEYS);
+
+      if (stores.wheels) setWheels(stores.wheels);
+      if (stores.settings) setSettings({ ...DEFAULT_SETTINGS, ...stores.settings });
+      if (stores.rngConfig) setRngConfig({ ...DEFAULT_RNG_CONFIG, ...stores.rngConfig });
+      if (stores.rngPresets) setRngPresets(stores.rngPresets);
+      if (stores.rngHistory) setRngHistory(stores.rngHistory);
+      if (stores.coinStats) setCoinStats({ ...DEFAULT_COIN_STATS, ...stores.coinStats });
+      if (stores.coinConfig) setCoinConfig({ ...DEFAULT_COIN_CONFIG, ...stores.coinConfig });
+      if (stores.coinFlips) setCoinFlips(stores.coinFlips);
+      if (stores.dicePresets) setDicePresets(stores.dicePresets);
+      if (stores.diceResults) setDiceResults(stores.diceResults);
+      if (stores.spinResults) setSpinResults(stores.spinResults);
+      if (stores.currentWheelId) setCurrentWheelId(stores.currentWheelId);
+      if (stores.fingerResults) setFingerResults(stores.fingerResults);
+
+      if (recoveredStores.length > 0 || droppedWheelCount > 0) {
+        const problems = [
+          ...recoveredStores.map(name => STORE_LABELS[name] || name),
+          ...(droppedWheelCount > 0 ? [`${droppedWheelCount} wheel${droppedWheelCount === 1 ? '' : 's'}`] : []),
+        ];
+        Alert.alert(
+          'Some Data Could Not Be Read',
+          `The following saved data was damaged and has been reset: ${problems.join(', ')}. A copy of the damaged data was kept on this device.`
+        );
+      }
     } catch (error) {
       console.error('Failed to load app data:', error);
     } finally {
@@ -460,6 +556,28 @@ export function AppProvider({ children }) {
     }
   };
 
+  // Write several pieces of state in one batch, then apply them
+  // Nothing changes in memory if the write fails
+  const persistState = async (next) => {
+    await AsyncStorage.multiSet(
+      Object.entries(next).map(([name, value]) => [STATE_STORAGE_KEYS[name], JSON.stringify(value)])
+    );
+
+    if (next.wheels) setWheels(next.wheels);
+    if (next.settings) setSettings(next.settings);
+    if (next.rngConfig) setRngConfig(next.rngConfig);
+    if (next.rngPresets) setRngPresets(next.rngPresets);
+    if (next.rngHistory) setRngHistory(next.rngHistory);
+    if (next.coinStats) setCoinStats(next.coinStats);
+    if (next.coinConfig) setCoinConfig(next.coinConfig);
+    if (next.coinFlips) setCoinFlips(next.coinFlips);
+    if (next.dicePresets) setDicePresets(next.dicePresets);
+    if (next.diceResults) setDiceResults(next.diceResults);
+    if (next.spinResults) setSpinResults(next.spinResults);
+    if (next.fingerResults) setFingerResults(next.fingerResults);
+    if (next.currentWheelId) setCurrentWheelId(next.currentWheelId);
+  };
+
   // Wheel management
   const addWheel = (wheel) => {
     const newWheels = [...wheels, wheel];
@@ -475,28 +593,35 @@ export function AppProvider({ children }) {
     saveToStorage(STORAGE_KEYS.WHEELS, newWheels);
   };
 
+  // Save several changed wheels at once, e.g. after tagging a selection
+  const updateWheels = (updatedWheels) => {
+    const updatedById = new Map(updatedWheels.map(wheel => [wheel.id, wheel]));
+    const newWheels = wheels.map(wheel => updatedById.get(wheel.id) || wheel);
+    setWheels(newWheels);
+    saveToStorage(STORAGE_KEYS.WHEELS, newWheels);
+  };
+
   const deleteWheel = (wheelId) => {
     // If deleting current wheel, reset to default
     if (wheelId === currentWheelId) {
-      setCurrentWheelId('preset-what-to-eat');
-      saveToStorage('@minidecider_current_wheel', 'preset-what-to-eat');
+      setCurrentWheelId(DEFAULT_WHEEL_ID);
+      saveToStorage(STORAGE_KEYS.CURRENT_WHEEL, DEFAULT_WHEEL_ID);
     }
     
     const newWheels = wheels.filter(wheel => wheel.id !== wheelId);
     setWheels(newWheels);
     saveToStorage(STORAGE_KEYS.WHEELS, newWheels);
+
+    // A deleted wheel's history can no longer be viewed
+    const newResults = spinResults.filter(result => result.wheelId !== wheelId);
+    setSpinResults(newResults);
+    saveToStorage(STORAGE_KEYS.SPIN_RESULTS, newResults);
   };
 
+  // Wheels whose name, option labels or tags contain the query
   const searchWheels = (query) => {
     if (!query.trim()) return wheels;
-    
-    const lowercaseQuery = query.toLowerCase();
-    return wheels.filter(wheel => 
-      wheel.name.toLowerCase().includes(lowercaseQuery) ||
-      wheel.options.some(option => 
-        option.label.toLowerCase().includes(lowercaseQuery)
-      )
-    );
+    return wheels.filter(wheel => matchesWheelSearch(wheel, query));
   };
 
   // Settings management
@@ -506,6 +631,25 @@ export function AppProvider({ children }) {
     saveToStorage(STORAGE_KEYS.SETTINGS, updatedSettings);
   };
 
+  // Random function and history record for one draw from the chosen randomness source
+  // Seeded draws use up their draw number, so every draw gets its own replayable sequence
+  // Reads settings through a ref so callers holding an older render's function still count up
+  const latestSettingsRef = useRef(settings);
+  latestSettingsRef.current = settings;
+  const takeRandomSource = () => {
+    const current = latestSettingsRef.current;
+    const randomness = { ...DEFAULT_RANDOMNESS, ...current.randomness };
+    const source = createRandomSource(randomness);
+
+    if (randomness.source === 'seeded') {
+      const updatedSettings = { ...current, randomness: { ...randomness, nonce: randomness.nonce + 1 } };
+      latestSettingsRef.current = updatedSettings;
+      setSettings(updatedSettings);
+      saveToStorage(STORAGE_KEYS.SETTINGS, updatedSettings);
+    }
+    return source;
+  };
+
   // RNG Config management
   const updateRngConfig = (newConfig) => {
     const updatedConfig = { ...rngConfig, ...newConfig };
@@ -513,69 +657,170 @@ export function AppProvider({ children }) {
     saveToStorage(STORAGE_KEYS.RNG_CONFIG, updatedConfig);
   };
 
+  // Number presets and history management
+  const addRngPreset = (preset) => {
+    const newPresets = [...rngPresets, preset];
+    setRngPresets(newPresets);
+    saveToStorage(STORAGE_KEYS.RNG_PRESETS, newPresets);
+  };
+
+  const deleteRngPreset = (presetId) => {
+    const newPresets = rngPresets.filter(preset => preset.id !== presetId);
+    setRngPresets(newPresets);
+    saveToStorage(STORAGE_KEYS.RNG_PRESETS, newPresets);
+  };
+
+  const addRngBatch = (batch) => {
+    const newHistory = trimRngHistory([batch, ...rngHistory]); // Keep the latest batches
+    setRngHistory(newHistory);
+    saveToStorage(STORAGE_KEYS.RNG_HISTORY, newHistory);
+  };
+
+  const clearRngHistory = () => {
+    setRngHistory([]);
+    saveToStorage(STORAGE_KEYS.RNG_HISTORY, []);
+  };
+
   // Coin Stats management
   const updateCoinStats = (newStats) => {
     setCoinStats(newStats);
     saveToStorage(STORAGE_KEYS.COIN_STATS, newStats);
   };
 
+  // Coin flip history management
+  const addCoinFlips = (entries) => {
+    const newFlips = [...entries, ...coinFlips].slice(0, MAX_COIN_FLIPS); // Keep the latest flips
+    setCoinFlips(newFlips);
+    saveToStorage(STORAGE_KEYS.COIN_FLIPS, newFlips);
+  };
+
+  const clearCoinFlips = () => {
+    setCoinFlips([]);
+    saveToStorage(STORAGE_KEYS.COIN_FLIPS, []);
+  };
+
+  // Coin config management
+  const updateCoinConfig = (newConfig) => {
+    const updatedConfig = { ...coinConfig, ...newConfig };
+    setCoinConfig(updatedConfig);
+    saveToStorage(STORAGE_KEYS.COIN_CONFIG, updatedConfig);
+  };
+
+  // Dice presets and results management
+  const addDicePreset = (preset) => {
+    const newPresets = [...dicePresets, preset];
+    setDicePresets(newPresets);
+    saveToStorage(STORAGE_KEYS.DICE_PRESETS, newPresets);
+  };
+
+  const deleteDicePreset = (presetId) => {
+    const newPresets = dicePresets.filter(preset => preset.id !== presetId);
+    setDicePresets(newPresets);
+    saveToStorage(STORAGE_KEYS.DICE_PRESETS, newPresets);
+  };
+
+  const addDiceResult = (result) => {
+    const newResults = [result, ...diceResults].slice(0, MAX_DICE_RESULTS); // Keep the latest rolls
+    setDiceResults(newResults);
+    saveToStorage(STORAGE_KEYS.DICE_RESULTS, newResults);
+  };
+
+  const clearDiceResults = () => {
+    setDiceResults([]);
+    saveToStorage(STORAGE_KEYS.DICE_RESULTS, []);
+  };
+
   // Spin Results management
   const addSpinResult = (result) => {
-    const newResults = [result, ...spinResults].slice(0, 100); // Keep last 100 results
+    const newResults = trimSpinHistory([result, ...spinResults]); // Keep the latest spins of each wheel
+    setSpinResults(newResults);
+    saveToStorage(STORAGE_KEYS.SPIN_RESULTS, newResults);
+  };
+
+  const clearSpinHistory = (wheelId) => {
+    const newResults = spinResults.filter(result => result.wheelId !== wheelId);
     setSpinResults(newResults);
     saveToStorage(STORAGE_KEYS.SPIN_RESULTS, newResults);
   };
 
+  // Finger picker results management
+  const addFingerResult = (result) => {
+    const newResults = [result, ...fingerResults].slice(0, 100); // Keep last 100 results
+    setFingerResults(newResults);
+    saveToStorage(STORAGE_KEYS.FINGER_RESULTS, newResults);
+  };
+
   // Current wheel management
   const setCurrentWheel = (wheelId) => {
     setCurrentWheelId(wheelId);
-    saveToStorage('@minidecider_current_wheel', wheelId);
+    saveToStorage(STORAGE_KEYS.CURRENT_WHEEL, wheelId);
   };
 
   const getCurrentWheel = () => {
     const wheel = wheels.find(w => w.id === currentWheelId);
     // Fallback to preset if current wheel not found
-    return wheel || wheels.find(w => w.id === 'preset-what-to-eat') || wheels[0];
+    return wheel || wheels.find(w => w.id === DEFAULT_WHEEL_ID) || wheels[0];
   };
 
   const getSpinResultsForWheel = (wheelId) => {
     return spinResults.filter(result => result.wheelId === wheelId);
   };
 
-  // Data export/import (placeholder)
+  // Data export/import
   const exportData = () => {
     return {
-      wheels,
+      // A pending fair draw's secret must not leave the device before it is revealed,
+      // so backups leave the draw out; a restored copy couldn't finish it anyway
+      wheels: wheels.map(({ fairDraw, ...wheel }) => wheel),
       settings,
       rngConfig,
+      rngPresets,
+      rngHistory,
       coinStats,
+      coinConfig,
+      coinFlips,
+      dicePresets,
+      diceResults,
       spinResults,
+      fingerResults,
       exportDate: new Date().toISOString(),
     };
   };
 
-  const importData = (data) => {
+  // Import validated backup data; choices pick 'replace', 'merge' or 'skip'
+  // for each of the wheels, settings and statistics categories
+  const importData = async (data, choices = { wheels: 'replace', settings: 'replace', statistics: 'replace' }) => {
+    const errors = validateBackupData(data);
+    if (errors.length > 0) {
+      console.error('Rejected import data:', errors);
+      return false;
+    }
+
+    const next = applyImport({
+      wheels,
+      settings,
+      rngConfig,
+      rngPresets,
+      rngHistory,
+      coinStats,
+      coinConfig,
+      coinFlips,
+      dicePresets,
+      diceResults,
+      spinResults,
+      fingerResults,
+      defaults: {
+        settings: DEFAULT_SETTINGS,
+        rngConfig: DEFAULT_RNG_CONFIG,
+        coinStats: DEFAULT_COIN_STATS,
+        coinConfig: DEFAULT_COIN_CONFIG,
+      },
+    }, data, choices);
+
     try {
-      if (data.wheels) {
-        setWheels(data.wheels);
-        saveToStorage(STORAGE_KEYS.WHEELS, data.wheels);
-      }
-      if (data.settings) {
-        setSettings(data.settings);
-        saveToStorage(STORAGE_KEYS.SETTINGS, data.settings);
-      }
-      if (data.rngConfig) {
-        setRngConfig(data.rngConfig);
-        saveToStorage(STORAGE_KEYS.RNG_CONFIG, data.rngConfig);
-      }
-      if (data.coinStats) {
-        setCoinStats(data.coinStats);
-        saveToStorage(STORAGE_KEYS.COIN_STATS, data.coinStats);
-      }
-      if (data.spinResults) {
-        setSpinResults(data.spinResults);
-        saveToStorage(STORAGE_KEYS.SPIN_RESULTS, data.spinResults);
-      }
+      // Everything is written in one batch so a failed import never leaves
+      // the app half updated
+      await persistState(next);
       return true;
     } catch (error) {
       console.error('Failed to import data:', error);
@@ -583,25 +828,84 @@ export function AppProvider({ children }) {
     }
   };
 
-  const resetApp = async () => {
+  // Reset one scope of app data: 'wheels', 'statistics' or 'everything'
+  // A snapshot of the previous data is kept for the session so the reset can be undone
+  // Returns that snapshot, or null when nothing was reset
+  const resetApp = async (scope = 'everything') => {
+    const snapshot = {
+      ...exportData(),
+      wheels, // Including pending fair draws, which exports leave out
+      currentWheelId,
+      scope,
+    };
+
+    const next = {};
+    if (scope === 'wheels' || scope === 'everything') {
+      next.wheels = createPresetWheels();
+      next.currentWheelId = DEFAULT_WHEEL_ID;
+    }
+    if (scope === 'statistics' || scope === 'everything') {
+      next.coinStats = DEFAULT_COIN_STATS;
+      next.coinFlips = [];
+      next.rngHistory = [];
+      next.diceResults = [];
+      next.spinResults = [];
+      next.fingerResults = [];
+      next.rngConfig = { ...rngConfig, lastResults: [], lastTicket: [] }; // Last generated numbers are history too
+    }
+    if (scope === 'everything') {
+      // Someone who has already seen onboarding doesn't need it again after a reset
+      next.settings = { ...DEFAULT_SETTINGS, onboardingCompleted: settings.onboardingCompleted };
+      next.rngConfig = DEFAULT_RNG_CONFIG;
+      next.rngPresets = DEFAULT_RNG_PRESETS;
+      next.coinConfig = DEFAULT_COIN_CONFIG;
+      next.dicePresets = DEFAULT_DICE_PRESETS;
+    }
+
     try {
-      await Promise.all([
-        AsyncStorage.removeItem(STORAGE_KEYS.WHEELS),
-        AsyncStorage.removeItem(STORAGE_KEYS.SETTINGS),
-        AsyncStorage.removeItem(STORAGE_KEYS.RNG_CONFIG),
-        AsyncStorage.removeItem(STORAGE_KEYS.COIN_STATS),
-        AsyncStorage.removeItem(STORAGE_KEYS.SPIN_RESULTS),
-      ]);
-      
-      setWheels([]);
-      setSettings(DEFAULT_SETTINGS);
-      setRngConfig(DEFAULT_RNG_CONFIG);
-      setCoinStats(DEFAULT_COIN_STATS);
-      setSpinResults([]);
-      
-      return true;
+      await persistState(next);
+      setResetSnapshot(snapshot);
+      return snapshot;
     } catch (error) {
       console.error('Failed to reset app:', error);
+      return null;
+    }
+  };
+
+  // Put back whatever a reset removed
+  // snapshot: the one returned by resetApp; callers created in the same render as the
+  // reset must pass it, since the resetSnapshot state they see is from before the reset
+  const restoreResetSnapshot = async (snapshot = resetSnapshot) => {
+    if (!snapshot) return false;
+
+    const { scope } = snapshot;
+    const next = {};
+    if (scope === 'wheels' || scope === 'everything') {
+      next.wheels = snapshot.wheels;
+      next.currentWheelId = snapshot.currentWheelId;
+    }
+    if (scope === 'statistics' || scope === 'everything') {
+      next.coinStats = snapshot.coinStats;
+      next.coinFlips = snapshot.coinFlips;
+      next.rngHistory = snapshot.rngHistory;
+      next.diceResults = snapshot.diceResults;
+      next.spinResults = snapshot.spinResults;
+      next.fingerResults = snapshot.fingerResults;
+      next.rngConfig = snapshot.rngConfig;
+    }
+    if (scope === 'everything') {
+      next.settings = snapshot.settings;
+      next.rngPresets = snapshot.rngPresets;
+      next.coinConfig = snapshot.coinConfig;
+      next.dicePresets = snapshot.dicePresets;
+    }
+
+    try {
+      await persistState(next);
+      setResetSnapshot(null);
+      return true;
+    } catch (error) {
+      console.error('Failed to restore data:', error);
       return false;
     }
   };
@@ -611,29 +915,56 @@ export function AppProvider({ children }) {
     wheels,
     settings,
     rngConfig,
+    rngPresets,
+    rngHistory,
     coinStats,
+    coinConfig,
+    coinFlips,
+    dicePresets,
+    diceResults,
     spinResults,
+    fingerResults,
     isLoading,
     currentWheelId,
+    resetSnapshot,
     
     // Wheel actions
     addWheel,
     updateWheel,
+    updateWheels,
     deleteWheel,
     searchWheels,
     
     // Settings actions
     updateSettings,
+    takeRandomSource,
     
     // RNG actions
     updateRngConfig,
+    addRngPreset,
+    deleteRngPreset,
+    addRngBatch,
+    clearRngHistory,
     
     // Coin actions
     updateCoinStats,
+    updateCoinConfig,
+    addCoinFlips,
+    clearCoinFlips,
+    
+    // Dice actions
+    addDicePreset,
+    deleteDicePreset,
+    addDiceResult,
+    clearDiceResults,
     
     // Results actions
     addSpinResult,
     getSpinResultsForWheel,
+    clearSpinHistory,
+    
+    // Finger picker actions
+    addFingerResult,
     
     // Current wheel actions
     setCurrentWheel,
@@ -643,6 +974,7 @@ export function AppProvider({ children }) {
     exportData,
     importData,
     resetApp,
+    restoreResetSnapshot,
   };
 
   return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
@@ -0,0 +1,183 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  SCHEMA_VERSION_KEY,
+  runMigrations,
+  loadStores,
+} from '../storage';
+import unversionedStores from './fixtures/unversioned-stores.json';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const STORAGE_KEYS = {
+  wheels: '@test_wheels',
+  settings: '@test_settings',
+  coinStats: '@test_coin_stats',
+  spinResults: '@test_spin_results',
+  currentWheelId: '@test_current_wheel',
+};
+
+// Write stores to AsyncStorage the way the app does: one JSON value per key
+const seedStorage = async (stores, version) => {
+  await AsyncStorage.multiSet([
+    ...Object.entries(stores).map(([name, value]) => [STORAGE_KEYS[name], JSON.stringify(value)]),
+    ...(version !== undefined ? [[SCHEMA_VERSION_KEY, JSON.stringify(version)]] : []),
+  ]);
+};
+
+const readStored = async (key) => {
+  const raw = await AsyncStorage.getItem(key);
+  return raw === null ? null : JSON.parse(raw);
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MIGRATIONS', () => {
+  it('are numbered from 1 without gaps', () => {
+    expect(MIGRATIONS.map(migration => migration.version))
+      .toEqual(MIGRATIONS.map((_, index) => index + 1));
+    expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+  });
+});
+
+describe('runMigrations', () => {
+  it('brings unversioned wheels up to the current shape', () => {
+    const { wheels } = runMigrations(unversionedStores, 0);
+    const [lunch, notAWheel, movieNight] = wheels;
+
+    expect(lunch).toMatchObject({
+      id: '1700000000000',
+      emoji: '🎯',
+      pinned: false,
+      favorite: false,
+      createdAt: '2024-01-05T12:00:00.000Z',
+      updatedAt: '2024-01-05T12:00:00.000Z',
+    });
+    expect(lunch.options).toEqual([
+      { id: '1', label: 'Pizza', color: '#FF6B6B', weight: 50, enabled: true },
+      { id: '2', label: 'Sushi', color: '#CCCCCC', weight: 100, enabled: true },
+      { id: '3', label: '42', color: '#45B7D1', weight: 75, enabled: false },
+      { id: '4', label: 'Tacos', color: '#96CEB4', weight: 1, enabled: true },
+      { id: '5', label: 'Salad', color: '#FFEAA7', weight: 50, enabled: true },
+    ]);
+
+    expect(notAWheel).toBe('not a wheel'); // Left for recovery to drop
+    expect(movieNight).toMatchObject({
+      emoji: '🎬',
+      favorite: true,
+      updatedAt: '2024-02-03T20:00:00.000Z',
+    });
+    expect(movieNight.options[0].weight).toBe(13);
+  });
+
+  it('drops spin results that are not objects', () => {
+    const { spinResults } = runMigrations(unversionedStores, 0);
+    expect(spinResults).toEqual([unversionedStores.spinResults[0]]);
+  });
+
+  it('leaves stores it knows nothing about alone', () => {
+    const { settings } = runMigrations(unversionedStores, 0);
+    expect(settings).toBe(unversionedStores.settings);
+  });
+
+  it('drops the unused coin sound setting', () => {
+    const { coinConfig } = runMigrations({ coinConfig: { coinCount: 2, soundEnabled: true } }, 1);
+    expect(coinConfig).toEqual({ coinCount: 2 });
+  });
+
+  it('does not require every store to exist', () => {
+    expect(runMigrations({}, 0)).toEqual({});
+  });
+
+  it('skips migrations the data already has', () => {
+    expect(runMigrations(unversionedStores, CURRENT_SCHEMA_VERSION)).toBe(unversionedStores);
+  });
+});
+
+describe('loadStores', () => {
+  it('migrates data written before versioning and saves it back', async () => {
+    await seedStorage(unversionedStores);
+
+    const { stores, recoveredStores, droppedWheelCount } = await loadStores(STORAGE_KEYS);
+
+    expect(recoveredStores).toEqual([]);
+    expect(droppedWheelCount).toBe(1);
+    expect(stores.wheels.map(wheel => wheel.id)).toEqual(['1700000000000', 'movie-night']);
+    expect(stores.spinResults).toHaveLength(1);
+    expect(await readStored(STORAGE_KEYS.wheels)).toEqual(stores.wheels);
+    expect(await readStored(SCHEMA_VERSION_KEY)).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('keeps a copy of the wheels list before dropping unreadable wheels', async () => {
+    await seedStorage(unversionedStores);
+
+    await loadStores(STORAGE_KEYS);
+
+    expect(await readStored(`${STORAGE_KEYS.wheels}_corrupted`)).toEqual(unversionedStores.wheels);
+  });
+
+  it('starts a fresh install at the current version', async () => {
+    const { stores, recoveredStores } = await loadStores(STORAGE_KEYS);
+
+    expect(stores).toEqual({});
+    expect(recoveredStores).toEqual([]);
+    expect(await readStored(SCHEMA_VERSION_KEY)).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('recovers a key that is not valid JSON and keeps a copy of it', async () => {
+    await seedStorage({ wheels: [], currentWheelId: 'movie-night' }, CURRENT_SCHEMA_VERSION);
+    await AsyncStorage.setItem(STORAGE_KEYS.settings, '{"hapticsEnabled": fal');
+
+    const { stores, recoveredStores } = await loadStores(STORAGE_KEYS);
+
+    expect(recoveredStores).toEqual(['settings']);
+    expect(stores).toEqual({ wheels: [], currentWheelId: 'movie-night' });
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.settings)).toBeNull();
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.settings}_corrupted`)).toBe('{"hapticsEnabled": fal');
+  });
+
+  it('recovers a key holding the wrong type of value', async () => {
+    await seedStorage({ coinStats: [3, 4], currentWheelId: 'movie-night' }, CURRENT_SCHEMA_VERSION);
+
+    const { stores, recoveredStores } = await loadStores(STORAGE_KEYS);
+
+    expect(recoveredStores).toEqual(['coinStats']);
+    expect(stores).not.toHaveProperty('coinStats');
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.coinStats)).toBeNull();
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.coinStats}_corrupted`)).toBe('[3,4]');
+  });
+
+  it('loads data from a newer app version without rewriting it', async () => {
+    const newerVersion = CURRENT_SCHEMA_VERSION + 1;
+    await seedStorage({ settings: { hapticsEnabled: true, futureSetting: 'on' } }, newerVersion);
+    AsyncStorage.multiSet.mockClear();
+
+    const { stores } = await loadStores(STORAGE_KEYS);
+
+    expect(stores.settings).toEqual({ hapticsEnabled: true, futureSetting: 'on' });
+    expect(AsyncStorage.multiSet).not.toHaveBeenCalled();
+    expect(await readStored(SCHEMA_VERSION_KEY)).toBe(newerVersion);
+  });
+
+  it('leaves keys from a newer app version in place even when they look corrupted', async () => {
+    const newerVersion = CURRENT_SCHEMA_VERSION + 1;
+    await seedStorage({ coinStats: [3, 4] }, newerVersion);
+
+    const { stores, recoveredStores } = await loadStores(STORAGE_KEYS);
+
+    expect(recoveredStores).toEqual(['coinStats']);
+    expect(stores).not.toHaveProperty('coinStats');
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.coinStats)).toBe('[3,4]');
+    expect(await AsyncStorage.getItem(`${STORAGE_KEYS.coinStats}_corrupted`)).toBeNull();
+  });
+});
@@ -0,0 +1,167 @@
+import {
+  getSliceAngles,
+  getPointerAngle,
+  pickIndex,
+  getStopRotation,
+  pickWeightedIndexAmong,
+  drawWinnerIndexes,
+  freezeWheelDraw,
+  replayWheelDraw,
+} from '../wheelEngine';
+
+const option = (weight) => ({ weight });
+
+// Random source that returns the given values in turn
+const sequence = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+describe('getSliceAngles', () => {
+  it('splits the wheel by weight', () => {
+    const slices = getSliceAngles([option(1), option(2), option(1)]);
+    expect(slices).toEqual([
+      { start: 0, end: 90, sweep: 90 },
+      { start: 90, end: 270, sweep: 180 },
+      { start: 270, end: 360, sweep: 90 },
+    ]);
+  });
+
+  it('gives zero-weight options an empty slice', () => {
+    const slices = getSliceAngles([option(1), option(0), option(1)]);
+    expect(slices.map(slice => slice.sweep)).toEqual([180, 0, 180]);
+    expect(slices[1].start).toBe(180);
+    expect(slices[1].end).toBe(180);
+  });
+
+  it('treats negative and missing weights as zero', () => {
+    const slices = getSliceAngles([option(-5), {}, option(3)]);
+    expect(slices.map(slice => slice.sweep)).toEqual([0, 0, 360]);
+  });
+
+  it('falls back to equal slices when no option has weight', () => {
+    const slices = getSliceAngles([option(0), option(0), option(0), option(0)]);
+    expect(slices.map(slice => slice.sweep)).toEqual([90, 90, 90, 90]);
+  });
+});
+
+describe('getPointerAngle', () => {
+  it('shows the wheel angle opposite the rotation', () => {
+    expect(getPointerAngle(0)).toBe(0);
+    expect(getPointerAngle(90)).toBe(270);
+    expect(getPointerAngle(270)).toBe(90);
+  });
+
+  it('ignores full turns and negative rotations', () => {
+    expect(getPointerAngle(360 * 5 + 90)).toBe(270);
+    expect(getPointerAngle(-90)).toBe(90);
+  });
+});
+
+describe('pickIndex', () => {
+  const slices = getSliceAngles([option(1), option(2), option(1)]);
+
+  it('picks the slice under the pointer', () => {
+    expect(pickIndex(0, slices)).toBe(0);
+    expect(pickIndex(360 - 45, slices)).toBe(0);
+    expect(pickIndex(360 - 180, slices)).toBe(1);
+    expect(pickIndex(360 - 300, slices)).toBe(2);
+  });
+
+  it('never picks a zero-weight slice, even on its border', () => {
+    const withEmpty = getSliceAngles([option(1), option(0), option(1)]);
+    expect(pickIndex(360 - 180, withEmpty)).toBe(2);
+    expect(pickIndex(360 - 179.9, withEmpty)).toBe(0);
+  });
+
+  it('gives a sliver past the last slice to the last drawn slice', () => {
+    const slices = [
+      { start: 0, end: 180, sweep: 180 },
+      { start: 180, end: 359.9999, sweep: 179.9999 },
+      { start: 359.9999, end: 359.9999, sweep: 0 },
+    ];
+    expect(pickIndex(0.00001, slices)).toBe(1);
+  });
+});
+
+describe('getStopRotation', () => {
+  const weightings = {
+    equal: [option(1), option(1), option(1), option(1)],
+    weighted: [option(10), option(1), option(30), option(5), option(54)],
+    'zero-weight': [option(0), option(3), option(0), option(1)],
+  };
+
+  Object.entries(weightings).forEach(([name, options]) => {
+    it(`lands on the chosen ${name} slice`, () => {
+      const slices = getSliceAngles(options);
+      const randomValues = [0, 0.25, 0.5, 0.999];
+      [0, 37.5, 720, -200].forEach((currentDeg) => {
+        slices.forEach((slice, index) => {
+          if (slice.sweep === 0) return;
+          randomValues.forEach((value) => {
+            const stop = getStopRotation(currentDeg, slices, index, sequence(value));
+            expect(pickIndex(stop, slices)).toBe(index);
+          });
+        });
+      });
+    });
+  });
+
+  it('turns forward 5 to 7 full rotations', () => {
+    const slices = getSliceAngles([option(1), option(1)]);
+    [0, 0.5, 0.999].forEach((value) => {
+      const stop = getStopRotation(100, slices, 1, sequence(value));
+      const turns = Math.floor((stop - 100) / 360);
+      expect(turns).toBeGreaterThanOrEqual(5);
+      expect(turns).toBeLessThanOrEqual(7);
+    });
+  });
+
+  it('stays clear of the slice borders', () => {
+    const slices = getSliceAngles([option(1), option(1)]);
+    const atStart = getPointerAngle(getStopRotation(0, slices, 1, sequence(0)));
+    const atEnd = getPointerAngle(getStopRotation(0, slices, 1, sequence(0.999999)));
+    expect(atStart).toBeCloseTo(180 + 18);
+    expect(atEnd).toBeCloseTo(360 - 18, 3);
+  });
+});
+
+describe('replayWheelDraw', () => {
+  const options = [
+    { id: 'a', label: 'Pizza', weight: 10 },
+    { id: 'b', label: 'Sushi', weight: 0 },
+    { id: 'c', label: 'Tacos', weight: 30 },
+    { id: 'd', label: 'Salad', weight: 60 },
+  ];
+  const allowedIndexes = [0, 1, 3]; // Tacos is cooling down
+  const randomValues = [0, 0.05, 0.2, 0.5, 0.8, 0.999];
+
+  it('repeats a single spin', () => {
+    const slices = getSliceAngles(options);
+    randomValues.forEach((value) => {
+      const draw = freezeWheelDraw(options, allowedIndexes);
+      const winner = pickWeightedIndexAmong(slices, allowedIndexes, sequence(value));
+      expect(replayWheelDraw(draw, sequence(value))).toEqual([options[winner].id]);
+    });
+  });
+
+  it('repeats a multi-winner draw with and without replacement', () => {
+    const slices = getSliceAngles(options);
+    [false, true].forEach((replacement) => {
+      const draw = freezeWheelDraw(options, allowedIndexes, 3, replacement);
+      const winners = drawWinnerIndexes(slices, allowedIndexes, 3, replacement, sequence(0.7, 0.1, 0.4));
+      expect(replayWheelDraw(draw, sequence(0.7, 0.1, 0.4))).toEqual(winners.map(index => options[index].id));
+    });
+  });
+
+  it('still gives the recorded winner after the wheel is edited', () => {
+    const wheelOptions = options.map(item => ({ ...item }));
+    const draw = freezeWheelDraw(wheelOptions, allowedIndexes);
+    const before = replayWheelDraw(draw, sequence(0.5));
+
+    wheelOptions[0].weight = 90;
+    wheelOptions.pop();
+
+    expect(replayWheelDraw(draw, sequence(0.5))).toEqual(before);
+  });
+});
@@ -0,0 +1,367 @@
+/**
+ * Backup Utilities
+ * Purpose: Build versioned JSON backups of app data and write them to disk
+ * Extend: Add encrypted backups, cloud destinations
+ */
+
+import { File, Paths } from 'expo-file-system';
+import * as Crypto from 'expo-crypto';
+import Constants from 'expo-constants';
+import { trimSpinHistory } from './spinHistory';
+import { MAX_COIN_FLIPS } from './coin';
+import { MAX_DICE_RESULTS } from './dice';
+import { trimRngHistory } from './randomNumbers';
+import { clampWeight, validateWheel } from './wheels';
+
+export const BACKUP_FORMAT = 'minidecider-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+// SHA-256 of the serialized data section, used to detect corrupted or hand-edited files
+export async function computeChecksum(data) {
+  return Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    JSON.stringify(data)
+  );
+}
+
+// Wrap the output of exportData() in a versioned, checksummed envelope
+export async function createBackup(data) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    appVersion: Constants.expoConfig?.version || '1.0.0',
+    exportedAt: new Date().toISOString(),
+    checksum: await computeChecksum(data),
+    data,
+  };
+}
+
+// Write a backup to the cache directory and return the file URI for sharing
+export function writeBackupFile(backup) {
+  const date = backup.exportedAt.slice(0, 10);
+  const file = new File(Paths.cache, `minidecider-backup-${date}.json`);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(JSON.stringify(backup, null, 2));
+  return file.uri;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = (value) => typeof value === 'boolean';
+
+function validateFields(value, label, fields, errors) {
+  if (!isObject(value)) {
+    errors.push(`${label} is not an object`);
+    return;
+  }
+  Object.entries(fields).forEach(([key, check]) => {
+    if (value[key] !== undefined && !check(value[key])) {
+      errors.push(`${label} has an invalid "${key}" value`);
+    }
+  });
+}
+
+function validateResults(results, label, requiredFields, errors) {
+  if (!Array.isArray(results)) {
+    errors.push(`${label} is not a list`);
+    return;
+  }
+  results.forEach((result, index) => {
+    if (!isObject(result) || requiredFields.some(key => result[key] === undefined)) {
+      errors.push(`${label} entry ${index + 1} is malformed`);
+    }
+  });
+}
+
+// Check the shape of an exportData() payload; returns a list of problems (empty when valid)
+export function validateBackupData(data) {
+  const errors = [];
+  if (!isObject(data)) return ['Backup contains no data'];
+
+  if (data.wheels !== undefined) {
+    if (!Array.isArray(data.wheels)) {
+      errors.push('Wheels is not a list');
+    } else {
+      data.wheels.forEach((wheel, index) => validateWheel(wheel, index, errors));
+      const ids = data.wheels.map(wheel => wheel?.id);
+      if (new Set(ids).size !== ids.length) errors.push('Backup contains duplicate wheel ids');
+    }
+  }
+  if (data.settings !== undefined) {
+    validateFields(data.settings, 'Settings', {
+      hapticsEnabled: isBoolean,
+      defaultSpinDuration: isNumber,
+      onboardingCompleted: isBoolean,
+      randomness: isObject,
+    }, errors);
+  }
+  if (data.rngConfig !== undefined) {
+    validateFields(data.rngConfig, 'Number settings', {
+      min: isNumber,
+      max: isNumber,
+      count: isNumber,
+      allowDuplicates: isBoolean,
+      decimals: isNumber,
+      step: isNumber,
+      exclusions: Array.isArray,
+      sort: isString,
+      lastResults: Array.isArray,
+      mode: isString,
+      ticket: isObject,
+      lastTicket: Array.isArray,
+    }, errors);
+  }
+  if (data.rngPresets !== undefined) {
+    validateResults(data.rngPresets, 'Number presets', ['id', 'name', 'config'], errors);
+  }
+  if (data.rngHistory !== undefined) {
+    validateResults(data.rngHistory, 'Number history', ['id', 'config', 'results', 'timestamp'], errors);
+    if (Array.isArray(data.rngHistory) && data.rngHistory.some(batch => isObject(batch) && !Array.isArray(batch.results))) {
+      errors.push('Number history has a batch without a list of results');
+    }
+  }
+  if (data.coinStats !== undefined) {
+    validateFields(data.coinStats, 'Coin statistics', {
+      heads: isNumber,
+      tails: isNumber,
+    }, errors);
+  }
+  if (data.coinConfig !== undefined) {
+    validateFields(data.coinConfig, 'Coin settings', {
+      heads: isObject,
+      tails: isObject,
+      headsChance: isNumber,
+      coinCount: isNumber,
+      hapticsMode: isString,
+      flipDuration: isNumber,
+    }, errors);
+  }
+  if (data.coinFlips !== undefined) {
+    validateResults(data.coinFlips, 'Coin flip history', ['id', 'side', 'timestamp'], errors);
+  }
+  if (data.dicePresets !== undefined) {
+    validateResults(data.dicePresets, 'Dice presets', ['id', 'name', 'notation'], errors);
+  }
+  if (data.diceResults !== undefined) {
+    validateResults(data.diceResults, 'Dice roll history', ['id', 'notation', 'total', 'timestamp'], errors);
+  }
+  if (data.spinResults !== undefined) {
+    validateResults(data.spinResults, 'Spin history', ['id', 'wheelId', 'timestamp'], errors);
+  }
+  if (data.fingerResults !== undefined) {
+    validateResults(data.fingerResults, 'Finger picker history', ['id', 'timestamp'], errors);
+  }
+
+  return errors;
+}
+
+// Parse and verify a backup file's contents
+// Returns { data, errors }; data is only set when the backup is safe to import
+export async function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { data: null, errors: ['File is not valid JSON'] };
+  }
+
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return { data: null, errors: ['File is not a MiniDecider backup'] };
+  }
+  if (!isNumber(backup.schemaVersion) || backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    return { data: null, errors: ['Backup was made by a newer version of MiniDecider'] };
+  }
+  if (backup.checksum !== await computeChecksum(backup.data)) {
+    return { data: null, errors: ['Backup checksum does not match; the file may be corrupted'] };
+  }
+
+  const errors = validateBackupData(backup.data);
+  return { data: errors.length === 0 ? backup.data : null, errors };
+}
+
+// Imported flips missing from this device's history; merging counts only these,
+// so importing the same backup twice doesn't double the totals
+function getNewFlips(currentFlips, importedFlips = []) {
+  const ownFlipIds = new Set(currentFlips.map(flip => flip.id));
+  return importedFlips.filter(flip => !ownFlipIds.has(flip.id));
+}
+
+// Describe what importing data would change compared to the current state
+export function summarizeImport(data, current) {
+  const existingById = new Map(current.wheels.map(wheel => [wheel.id, wheel]));
+  const importedWheels = data.wheels || [];
+
+  const newWheels = importedWheels.filter(wheel => !existingById.has(wheel.id));
+  const conflictingWheels = importedWheels.filter(wheel =>
+    existingById.has(wheel.id) &&
+    JSON.stringify(existingById.get(wheel.id)) !== JSON.stringify(wheel)
+  );
+
+  const importedSettings = {
+    ...(data.settings || {}),
+    ...(data.rngConfig || {}),
+    ...(data.rngPresets ? { rngPresets: data.rngPresets } : {}),
+    ...(data.coinConfig ? { coinConfig: data.coinConfig } : {}),
+    ...(data.dicePresets ? { dicePresets: data.dicePresets } : {}),
+  };
+  const currentSettings = {
+    ...current.settings,
+    ...current.rngConfig,
+    rngPresets: current.rngPresets,
+    coinConfig: current.coinConfig,
+    dicePresets: current.dicePresets,
+  };
+  const changedSettings = Object.keys(importedSettings).filter(key =>
+    JSON.stringify(importedSettings[key]) !== JSON.stringify(currentSettings[key])
+  );
+
+  return {
+    newWheels,
+    conflictingWheels,
+    unchangedWheelCount: importedWheels.length - newWheels.length - conflictingWheels.length,
+    changedSettings,
+    hasSettings: Boolean(
+      data.settings || data.rngConfig || data.rngPresets || data.coinConfig || data.dicePresets
+    ),
+    hasStatistics: Boolean(
+      data.coinStats || data.coinFlips || data.rngHistory || data.diceResults ||
+      data.spinResults || data.fingerResults
+    ),
+    spinResultCount: (data.spinResults || []).length,
+    flipCount: data.coinStats ? (data.coinStats.heads || 0) + (data.coinStats.tails || 0) : 0,
+    newFlipCount: data.coinStats ? getNewFlips(current.coinFlips, data.coinFlips).length : 0, // Added when merging
+  };
+}
+
+const timeOf = (value) => new Date(value || 0).getTime();
+
+// Union two result lists by id, newest first
+function mergeResults(current, imported, limit) {
+  const byId = new Map(current.map(result => [result.id, result]));
+  imported.forEach(result => {
+    if (!byId.has(result.id)) byId.set(result.id, result);
+  });
+  return [...byId.values()]
+    .sort((a, b) => timeOf(b.timestamp) - timeOf(a.timestamp))
+    .slice(0, limit);
+}
+
+// Imported wheels get the fields and weight range this version stores, since backups
+// can come from older versions or be edited by hand; validation has already run
+function normalizeImportedWheel(wheel, now) {
+  return {
+    ...wheel,
+    emoji: wheel.emoji || '🎯',
+    pinned: Boolean(wheel.pinned),
+    favorite: Boolean(wheel.favorite),
+    createdAt: wheel.createdAt || now,
+    updatedAt: wheel.updatedAt || wheel.createdAt || now,
+    options: wheel.options.map(option => ({ ...option, weight: clampWeight(option.weight) })),
+  };
+}
+
+// Seeded draws are numbered per seed, so importing an older backup with the same seed
+// keeps the higher draw number; rolling it back would repeat draws already in the history
+function mergeRandomness(current, imported) {
+  if (!current || imported.seed !== current.seed) return imported;
+  return { ...imported, nonce: Math.max(current.nonce || 0, imported.nonce || 0) };
+}
+
+// Resolve an import into the next state of each store
+// choices: { wheels, settings, statistics } each 'replace', 'merge' or 'skip'
+// Only keys for categories that change are returned
+export function applyImport(current, data, choices) {
+  const next = {};
+
+  if (data.wheels && choices.wheels !== 'skip') {
+    const now = new Date().toISOString();
+    const importedWheels = data.wheels.map(wheel => normalizeImportedWheel(wheel, now));
+    if (choices.wheels === 'replace') {
+      next.wheels = importedWheels;
+    } else {
+      // Merge: keep existing wheels, add new ones, and let the most recently
+      // updated copy win when both sides have the same wheel id
+      const importedById = new Map(importedWheels.map(wheel => [wheel.id, wheel]));
+      const merged = current.wheels.map(wheel => {
+        const imported = importedById.get(wheel.id);
+        if (!imported) return wheel;
+        importedById.delete(wheel.id);
+        return timeOf(imported.updatedAt) > timeOf(wheel.updatedAt) ? imported : wheel;
+      });
+      next.wheels = [...merged, ...importedById.values()];
+    }
+  }
+
+  if (choices.settings !== 'skip') {
+    const base = choices.settings === 'replace' ? current.defaults : current;
+    if (data.settings) {
+      next.settings = { ...base.settings, ...data.settings };
+      if (data.settings.randomness) {
+        next.settings.randomness = mergeRandomness(current.settings.randomness, data.settings.randomness);
+      }
+    }
+    if (data.rngConfig) next.rngConfig = { ...base.rngConfig, ...data.rngConfig };
+    if (data.rngPresets) {
+      const ownIds = new Set(current.rngPresets.map(preset => preset.id));
+      next.rngPresets = choices.settings === 'replace'
+        ? data.rngPresets
+        : [...current.rngPresets, ...data.rngPresets.filter(preset => !ownIds.has(preset.id))];
+    }
+    if (data.coinConfig) next.coinConfig = { ...base.coinConfig, ...data.coinConfig };
+    if (data.dicePresets) {
+      // Merge keeps your presets and adds the ones you don't have yet
+      const ownIds = new Set(current.dicePresets.map(preset => preset.id));
+      next.dicePresets = choices.settings === 'replace'
+        ? data.dicePresets
+        : [...current.dicePresets, ...data.dicePresets.filter(preset => !ownIds.has(preset.id))];
+    }
+  }
+
+  if (choices.statistics !== 'skip') {
+    const replace = choices.statistics === 'replace';
+    if (data.coinStats) {
+      if (replace) {
+        next.coinStats = { ...current.defaults.coinStats, ...data.coinStats };
+      } else {
+        const newFlips = getNewFlips(current.coinFlips, data.coinFlips);
+        const importedIsNewer = timeOf(data.coinStats.lastFlippedAt) > timeOf(current.coinStats.lastFlippedAt);
+        next.coinStats = {
+          ...current.coinStats,
+          heads: current.coinStats.heads + newFlips.filter(flip => flip.side === 'heads').length,
+          tails: current.coinStats.tails + newFlips.filter(flip => flip.side === 'tails').length,
+          lastResult: importedIsNewer ? data.coinStats.lastResult : current.coinStats.lastResult,
+          lastFlippedAt: importedIsNewer ? data.coinStats.lastFlippedAt : current.coinStats.lastFlippedAt,
+        };
+      }
+    }
+    if (data.coinFlips) {
+      next.coinFlips = replace
+        ? data.coinFlips.slice(0, MAX_COIN_FLIPS)
+        : mergeResults(current.coinFlips, data.coinFlips, MAX_COIN_FLIPS);
+    }
+    if (data.rngHistory) {
+      next.rngHistory = trimRngHistory(
+        replace ? data.rngHistory : mergeResults(current.rngHistory, data.rngHistory, Infinity)
+      );
+    }
+    if (data.diceResults) {
+      next.diceResults = replace
+        ? data.diceResults.slice(0, MAX_DICE_RESULTS)
+        : mergeResults(current.diceResults, data.diceResults, MAX_DICE_RESULTS);
+    }
+    if (data.spinResults) {
+      next.spinResults = trimSpinHistory(
+        replace ? data.spinResults : mergeResults(current.spinResults, data.spinResults, Infinity)
+      );
+    }
+    if (data.fingerResults) {
+      next.fingerResults = replace ? data.fingerResults : mergeResults(current.fingerResults, data.fingerResults, 100);
+    }
+  }
+
+  return next;
+}
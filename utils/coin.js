@@ -0,0 +1,175 @@
+/**
+ * Coin Utilities
+ * Purpose: Coin faces, weighted flips and multi-coin results
+ * Extend: Add three-sided coins, custom flip sounds
+ */
+
+export const COIN_SIDES = ['heads', 'tails'];
+export const MAX_COINS = 6;
+export const MIN_HEADS_CHANCE = 5;
+export const MAX_HEADS_CHANCE = 95;
+export const FLIP_DURATIONS = [1.0, 1.25, 1.5]; // seconds
+
+// How coin haptics relate to the app-wide haptics setting
+export const COIN_HAPTICS_MODES = [
+  { key: 'app', label: 'App Setting' },
+  { key: 'on', label: 'Always On' },
+  { key: 'off', label: 'Off' },
+];
+
+export const COIN_COLORS = [
+  '#F7C74A', '#C0C0C0', '#CD7F32', '#FF6B6B', '#4ECDC4',
+  '#45B7D1', '#96CEB4', '#BB8FCE', '#F8C471', '#82E0AA',
+];
+
+const DEFAULT_FACES = {
+  heads: { label: 'Heads', emoji: '', color: '#F7C74A' },
+  tails: { label: 'Tails', emoji: '', color: '#F7C74A' },
+};
+
+// Label, emoji and color of one side, falling back to the classic coin
+export function getCoinFace(coinConfig, side) {
+  const face = (coinConfig && coinConfig[side]) || {};
+  return {
+    label: (face.label || '').trim() || DEFAULT_FACES[side].label,
+    emoji: face.emoji || DEFAULT_FACES[side].emoji,
+    color: face.color || DEFAULT_FACES[side].color,
+  };
+}
+
+// Coin haptics follow the global setting unless the coin screen overrides it
+export function isCoinHapticsEnabled(coinConfig, settings) {
+  if (coinConfig.hapticsMode === 'on') return true;
+  if (coinConfig.hapticsMode === 'off') return false;
+  return settings.hapticsEnabled;
+}
+
+export function getFlipDuration(coinConfig) {
+  return FLIP_DURATIONS.includes(coinConfig.flipDuration) ? coinConfig.flipDuration : 1.25;
+}
+
+export function clampHeadsChance(value) {
+  const chance = Number.isFinite(value) ? Math.round(value) : 50;
+  return Math.min(MAX_HEADS_CHANCE, Math.max(MIN_HEADS_CHANCE, chance));
+}
+
+export function clampCoinCount(value) {
+  const count = Number.isFinite(value) ? Math.round(value) : 1;
+  return Math.min(MAX_COINS, Math.max(1, count));
+}
+
+// Flip `count` coins that land heads `headsChance` percent of the time
+// Returns one 'heads' or 'tails' per coin
+export function flipCoins(count, headsChance = 50, random = Math.random) {
+  const chance = clampHeadsChance(headsChance) / 100;
+  return Array.from({ length: clampCoinCount(count) }, () =>
+    random() < chance ? 'heads' : 'tails'
+  );
+}
+
+// Add a flip's results to the running heads/tails totals
+export function addFlipToStats(coinStats, results, flippedAt = new Date().toISOString()) {
+  const heads = results.filter(side => side === 'heads').length;
+  return {
+    ...coinStats,
+    heads: coinStats.heads + heads,
+    tails: coinStats.tails + results.length - heads,
+    lastResult: results[results.length - 1],
+    lastFlippedAt: flippedAt,
+  };
+}
+
+// "2 Pizza · 1 Tacos" style summary of a multi-coin flip
+export function summarizeFlip(results, coinConfig) {
+  return COIN_SIDES
+    .map(side => ({ side, count: results.filter(result => result === side).length }))
+    .filter(({ count }) => count > 0)
+    .map(({ side, count }) => `${count} ${getCoinFace(coinConfig, side).label}`)
+    .join(' · ');
+}
+
+export const MAX_COIN_FLIPS = 1000;
+
+// One history entry per coin; coins thrown together share a timestamp and randomness record
+// coinIndex and coinCount place the coin in its throw, so a seeded flip can be replayed
+export function createFlipEntries(results, headsChance, flippedAt = new Date().toISOString(), randomness) {
+  return results.map((side, index) => ({
+    id: `${Date.now()}-${index}`,
+    side,
+    headsChance: clampHeadsChance(headsChance),
+    coinIndex: index,
+    coinCount: results.length,
+    timestamp: flippedAt,
+    ...(randomness ? { randomness } : {}),
+  }));
+}
+
+// Side a recorded coin lands on when its whole throw is flipped again with a random function
+export function replayFlip(entry, random) {
+  return flipCoins(entry.coinCount, entry.headsChance, random)[entry.coinIndex];
+}
+
+// Current and longest run of the same side; flips newest first
+export function getFlipStreaks(flips) {
+  let longest = { side: null, length: 0 };
+  let run = { side: null, length: 0 };
+  [...flips].reverse().forEach(({ side }) => {
+    run = side === run.side ? { side, length: run.length + 1 } : { side, length: 1 };
+    if (run.length > longest.length) longest = run;
+  });
+
+  let current = { side: null, length: 0 };
+  if (flips.length > 0) {
+    const side = flips[0].side;
+    const length = flips.findIndex(flip => flip.side !== side);
+    current = { side, length: length === -1 ? flips.length : length };
+  }
+
+  return { current, longest };
+}
+
+// Complementary error function (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function erfc(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const value = poly * Math.exp(-x * x);
+  return x >= 0 ? value : 2 - value;
+}
+
+// Wilson score interval for a proportion at 95% confidence
+function wilsonInterval(successes, total, z = 1.96) {
+  const p = successes / total;
+  const denominator = 1 + (z * z) / total;
+  const center = (p + (z * z) / (2 * total)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / total + (z * z) / (4 * total * total))) / denominator;
+  return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+// Chi-square goodness-of-fit of the stored flips against the odds they were flipped with
+// Returns null until both sides are expected at least 5 times, the usual minimum for the test
+export function getFairnessCheck(flips) {
+  const total = flips.length;
+  const heads = flips.filter(flip => flip.side === 'heads').length;
+  const expectedHeads = flips.reduce((sum, flip) => sum + clampHeadsChance(flip.headsChance) / 100, 0);
+  const expectedTails = total - expectedHeads;
+  if (expectedHeads < 5 || expectedTails < 5) return null;
+
+  const chiSquare =
+    (heads - expectedHeads) ** 2 / expectedHeads +
+    (total - heads - expectedTails) ** 2 / expectedTails;
+  // Survival function of chi-square with one degree of freedom
+  const pValue = erfc(Math.sqrt(chiSquare / 2));
+  const interval = wilsonInterval(heads, total);
+
+  return {
+    total,
+    heads,
+    expectedHeads,
+    observedRate: heads / total,
+    expectedRate: expectedHeads / total,
+    interval,
+    chiSquare,
+    pValue,
+    looksFair: pValue >= 0.05,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Cooldown Utilities
+ * Purpose: No-repeat mode - recent winners cannot win again for N spins or N days
+ * Extend: Add per-option cooldowns, weekday rules
+ */
+
+import { getResultWinnerIds } from './spinHistory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const COOLDOWN_UNITS = ['spins', 'days'];
+export const MAX_COOLDOWN_AMOUNT = 30;
+
+// Cooldown settings stored on a wheel; wheels created before this mode have none
+export function getCooldown(wheel) {
+  return {
+    enabled: Boolean(wheel.cooldown?.enabled),
+    unit: wheel.cooldown?.unit === 'days' ? 'days' : 'spins',
+    amount: Math.min(MAX_COOLDOWN_AMOUNT, Math.max(1, Math.round(wheel.cooldown?.amount) || 1)),
+  };
+}
+
+// Options that may not win the next spin of this wheel
+// results: the wheel's spin history, newest first
+// Returns [{ optionId, label, spinsLeft } | { optionId, label, availableAt }], soonest available first
+// At least one enabled option is always left free by releasing the ones closest to the end of their cooldown
+export function getCoolingOptions(wheel, results, now = Date.now()) {
+  const cooldown = getCooldown(wheel);
+  if (!cooldown.enabled) return [];
+
+  const enabledById = new Map(
+    wheel.options.filter(option => option.enabled).map(option => [option.id, option])
+  );
+  const cooling = new Map();
+
+  if (cooldown.unit === 'spins') {
+    results.slice(0, cooldown.amount).forEach((result, index) => {
+      getResultWinnerIds(result).forEach(id => {
+        const option = enabledById.get(id);
+        if (option && !cooling.has(option.id)) {
+          cooling.set(option.id, { optionId: option.id, label: option.label, spinsLeft: cooldown.amount - index });
+        }
+      });
+    });
+  } else {
+    const cutoff = now - cooldown.amount * DAY_MS;
+    results.forEach(result => {
+      const time = new Date(result.timestamp).getTime();
+      if (time <= cutoff) return;
+      getResultWinnerIds(result).forEach(id => {
+        const option = enabledById.get(id);
+        if (option && !cooling.has(option.id)) {
+          cooling.set(option.id, { optionId: option.id, label: option.label, availableAt: time + cooldown.amount * DAY_MS });
+        }
+      });
+    });
+  }
+
+  const list = [...cooling.values()].sort((a, b) =>
+    cooldown.unit === 'spins' ? a.spinsLeft - b.spinsLeft : a.availableAt - b.availableAt
+  );
+  return list.slice(Math.max(0, list.length - (enabledById.size - 1)));
+}
+
+// Short description of when a cooling option can win again
+export function describeCooling(entry, now = Date.now()) {
+  if (entry.spinsLeft !== undefined) {
+    return `${entry.spinsLeft} more spin${entry.spinsLeft === 1 ? '' : 's'}`;
+  }
+  const hours = Math.ceil((entry.availableAt - now) / (60 * 60 * 1000));
+  if (hours < 24) return `${hours}h`;
+  const days = Math.ceil(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,148 @@
+/**
+ * Dice Utilities
+ * Purpose: Parse tabletop dice notation and roll it
+ * Extend: Add exploding dice, rerolls, success counting
+ */
+
+export const MAX_DICE = 100;
+export const MAX_SIDES = 1000;
+export const MAX_MODIFIER = 1000;
+export const MAX_DICE_RESULTS = 100;
+
+export const ROLL_MODES = [
+  { key: 'normal', label: 'Normal' },
+  { key: 'advantage', label: 'Advantage' },
+  { key: 'disadvantage', label: 'Disadvantage' },
+];
+
+export const QUICK_DICE = [4, 6, 8, 10, 12, 20, 100];
+
+// Presets created for new users
+export const DEFAULT_DICE_PRESETS = [
+  { id: 'preset-d20', name: 'Attack roll', notation: 'd20', mode: 'normal' },
+  { id: 'preset-2d6', name: 'Board game', notation: '2d6', mode: 'normal' },
+  { id: 'preset-stats', name: 'Ability score', notation: '4d6 drop lowest', mode: 'normal' },
+  { id: 'preset-advantage', name: 'Roll with advantage', notation: 'd20', mode: 'advantage' },
+];
+
+// NdS, optional keep/drop (kh3, dl1, "drop lowest", "keep highest 2") and +/- constants
+const NOTATION_PATTERN = /^(\d*)d(\d+|%)(?:(kh|kl|dh|dl)(\d*)|(drop|keep)(lowest|highest)(\d*))?((?:[+-]\d+)*)$/;
+
+// Parse notation such as "3d6+2", "d20", "4d6 drop lowest" or "2d20kh1"
+// Returns { spec, error }; spec is { count, sides, drop: { which, amount } | null, modifier }
+export function parseDiceNotation(text) {
+  const compact = (text || '').toLowerCase().replace(/\s+/g, '');
+  if (!compact) return { spec: null, error: 'Enter dice to roll, like 3d6+2.' };
+
+  const match = compact.match(NOTATION_PATTERN);
+  if (!match) {
+    return { spec: null, error: `"${text.trim()}" isn't dice notation. Try 3d6+2, d20 or 4d6 drop lowest.` };
+  }
+
+  const [, countText, sidesText, shortKeep, shortAmount, word, wordWhich, wordAmount, modifierText] = match;
+  const count = countText ? parseInt(countText, 10) : 1;
+  const sides = sidesText === '%' ? 100 : parseInt(sidesText, 10);
+
+  if (count < 1 || count > MAX_DICE) {
+    return { spec: null, error: `Roll between 1 and ${MAX_DICE} dice.` };
+  }
+  if (sides < 2 || sides > MAX_SIDES) {
+    return { spec: null, error: `Dice need between 2 and ${MAX_SIDES} sides.` };
+  }
+
+  // Every keep rule is stored as the equivalent drop rule
+  let drop = null;
+  if (shortKeep || word) {
+    const isKeep = shortKeep ? shortKeep[0] === 'k' : word === 'keep';
+    const which = shortKeep
+      ? (shortKeep[1] === 'h' ? 'highest' : 'lowest')
+      : wordWhich;
+    const amountText = shortKeep ? shortAmount : wordAmount;
+    const amount = amountText ? parseInt(amountText, 10) : 1;
+
+    if (amount < 1 || amount >= count + (isKeep ? 1 : 0)) {
+      return {
+        spec: null,
+        error: isKeep
+          ? `Keep between 1 and ${count} dice.`
+          : `Drop fewer dice than you roll (${count}).`,
+      };
+    }
+
+    drop = isKeep
+      ? (amount === count ? null : { which: which === 'highest' ? 'lowest' : 'highest', amount: count - amount })
+      : { which, amount };
+  }
+
+  const modifier = (modifierText.match(/[+-]\d+/g) || [])
+    .reduce((sum, term) => sum + parseInt(term, 10), 0);
+  if (Math.abs(modifier) > MAX_MODIFIER) {
+    return { spec: null, error: `Keep the modifier between -${MAX_MODIFIER} and +${MAX_MODIFIER}.` };
+  }
+
+  return { spec: { count, sides, drop, modifier }, error: null };
+}
+
+// Canonical notation for a spec, e.g. "4d6dl1+2"
+export function formatDiceSpec(spec) {
+  const drop = spec.drop ? `d${spec.drop.which === 'lowest' ? 'l' : 'h'}${spec.drop.amount}` : '';
+  const modifier = spec.modifier > 0 ? `+${spec.modifier}` : spec.modifier < 0 ? `${spec.modifier}` : '';
+  return `${spec.count}d${spec.sides}${drop}${modifier}`;
+}
+
+// Roll a spec once; dropped dice stay in the list so they can be shown crossed out
+function rollSet(spec, random) {
+  const values = Array.from({ length: spec.count }, () => Math.floor(random() * spec.sides) + 1);
+
+  const droppedIndexes = new Set();
+  if (spec.drop) {
+    const order = values
+      .map((value, index) => ({ value, index }))
+      .sort((a, b) => (spec.drop.which === 'lowest' ? a.value - b.value : b.value - a.value));
+    order.slice(0, spec.drop.amount).forEach(({ index }) => droppedIndexes.add(index));
+  }
+
+  const dice = values.map((value, index) => ({ value, dropped: droppedIndexes.has(index) }));
+  const total = dice
+    .filter(die => !die.dropped)
+    .reduce((sum, die) => sum + die.value, spec.modifier);
+
+  return { dice, total };
+}
+
+// Roll a spec; advantage and disadvantage roll it twice and keep the higher or lower total
+// Returns { sets: [{ dice, total }], keptSet, total }
+export function rollDice(spec, mode = 'normal', random = Math.random) {
+  const sets = [rollSet(spec, random)];
+  if (mode === 'advantage' || mode === 'disadvantage') {
+    sets.push(rollSet(spec, random));
+  }
+
+  let keptSet = 0;
+  if (sets.length === 2) {
+    const secondIsBetter = mode === 'advantage'
+      ? sets[1].total > sets[0].total
+      : sets[1].total < sets[0].total;
+    keptSet = secondIsBetter ? 1 : 0;
+  }
+
+  return { sets, keptSet, total: sets[keptSet].total };
+}
+
+// Lowest and highest possible total of a spec
+export function getDiceRange(spec) {
+  const kept = spec.count - (spec.drop ? spec.drop.amount : 0);
+  return {
+    min: kept + spec.modifier,
+    max: kept * spec.sides + spec.modifier,
+  };
+}
+
+// "4d6dl1+2: 5 + 3 + 6 + (2) + 2 = 16" style line for one roll; dropped dice are in brackets
+export function describeRoll(roll, notation) {
+  const set = roll.sets[roll.keptSet];
+  const dice = set.dice.map(die => (die.dropped ? `(${die.value})` : `${die.value}`)).join(' + ');
+  const modifier = roll.total - set.dice.filter(die => !die.dropped).reduce((sum, die) => sum + die.value, 0);
+  const modifierText = modifier > 0 ? ` + ${modifier}` : modifier < 0 ? ` - ${-modifier}` : '';
+  return `${notation}: ${dice}${modifierText} = ${roll.total}`;
+}
@@ -0,0 +1,73 @@
+/**
+ * Elimination Utilities
+ * Purpose: Elimination mode - every winner sits out until one option remains
+ * Extend: Add reverse ranking (last one standing wins), multiple rounds
+ */
+
+// Elimination state stored on a wheel; wheels created before this mode have none
+export function getElimination(wheel) {
+  return {
+    enabled: Boolean(wheel.elimination?.enabled),
+    order: wheel.elimination?.order || [], // Option ids in the order they were picked
+  };
+}
+
+export function isEliminationComplete(wheel) {
+  const { enabled } = getElimination(wheel);
+  return enabled && wheel.options.filter(option => option.enabled).length <= 1;
+}
+
+// Record a winner and disable it so it cannot be picked again
+// The last remaining option is never disabled; it simply takes the final place
+export function eliminateOption(wheel, optionId) {
+  const elimination = getElimination(wheel);
+  if (!elimination.enabled || isEliminationComplete(wheel)) return wheel;
+
+  return {
+    ...wheel,
+    options: wheel.options.map(option =>
+      option.id === optionId ? { ...option, enabled: false } : option
+    ),
+    elimination: { ...elimination, order: [...elimination.order, optionId] },
+  };
+}
+
+// Re-enable every eliminated option and start a new ranking
+export function restoreEliminated(wheel) {
+  const elimination = getElimination(wheel);
+  const eliminatedIds = new Set(elimination.order);
+  return {
+    ...wheel,
+    options: wheel.options.map(option =>
+      eliminatedIds.has(option.id) ? { ...option, enabled: true } : option
+    ),
+    elimination: { ...elimination, order: [] },
+  };
+}
+
+// Switch elimination mode; turning it off puts eliminated options back
+export function setEliminationEnabled(wheel, enabled) {
+  const restored = enabled ? wheel : restoreEliminated(wheel);
+  return {
+    ...restored,
+    elimination: { ...getElimination(restored), enabled },
+  };
+}
+
+// Options in finishing order: first pick first, plus the last option standing
+export function getEliminationRanking(wheel) {
+  const { order } = getElimination(wheel);
+  const optionsById = new Map(wheel.options.map(option => [option.id, option]));
+  const ranking = order.map(id => optionsById.get(id)).filter(Boolean);
+
+  if (isEliminationComplete(wheel)) {
+    ranking.push(...wheel.options.filter(option => option.enabled));
+  }
+
+  return ranking.map((option, index) => ({ place: index + 1, option }));
+}
+
+export function formatRanking(wheel, ranking) {
+  const lines = ranking.map(({ place, option }) => `${place}. ${option.label}`);
+  return `${wheel.name} - ranking\n\n${lines.join('\n')}`;
+}
@@ -0,0 +1,161 @@
+/**
+ * Fair Draw
+ * Purpose: Commit–reveal wheel draws that anyone can check after a public giveaway
+ * Features: SHA-256 commitment to the frozen options and a secret, winner derived from
+ *   the secret and an audience seed, exportable receipts and receipt verification
+ * Extend: Multi-winner fair draws, public randomness beacons as the audience seed
+ *
+ * Before the spin the app publishes commitment = SHA-256 of the JSON text
+ *   {"version":1,"options":[{"id":...,"label":...,"weight":...}, ...],"secret":"<hex>"}
+ * After the spin it reveals the secret, and the winner is
+ *   r = first 13 hex digits of SHA-256("<secret>:<audience seed>") / 2^52
+ *   the first option whose running weight total is above r × total weight
+ * so both steps can be checked with any SHA-256 tool.
+ */
+
+import * as Crypto from 'expo-crypto';
+import { getOptionWeight } from './wheelEngine';
+import { ALGORITHMS } from './randomness';
+
+export const FAIR_DRAW_VERSION = 1;
+
+const RECEIPT_TYPE = 'minidecider-fair-draw';
+const SECRET_BYTES = 16;
+
+const RECEIPT_METHOD = 'commitment = SHA-256 of JSON {"version","options","secret"}; '
+  + 'r = first 13 hex digits of SHA-256("<secret>:<audienceSeed>") / 2^52; '
+  + 'winner = first option whose running weight total is above r × total weight';
+
+const sha256 = text => Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, text);
+
+// The options that can win right now, reduced to what the commitment covers
+// Wheels whose options all weigh 0 spin as equal slices, so they are frozen with weight 1
+export function freezeOptions(options) {
+  const frozen = options.map(option => ({
+    id: option.id,
+    label: option.label,
+    weight: getOptionWeight(option),
+  }));
+  const totalWeight = frozen.reduce((sum, option) => sum + option.weight, 0);
+  return totalWeight > 0 ? frozen : frozen.map(option => ({ ...option, weight: 1 }));
+}
+
+// Exact text that gets hashed; fields are listed explicitly so their order never changes
+export function getCommitmentText(options, secret) {
+  return JSON.stringify({
+    version: FAIR_DRAW_VERSION,
+    options: options.map(({ id, label, weight }) => ({ id, label, weight })),
+    secret,
+  });
+}
+
+function generateSecret() {
+  return Array.from(Crypto.getRandomBytes(SECRET_BYTES), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Fair draw stored on a wheel between the commitment and the reveal
+// options: the options that can win right now (enabled and not cooling down)
+export async function createFairDraw(options) {
+  const frozen = freezeOptions(options);
+  const secret = generateSecret();
+  return {
+    options: frozen,
+    secret,
+    commitment: await sha256(getCommitmentText(frozen, secret)),
+    committedAt: new Date().toISOString(),
+  };
+}
+
+// False once an option was added, removed, renamed or reweighted after the commitment
+export function matchesFrozenOptions(fairDraw, options) {
+  return JSON.stringify(freezeOptions(options)) === JSON.stringify(fairDraw.options);
+}
+
+// Winner among the frozen options for a secret and audience seed
+export async function pickFairWinner(options, secret, audienceSeed = '') {
+  const hash = await sha256(`${secret}:${audienceSeed}`);
+  const r = parseInt(hash.slice(0, 13), 16) / 2 ** 52;
+  const target = r * options.reduce((sum, option) => sum + option.weight, 0);
+
+  let running = 0;
+  for (const option of options) {
+    running += option.weight;
+    if (target < running) return option;
+  }
+  // Floating point can leave a sliver past the last total; it belongs to the last option that can win
+  return options.filter(option => option.weight > 0).pop() || null;
+}
+
+// History record for a fair spin, shown next to the result like other randomness records
+export function createFairRecord(fairDraw, audienceSeed) {
+  return {
+    algorithm: ALGORITHMS.fair,
+    commitment: fairDraw.commitment,
+    secret: fairDraw.secret,
+    audienceSeed,
+  };
+}
+
+// Everything needed to check a fair draw without the app
+export function createReceipt(wheelName, fairDraw, audienceSeed, winner) {
+  return {
+    type: RECEIPT_TYPE,
+    version: FAIR_DRAW_VERSION,
+    wheel: wheelName,
+    committedAt: fairDraw.committedAt,
+    commitment: fairDraw.commitment,
+    options: fairDraw.options,
+    secret: fairDraw.secret,
+    audienceSeed,
+    winner: { id: winner.id, label: winner.label },
+    revealedAt: new Date().toISOString(),
+    method: RECEIPT_METHOD,
+  };
+}
+
+export function formatReceipt(receipt) {
+  return JSON.stringify(receipt, null, 2);
+}
+
+// Recompute the commitment and winner of a pasted receipt
+// Returns { valid, message } so the screen can show the outcome as is
+export async function verifyReceipt(text) {
+  let receipt;
+  try {
+    receipt = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, message: 'This is not a fair draw receipt.' };
+  }
+
+  if (
+    !receipt
+    || receipt.type !== RECEIPT_TYPE
+    || !Array.isArray(receipt.options)
+    || typeof receipt.secret !== 'string'
+    || typeof receipt.commitment !== 'string'
+    || !receipt.winner
+  ) {
+    return { valid: false, message: 'This is not a fair draw receipt.' };
+  }
+  if (receipt.version !== FAIR_DRAW_VERSION) {
+    return { valid: false, message: 'This receipt was made by a different version of MiniDecider.' };
+  }
+
+  const commitment = await sha256(getCommitmentText(receipt.options, receipt.secret));
+  if (commitment !== receipt.commitment) {
+    return { valid: false, message: 'The options or secret don\'t match the published commitment.' };
+  }
+
+  const winner = await pickFairWinner(receipt.options, receipt.secret, receipt.audienceSeed || '');
+  if (!winner || winner.id !== receipt.winner.id) {
+    return {
+      valid: false,
+      message: `The revealed secret picks "${winner ? winner.label : 'nobody'}", not "${receipt.winner.label}".`,
+    };
+  }
+
+  return {
+    valid: true,
+    message: `"${winner.label}" won fairly. The commitment matches the ${receipt.options.length} options and the revealed secret.`,
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Grouping Utilities
+ * Purpose: Shuffle items and split them into random groups
+ * Extend: Add constrained assignment (keep apart / keep together)
+ */
+
+// Fisher–Yates shuffle; returns a new array and leaves the input untouched
+export function shuffle(items, random = Math.random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Randomly partition items into groupCount groups whose sizes differ by at most one
+export function splitIntoGroups(items, groupCount, random = Math.random) {
+  const count = Math.max(1, Math.min(groupCount, items.length || 1));
+  const groups = Array.from({ length: count }, () => []);
+  shuffle(items, random).forEach((item, index) => {
+    groups[index % count].push(item);
+  });
+  return groups;
+}
+
+// Randomly partition items into groups of at most groupSize members
+export function splitIntoGroupsOfSize(items, groupSize, random = Math.random) {
+  const size = Math.max(1, groupSize);
+  return splitIntoGroups(items, Math.ceil(items.length / size), random);
+}
+
+// Partition items into groupCount groups whose total weights are as even as possible
+// Heaviest items are placed first, each into the lightest of the smallest groups,
+// so group sizes still differ by at most one; ties are broken randomly
+export function splitIntoBalancedGroups(items, groupCount, getWeight, random = Math.random) {
+  const count = Math.max(1, Math.min(groupCount, items.length || 1));
+  const groups = Array.from({ length: count }, () => ({ members: [], total: 0 }));
+
+  // Shuffling before the stable sort randomizes the order of equal weights
+  const ordered = shuffle(items, random).sort((a, b) => getWeight(b) - getWeight(a));
+  ordered.forEach(item => {
+    const smallestSize = Math.min(...groups.map(group => group.members.length));
+    const open = groups.filter(group => group.members.length === smallestSize);
+    const lightest = shuffle(open, random).reduce((best, group) => (group.total < best.total ? group : best));
+    lightest.members.push(item);
+    lightest.total += getWeight(item);
+  });
+
+  return groups.map(group => group.members);
+}
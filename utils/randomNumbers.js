@@ -0,0 +1,318 @@
+/**
+ * Random Number Utilities
+ * Purpose: Uniform draws over integer, decimal and stepped ranges, with or without duplicates
+ * Features: Lottery tickets, saved presets and a size-capped history of generated batches
+ * Extend: Add weighted ranges, other distributions
+ */
+
+export const MAX_RESULT_COUNT = 10000;
+export const MAX_DECIMALS = 6;
+export const MAX_EXCLUSIONS = 1000;
+export const MAX_RNG_HISTORY = 50;
+export const MAX_RNG_HISTORY_NUMBERS = 20000; // Across all batches, so a few huge draws can't fill storage
+
+export const MAX_TICKET_LINES = 20;
+export const MAX_TICKET_NUMBERS = 20; // Per pool on one line
+export const MAX_TICKET_POOL = 1000;
+
+export const RNG_MODES = [
+  { key: 'numbers', label: 'Numbers' },
+  { key: 'ticket', label: 'Lottery Ticket' },
+];
+
+// Lines of unique main numbers plus bonus balls drawn from a separate pool
+export const DEFAULT_TICKET = {
+  lines: 5,
+  main: { count: 6, min: 1, max: 49 },
+  bonus: { count: 1, min: 1, max: 10 },
+};
+
+// The parts of rngConfig that decide what gets drawn; presets and history keep these
+export const RNG_CONFIG_FIELDS = [
+  'mode', 'min', 'max', 'count', 'allowDuplicates', 'decimals', 'step', 'exclusions', 'sort', 'ticket',
+];
+
+// Presets created for new users
+export const DEFAULT_RNG_PRESETS = [
+  {
+    id: 'preset-lottery',
+    name: 'Lottery 6/49',
+    config: { mode: 'numbers', min: 1, max: 49, count: 6, allowDuplicates: false, decimals: 0, step: 1, exclusions: [], sort: 'asc' },
+  },
+  {
+    id: 'preset-page',
+    name: 'Pick a page 1-300',
+    config: { mode: 'numbers', min: 1, max: 300, count: 1, allowDuplicates: true, decimals: 0, step: 1, exclusions: [], sort: 'none' },
+  },
+  {
+    id: 'preset-ticket',
+    name: 'Lottery ticket',
+    config: { mode: 'ticket', ticket: DEFAULT_TICKET },
+  },
+];
+
+export const SORT_ORDERS = [
+  { key: 'none', label: 'As drawn' },
+  { key: 'asc', label: 'Ascending' },
+  { key: 'desc', label: 'Descending' },
+];
+
+const TWO_POW_32 = 2 ** 32;
+const TWO_POW_53 = 2 ** 53;
+
+// Uniform integer in [0, span) for any span up to 2^53
+// Math.random() alone can't reach every value of a huge span, so wide spans
+// combine two draws into a 53-bit integer and reject the biased tail
+export function randomBelow(span, random = Math.random) {
+  if (span <= TWO_POW_32) {
+    return Math.floor(random() * span);
+  }
+
+  const limit = Math.floor(TWO_POW_53 / span) * span;
+  for (;;) {
+    const high = Math.floor(random() * 2 ** 21);
+    const low = Math.floor(random() * TWO_POW_32);
+    const value = high * TWO_POW_32 + low;
+    if (value < limit) return value % span;
+  }
+}
+
+// Number of integers from min to max inclusive
+export function getRangeSize(min, max) {
+  return max - min + 1;
+}
+
+// Numbers are drawn from a grid: min, min + step, min + 2 * step ... up to max,
+// rounded to `decimals` places. The grid is handled in integer units of
+// 10^-decimals so decimal steps never pick up floating point drift
+function getNumberGrid({ min, max, decimals = 0, step = 1, exclusions = [] }) {
+  const scale = 10 ** decimals;
+  const minUnits = Math.round(min * scale);
+  const stepUnits = Math.round(step * scale);
+  const size = Math.floor((Math.round(max * scale) - minUnits) / stepUnits) + 1;
+
+  // Grid positions of excluded numbers, ascending; numbers off the grid can't be drawn anyway
+  const excludedIndexes = [...new Set(
+    exclusions
+      .map(value => (Math.round(value * scale) - minUnits) / stepUnits)
+      .filter(index => Number.isInteger(index) && index >= 0 && index < size)
+  )].sort((a, b) => a - b);
+
+  return { scale, minUnits, stepUnits, size, excludedIndexes };
+}
+
+// How many different numbers a config can produce
+export function getAvailableCount(config) {
+  const grid = getNumberGrid(config);
+  return grid.size - grid.excludedIndexes.length;
+}
+
+// Whether a value can be written with at most `decimals` decimal places
+export function hasAtMostDecimals(value, decimals) {
+  const scaled = value * 10 ** decimals;
+  return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+}
+
+// Describe what is wrong with a number generator config, or null when it can be used
+export function getRngConfigError(config) {
+  const { min, max, count, allowDuplicates, decimals = 0, step = 1, exclusions = [] } = config;
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_DECIMALS) {
+    return `Decimal places must be between 0 and ${MAX_DECIMALS}.`;
+  }
+  if (!Number.isFinite(min) || !Number.isFinite(max)) {
+    return 'Minimum and maximum must be numbers.';
+  }
+  const scale = 10 ** decimals;
+  if (!Number.isSafeInteger(Math.round(min * scale)) || !Number.isSafeInteger(Math.round(max * scale))) {
+    return decimals > 0
+      ? `Minimum and maximum are too large for ${decimals} decimal places.`
+      : `Minimum and maximum must be between -${Number.MAX_SAFE_INTEGER} and ${Number.MAX_SAFE_INTEGER}.`;
+  }
+  if (!hasAtMostDecimals(min, decimals) || !hasAtMostDecimals(max, decimals)) {
+    return decimals > 0
+      ? `Minimum and maximum can have at most ${decimals} decimal places.`
+      : 'Minimum and maximum must be whole numbers. Add decimal places to use fractions.';
+  }
+  if (min > max) {
+    return 'Minimum must not be greater than maximum.';
+  }
+  // Checked as a difference so the size itself (at most 2^53) stays exact
+  if (Math.round(max * scale) - Math.round(min * scale) > Number.MAX_SAFE_INTEGER) {
+    return `Maximum minus minimum can be at most ${Number.MAX_SAFE_INTEGER / scale}.`;
+  }
+  if (!Number.isFinite(step) || step <= 0 || Math.round(step * scale) < 1 || !hasAtMostDecimals(step, decimals)) {
+    return `Step must be a positive multiple of ${1 / scale}.`;
+  }
+  if (!Array.isArray(exclusions) || exclusions.some(value => !Number.isFinite(value))) {
+    return 'Excluded numbers must be numbers separated by commas.';
+  }
+  if (exclusions.length > MAX_EXCLUSIONS) {
+    return `You can exclude at most ${MAX_EXCLUSIONS} numbers.`;
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_RESULT_COUNT) {
+    return `Count must be between 1 and ${MAX_RESULT_COUNT}.`;
+  }
+
+  const available = getAvailableCount(config);
+  if (available < 1) {
+    return 'Every number in the range is excluded.';
+  }
+  if (!allowDuplicates && count > available) {
+    return `Count cannot exceed ${available} when duplicates are not allowed.`;
+  }
+  return null;
+}
+
+// `count` distinct integers from [min, max] in random order
+// Partial Fisher–Yates over a virtual array of the whole range: only the swapped
+// positions are stored, so time and memory grow with count, not with the range
+export function sampleUnique(min, max, count, random = Math.random) {
+  const size = getRangeSize(min, max);
+  const swapped = new Map(); // position -> value moved there
+  const results = [];
+
+  for (let i = 0; i < count; i++) {
+    const j = i + randomBelow(size - i, random);
+    const valueAtJ = swapped.has(j) ? swapped.get(j) : j;
+    const valueAtI = swapped.has(i) ? swapped.get(i) : i;
+    swapped.set(j, valueAtI);
+    swapped.delete(i); // Position i is never read again
+    results.push(min + valueAtJ);
+  }
+
+  return results;
+}
+
+// Turn the rank-th allowed grid position into a grid index by stepping over exclusions
+function skipExcluded(rank, excludedIndexes) {
+  let index = rank;
+  for (const excluded of excludedIndexes) {
+    if (excluded > index) break;
+    index += 1;
+  }
+  return index;
+}
+
+export function sortNumbers(values, sortOrder) {
+  if (sortOrder === 'asc') return [...values].sort((a, b) => a - b);
+  if (sortOrder === 'desc') return [...values].sort((a, b) => b - a);
+  return values;
+}
+
+// Generate numbers for a valid config; with duplicates allowed every draw is independent
+export function generateNumbers(config, random = Math.random) {
+  const { count, allowDuplicates, sort = 'none' } = config;
+  const grid = getNumberGrid(config);
+  const available = grid.size - grid.excludedIndexes.length;
+
+  const ranks = allowDuplicates
+    ? Array.from({ length: count }, () => randomBelow(available, random))
+    : sampleUnique(0, available - 1, count, random);
+
+  const values = ranks.map(rank => {
+    const index = skipExcluded(rank, grid.excludedIndexes);
+    return (grid.minUnits + index * grid.stepUnits) / grid.scale;
+  });
+
+  return sortNumbers(values, sort);
+}
+
+// Show a result with exactly `decimals` places
+export function formatNumber(value, decimals = 0) {
+  return decimals > 0 ? value.toFixed(decimals) : String(value);
+}
+
+// Parse "7, 13 42" into numbers; returns null if any entry isn't a number
+export function parseNumberList(text) {
+  const parts = text.split(/[\s,;]+/).filter(Boolean);
+  const values = parts.map(Number);
+  return values.some(value => !Number.isFinite(value)) ? null : values;
+}
+
+export function pickRngSettings(config) {
+  return RNG_CONFIG_FIELDS.reduce((settings, field) => {
+    if (config[field] !== undefined) settings[field] = config[field];
+    return settings;
+  }, {});
+}
+
+// "6/49 + 1/10"
+const describeTicketPools = (ticket) => {
+  const pool = ({ count, min, max }) => (min === 1 ? `${count}/${max}` : `${count} of ${min}-${max}`);
+  return ticket.bonus.count > 0 ? `${pool(ticket.main)} + ${pool(ticket.bonus)}` : pool(ticket.main);
+};
+
+// "6 unique numbers from 1 to 49, step 2, 3 excluded" or "5 lines of 6/49 + 1/10"
+export function describeRngConfig(config) {
+  if (config.mode === 'ticket') {
+    const ticket = config.ticket || DEFAULT_TICKET;
+    return `${ticket.lines} line${ticket.lines === 1 ? '' : 's'} of ${describeTicketPools(ticket)}`;
+  }
+
+  const { min, max, count, allowDuplicates, decimals = 0, step = 1, exclusions = [] } = config;
+  const parts = [
+    `${count} ${!allowDuplicates && count > 1 ? 'unique ' : ''}number${count === 1 ? '' : 's'} from ${formatNumber(min, decimals)} to ${formatNumber(max, decimals)}`,
+  ];
+  if (step !== 1) parts.push(`step ${step}`);
+  if (exclusions.length > 0) parts.push(`${exclusions.length} excluded`);
+  return parts.join(', ');
+}
+
+// Keep the newest batches within MAX_RNG_HISTORY batches and MAX_RNG_HISTORY_NUMBERS numbers
+// history: [{ id, config, results, timestamp }], newest first; the newest batch is always kept
+// Ticket batches hold their lines in `results` and count one entry per line
+export function trimRngHistory(history) {
+  let numberCount = 0;
+  return history.slice(0, MAX_RNG_HISTORY).filter((batch, index) => {
+    numberCount += batch.results.length;
+    return index === 0 || numberCount <= MAX_RNG_HISTORY_NUMBERS;
+  });
+}
+
+// Describe what is wrong with a ticket config, or null when it can be used
+export function getTicketConfigError(ticket) {
+  if (!Number.isInteger(ticket.lines) || ticket.lines < 1 || ticket.lines > MAX_TICKET_LINES) {
+    return `Lines must be between 1 and ${MAX_TICKET_LINES}.`;
+  }
+
+  const pools = [
+    { name: 'Main numbers', pool: ticket.main, minCount: 1 },
+    { name: 'Bonus balls', pool: ticket.bonus, minCount: 0 },
+  ];
+  for (const { name, pool, minCount } of pools) {
+    const { count, min, max } = pool;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > MAX_TICKET_POOL) {
+      return `${name} must be whole numbers from 0 to ${MAX_TICKET_POOL}.`;
+    }
+    if (min >= max) {
+      return `${name} need a "from" lower than "to".`;
+    }
+    if (!Number.isInteger(count) || count < minCount || count > MAX_TICKET_NUMBERS) {
+      return `${name} per line must be between ${minCount} and ${MAX_TICKET_NUMBERS}.`;
+    }
+    if (count > max - min + 1) {
+      return `${name} can't pick ${count} different numbers from ${min}-${max}.`;
+    }
+  }
+  return null;
+}
+
+// Generate ticket lines for a valid config; numbers on a line never repeat within their pool
+// Returns [{ main: [...], bonus: [...] }] with both lists ascending
+export function generateTicket(ticket, random = Math.random) {
+  const drawPool = ({ count, min, max }) => sortNumbers(sampleUnique(min, max, count, random), 'asc');
+  return Array.from({ length: ticket.lines }, () => ({
+    main: drawPool(ticket.main),
+    bonus: ticket.bonus.count > 0 ? drawPool(ticket.bonus) : [],
+  }));
+}
+
+// One line per ticket row, e.g. "Line 1: 3 12 18 27 33 41 | Bonus: 7"
+export function formatTicket(lines) {
+  return lines
+    .map((line, index) => {
+      const bonus = line.bonus.length > 0 ? ` | Bonus: ${line.bonus.join(' ')}` : '';
+      return `Line ${index + 1}: ${line.main.join(' ')}${bonus}`;
+    })
+    .join('\n');
+}
@@ -0,0 +1,152 @@
+/**
+ * Randomness Service
+ * Purpose: One source of random numbers for every tool, with a record of how each draw was made
+ * Features: Standard (Math.random), secure (platform CSPRNG) and seeded, replayable draws
+ * Extend: Add more seeded algorithms, external randomness beacons
+ */
+
+import * as Crypto from 'expo-crypto';
+
+export const RANDOM_SOURCES = [
+  {
+    key: 'standard',
+    label: 'Standard',
+    description: 'The fast built-in generator. Draws can\'t be replayed.',
+  },
+  {
+    key: 'secure',
+    label: 'Secure',
+    description: 'Your device\'s cryptographically secure generator. Draws can\'t be predicted or replayed.',
+  },
+  {
+    key: 'seeded',
+    label: 'Seeded',
+    description: 'Every draw comes from your seed and a draw number, so anyone with both can replay it.',
+  },
+];
+
+// Algorithm names stored with each history entry
+export const ALGORITHMS = {
+  standard: 'math-random',
+  secure: 'crypto',
+  seeded: 'sfc32',
+  fair: 'sha256-commit-reveal', // Commit–reveal fair draws, see utils/fairDraw.js
+};
+
+// settings.randomness; nonce is the draw number the next seeded draw will use
+export const DEFAULT_RANDOMNESS = {
+  source: 'standard',
+  seed: '',
+  nonce: 0,
+};
+
+// 128-bit hash of a string, used to turn a seed into generator state
+function cyrb128(text) {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044813);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044813);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+// Small fast counter PRNG; returns floats in [0, 1) with 32 bits of randomness
+function sfc32(a, b, c, d) {
+  return () => {
+    a |= 0; b |= 0; c |= 0; d |= 0;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+}
+
+// Deterministic generator for one draw; the same seed and nonce always give the same sequence
+export function createSeededRandom(seed, nonce = 0) {
+  const random = sfc32(...cyrb128(`${seed}:${nonce}`));
+  for (let i = 0; i < 15; i++) random(); // Mix the hashed state before the first real value
+  return random;
+}
+
+// Values are fetched from the platform in blocks because each native call has overhead
+const SECURE_BUFFER_SIZE = 256;
+let secureBuffer = new Uint32Array(0);
+let secureIndex = 0;
+
+function nextSecureUint32() {
+  if (secureIndex >= secureBuffer.length) {
+    secureBuffer = Crypto.getRandomValues(new Uint32Array(SECURE_BUFFER_SIZE));
+    secureIndex = 0;
+  }
+  return secureBuffer[secureIndex++];
+}
+
+// Cryptographically secure float in [0, 1) with the full 53 bits of precision
+export function secureRandom() {
+  const high = nextSecureUint32() >>> 5; // 27 bits
+  const low = nextSecureUint32() >>> 6; // 26 bits
+  return (high * 67108864 + low) / 9007199254740992;
+}
+
+// Random seed for users who don't want to pick one themselves
+export function generateSeed() {
+  return Array.from(Crypto.getRandomBytes(8), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Random function for one draw plus the record to store with its result
+// randomness: settings.randomness; seeded draws use its current nonce
+export function createRandomSource(randomness = DEFAULT_RANDOMNESS) {
+  if (randomness.source === 'seeded') {
+    const { seed, nonce } = randomness;
+    return {
+      random: createSeededRandom(seed, nonce),
+      record: { algorithm: ALGORITHMS.seeded, seed, nonce },
+    };
+  }
+  if (randomness.source === 'secure') {
+    return { random: secureRandom, record: { algorithm: ALGORITHMS.secure } };
+  }
+  return { random: Math.random, record: { algorithm: ALGORITHMS.standard } };
+}
+
+// Only seeded draws can be repeated
+export function canReplay(record) {
+  return Boolean(record) && record.algorithm === ALGORITHMS.seeded;
+}
+
+// Random function that repeats a recorded draw, or null when the draw can't be replayed
+export function replayRandom(record) {
+  if (!canReplay(record)) return null;
+  return createSeededRandom(record.seed, record.nonce);
+}
+
+// Standard draws carry nothing worth showing next to a result
+export function isStandardRandomness(record) {
+  return !record || record.algorithm === ALGORITHMS.standard;
+}
+
+// Short label for a history entry, e.g. 'Seed "giveaway" · draw #3'
+export function describeRandomness(record) {
+  if (!record) return 'Standard';
+  if (record.algorithm === ALGORITHMS.seeded) return `Seed "${record.seed}" · draw #${record.nonce}`;
+  if (record.algorithm === ALGORITHMS.secure) return 'Secure';
+  if (record.algorithm === ALGORITHMS.fair) return `Fair draw · commitment ${record.commitment.slice(0, 8)}`;
+  return 'Standard';
+}
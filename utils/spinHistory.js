@@ -0,0 +1,100 @@
+/**
+ * Spin History Utilities
+ * Purpose: Keep spin history per wheel and derive win statistics from it
+ * Extend: Add date-range filters, charts over time
+ */
+
+import { getOptionWeight } from './wheelEngine';
+
+export const MAX_SPINS_PER_WHEEL = 500;
+
+// Keep the newest `limit` results of each wheel; results must be newest first
+export function trimSpinHistory(results, limit = MAX_SPINS_PER_WHEEL) {
+  const countByWheel = {};
+  return results.filter(result => {
+    countByWheel[result.wheelId] = (countByWheel[result.wheelId] || 0) + 1;
+    return countByWheel[result.wheelId] <= limit;
+  });
+}
+
+// Every option id picked by a history entry; multi-winner draws pick several
+export function getResultWinnerIds(result) {
+  return result.winnerOptionIds || [result.winnerOptionId];
+}
+
+// Longest run of the same winner in a chronological list of winner ids
+function findLongestStreak(winnerIds) {
+  let best = { optionId: null, length: 0 };
+  let run = { optionId: null, length: 0 };
+  winnerIds.forEach(optionId => {
+    run = optionId === run.optionId
+      ? { optionId, length: run.length + 1 }
+      : { optionId, length: 1 };
+    if (run.length > best.length) best = run;
+  });
+  return best;
+}
+
+// Win counts, observed vs expected share and streaks for one wheel
+// results: that wheel's spin results, newest first
+// Every winner of a multi-winner draw counts as a win; streaks follow each entry's first pick
+// Expected shares use the wheel's current weights of enabled options
+export function getWheelStats(wheel, results) {
+  const winsById = {};
+  results.forEach(result => {
+    getResultWinnerIds(result).forEach(id => {
+      winsById[id] = (winsById[id] || 0) + 1;
+    });
+  });
+
+  const totalSpins = results.length;
+  const totalWins = Object.values(winsById).reduce((sum, wins) => sum + wins, 0);
+  const totalWeight = wheel.options
+    .filter(option => option.enabled)
+    .reduce((sum, option) => sum + getOptionWeight(option), 0);
+
+  const optionStats = wheel.options.map(option => {
+    const wins = winsById[option.id] || 0;
+    return {
+      id: option.id,
+      label: option.label,
+      color: option.color,
+      enabled: option.enabled,
+      wins,
+      observed: totalWins > 0 ? wins / totalWins : 0,
+      expected: option.enabled && totalWeight > 0 ? getOptionWeight(option) / totalWeight : 0,
+    };
+  });
+
+  // Winners that have since been deleted from the wheel
+  const knownIds = new Set(wheel.options.map(option => option.id));
+  Object.keys(winsById)
+    .filter(id => !knownIds.has(id))
+    .forEach(id => {
+      optionStats.push({
+        id,
+        label: 'Removed option',
+        color: '#C7C7CC',
+        enabled: false,
+        wins: winsById[id],
+        observed: winsById[id] / totalWins,
+        expected: 0,
+      });
+    });
+
+  optionStats.sort((a, b) => b.wins - a.wins);
+
+  let currentStreak = { optionId: null, length: 0 };
+  if (totalSpins > 0) {
+    const optionId = results[0].winnerOptionId;
+    const length = results.findIndex(result => result.winnerOptionId !== optionId);
+    currentStreak = { optionId, length: length === -1 ? totalSpins : length };
+  }
+
+  return {
+    totalSpins,
+    optionStats,
+    currentStreak,
+    longestStreak: findLongestStreak([...results].reverse().map(result => result.winnerOptionId)),
+  };
+}
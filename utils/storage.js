@@ -0,0 +1,202 @@
+/**
+ * Storage Layer
+ * Purpose: Versioned AsyncStorage loading with ordered schema migrations
+ * Extend: Append a migration to MIGRATIONS whenever the stored shape changes
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { validateWheel } from './wheels';
+
+export const SCHEMA_VERSION_KEY = '@minidecider_schema_version';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clampWeight = (weight) => {
+  const value = Number(weight);
+  if (!Number.isFinite(value)) return 50;
+  return Math.min(100, Math.max(1, Math.round(value)));
+};
+
+// Ordered list of migrations; each one upgrades the stores from (version - 1) to version.
+// `stores` maps a state name (wheels, settings, ...) to its parsed value; absent stores are missing keys.
+// Migrations must be pure and must not assume a store exists. They describe one fixed
+// upgrade, so they must not call helpers whose behavior can change in later versions.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in wheel and option fields missing from unversioned installs',
+    migrate: (stores) => {
+      const now = new Date().toISOString();
+      const next = { ...stores };
+
+      if (Array.isArray(stores.wheels)) {
+        next.wheels = stores.wheels.map((wheel) => {
+          if (!isObject(wheel)) return wheel; // Dropped later by recovery
+          return {
+            ...wheel,
+            id: wheel.id != null ? String(wheel.id) : wheel.id,
+            emoji: wheel.emoji || '🎯',
+            pinned: Boolean(wheel.pinned),
+            favorite: Boolean(wheel.favorite),
+            createdAt: wheel.createdAt || now,
+            updatedAt: wheel.updatedAt || wheel.createdAt || now,
+            options: Array.isArray(wheel.options)
+              ? wheel.options.map((option, index) => (isObject(option) ? {
+                ...option,
+                id: option.id != null ? String(option.id) : String(index + 1),
+                label: typeof option.label === 'string' ? option.label : String(option.label ?? ''),
+                color: option.color || '#CCCCCC',
+                weight: clampWeight(option.weight),
+                enabled: option.enabled !== false,
+              } : option))
+              : wheel.options,
+          };
+        });
+      }
+
+      if (Array.isArray(stores.spinResults)) {
+        next.spinResults = stores.spinResults.filter(isObject);
+      }
+
+      return next;
+    },
+  },
+  {
+    version: 2,
+    description: 'Drop the coin sound setting, which never had a control or any sound',
+    migrate: (stores) => {
+      if (!isObject(stores.coinConfig)) return stores;
+      const { soundEnabled, ...coinConfig } = stores.coinConfig;
+      return { ...stores, coinConfig };
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Apply every migration newer than fromVersion, in order
+export function runMigrations(stores, fromVersion) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => migration.migrate(current), stores);
+}
+
+// Expected top-level type of each store; anything else is treated as corrupted
+const STORE_CHECKS = {
+  wheels: Array.isArray,
+  settings: isObject,
+  rngConfig: isObject,
+  rngPresets: Array.isArray,
+  rngHistory: Array.isArray,
+  coinStats: isObject,
+  coinConfig: isObject,
+  coinFlips: Array.isArray,
+  dicePresets: Array.isArray,
+  diceResults: Array.isArray,
+  spinResults: Array.isArray,
+  fingerResults: Array.isArray,
+  currentWheelId: (value) => typeof value === 'string',
+};
+
+// Keep only wheels that pass validation; returns the kept wheels
+function recoverWheels(wheels) {
+  return wheels.filter((wheel, index) => {
+    const errors = [];
+    validateWheel(wheel, index, errors);
+    if (errors.length > 0) {
+      console.warn('Dropping unreadable wheel:', errors);
+      return false;
+    }
+    return true;
+  });
+}
+
+// Load, migrate and sanity-check every store
+// storageKeys maps state names to AsyncStorage keys
+// Corrupted keys are copied to `<key>_corrupted` before being cleared so nothing is lost;
+// so is the wheels list when unreadable wheels are dropped from it
+// Returns { stores, recoveredStores, droppedWheelCount }
+export async function loadStores(storageKeys) {
+  const names = Object.keys(storageKeys);
+  const entries = await AsyncStorage.multiGet([
+    ...names.map(name => storageKeys[name]),
+    SCHEMA_VERSION_KEY,
+  ]);
+
+  const rawByName = {};
+  let stores = {};
+  const corrupted = new Set();
+
+  names.forEach((name, index) => {
+    const raw = entries[index][1];
+    if (raw === null) return;
+    rawByName[name] = raw;
+    try {
+      stores[name] = JSON.parse(raw);
+    } catch (error) {
+      corrupted.add(name);
+    }
+  });
+
+  const rawVersion = entries[names.length][1];
+  const hasStoredData = Object.keys(rawByName).length > 0;
+  // Data written before versioning existed counts as version 0; fresh installs start current
+  const storedVersion = rawVersion !== null ? Number(rawVersion) : (hasStoredData ? 0 : CURRENT_SCHEMA_VERSION);
+
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    // Written by a newer app version; load what we can without rewriting it
+    console.warn(`Stored data has schema version ${storedVersion}, newer than ${CURRENT_SCHEMA_VERSION}`);
+  } else if (storedVersion < CURRENT_SCHEMA_VERSION) {
+    try {
+      stores = runMigrations(stores, storedVersion);
+    } catch (error) {
+      // Leave storage untouched so a fixed release can migrate it later
+      console.error('Failed to migrate stored data:', error);
+      return { stores, recoveredStores: [...corrupted], droppedWheelCount: 0 };
+    }
+  }
+
+  Object.entries(STORE_CHECKS).forEach(([name, check]) => {
+    if (name in stores && !check(stores[name])) {
+      corrupted.add(name);
+    }
+  });
+  corrupted.forEach((name) => {
+    delete stores[name];
+  });
+
+  let droppedWheelCount = 0;
+  if (stores.wheels) {
+    const keptWheels = recoverWheels(stores.wheels);
+    droppedWheelCount = stores.wheels.length - keptWheels.length;
+    stores.wheels = keptWheels;
+  }
+
+  // Data from a newer version may only look corrupted because this version doesn't know
+  // its shape, so it is left in storage for that version to read
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    return { stores, recoveredStores: [...corrupted], droppedWheelCount };
+  }
+
+  // Preserve corrupted values, and the wheels list as it was before unreadable wheels were
+  // dropped from it, for support/debugging; then clear the corrupted keys
+  const preserved = droppedWheelCount > 0 ? [...corrupted, 'wheels'] : [...corrupted];
+  if (preserved.length > 0) {
+    await AsyncStorage.multiSet(
+      preserved.map(name => [`${storageKeys[name]}_corrupted`, rawByName[name]])
+    );
+  }
+  if (corrupted.size > 0) {
+    await AsyncStorage.multiRemove([...corrupted].map(name => storageKeys[name]));
+  }
+
+  const changed = storedVersion < CURRENT_SCHEMA_VERSION || droppedWheelCount > 0;
+  await AsyncStorage.multiSet([
+    ...(changed
+      ? Object.entries(stores).map(([name, value]) => [storageKeys[name], JSON.stringify(value)])
+      : []),
+    [SCHEMA_VERSION_KEY, JSON.stringify(CURRENT_SCHEMA_VERSION)],
+  ]);
+
+  return { stores, recoveredStores: [...corrupted], droppedWheelCount };
+}
@@ -0,0 +1,204 @@
+/**
+ * Wheel Engine
+ * Purpose: Pure geometry and selection logic shared by every spinning wheel
+ * Extend: Add alternative slice layouts, multi-pointer wheels
+ *
+ * Angles are degrees measured clockwise from 12 o'clock, which is where the
+ * pointer sits. A wheel rotated by R degrees (clockwise positive) therefore
+ * shows the wheel angle (360 - R) under the pointer.
+ */
+
+// Weight used for slice size and selection; negative or missing weights count as 0
+export function getOptionWeight(option) {
+  return Math.max(0, Number(option.weight) || 0);
+}
+
+// Slice geometry for a wheel whose slice sizes follow option weights
+// Slice i spans [start, end); falls back to equal slices when no option has a positive weight
+export function getSliceAngles(options) {
+  const weights = options.map(getOptionWeight);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  let start = 0;
+  return weights.map((w) => {
+    const sweep = totalWeight > 0 ? (w / totalWeight) * 360 : 360 / options.length;
+    const slice = { start, end: start + sweep, sweep };
+    start += sweep;
+    return slice;
+  });
+}
+
+// Normalize any rotation to 0..360
+export function normalizeAngle(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+// Wheel angle currently under the pointer for a given wheel rotation
+export function getPointerAngle(rotationDeg) {
+  return normalizeAngle(360 - normalizeAngle(rotationDeg));
+}
+
+// Index of the slice containing a wheel angle
+export function getSliceIndexAt(angleDeg, slices) {
+  const a = normalizeAngle(angleDeg);
+  const idx = slices.findIndex(slice => slice.sweep > 0 && a >= slice.start && a < slice.end);
+  // Floating point can leave a sliver past the last end; that belongs to the last drawn slice
+  if (idx !== -1) return idx;
+  for (let i = slices.length - 1; i >= 0; i--) {
+    if (slices[i].sweep > 0) return i;
+  }
+  return -1;
+}
+
+// Utility to map rotation → option index
+// rotationDeg: wheel's final rotation in degrees (clockwise positive)
+// slices: output of getSliceAngles for the options on the wheel
+export function pickIndex(rotationDeg, slices) {
+  return getSliceIndexAt(getPointerAngle(rotationDeg), slices);
+}
+
+// Draw a winner with probability proportional to its slice (i.e. its weight)
+export function pickWeightedIndex(slices, random = Math.random) {
+  return getSliceIndexAt(random() * 360, slices);
+}
+
+// Draw a winner among the allowed slice indexes only, still proportional to slice size
+// Returns -1 when none of the allowed slices has any size
+export function pickWeightedIndexAmong(slices, allowedIndexes, random = Math.random) {
+  const total = allowedIndexes.reduce((sum, i) => sum + slices[i].sweep, 0);
+  if (total <= 0) return -1;
+
+  let r = random() * total;
+  for (const i of allowedIndexes) {
+    r -= slices[i].sweep;
+    if (r < 0 && slices[i].sweep > 0) return i;
+  }
+  return allowedIndexes.filter(i => slices[i].sweep > 0).pop();
+}
+
+// Draw up to count winners by weight from the allowed slice indexes
+// Without replacement an option can win only once, so fewer than count winners
+// come back when there are not enough allowed options
+export function drawWinnerIndexes(slices, allowedIndexes, count, replacement = false, random = Math.random) {
+  const winners = [];
+  let pool = [...allowedIndexes];
+  while (winners.length < count) {
+    const index = pickWeightedIndexAmong(slices, pool, random);
+    if (index === -1) break;
+    winners.push(index);
+    if (!replacement) pool = pool.filter(i => i !== index);
+  }
+  return winners;
+}
+
+// Rotation that brings a random point inside slices[index] under the pointer
+// while completing a few full turns from the current rotation
+export function getStopRotation(currentDeg, slices, index, random = Math.random) {
+  const { start, sweep } = slices[index];
+  const margin = sweep * 0.1; // Keep clear of the slice borders
+  const target = start + margin + random() * (sweep - margin * 2);
+  const fullRotations = 5 + Math.floor(random() * 3); // 5-7 full rotations
+  const delta = normalizeAngle(normalizeAngle(360 - target) - normalizeAngle(currentDeg));
+  return currentDeg + fullRotations * 360 + delta;
+}
+
+// What a spin or draw picked from, stored with seeded results so they can be replayed
+// even after the wheel is edited
+// options: the options on the wheel, in order; allowedIndexes: those that could win
+export function freezeWheelDraw(options, allowedIndexes, count = 1, replacement = false) {
+  return {
+    options: options.map(option => ({ id: option.id, label: option.label, weight: getOptionWeight(option) })),
+    allowedIds: allowedIndexes.map(index => options[index].id),
+    count,
+    replacement,
+  };
+}
+
+// Winner ids a frozen draw gives with a random function, in draw order
+// A single spin draws exactly like a one-winner draw, so both replay the same way
+export function replayWheelDraw(draw, random) {
+  const slices = getSliceAngles(draw.options);
+  const allowedIndexes = draw.options
+    .map((option, index) => index)
+    .filter(index => draw.allowedIds.includes(draw.options[index].id));
+  return drawWinnerIndexes(slices, allowedIndexes, draw.count, draw.replacement, random)
+    .map(index => draw.options[index].id);
+}
+
+// SVG path data and label placement for each slice of a wheel of the given size
+// Slices of dimmedIds are drawn faded, e.g. options that cannot win right now
+export function createWheelPaths(options, size, dimmedIds = []) {
+  if (options.length === 0) return [];
+
+  const centerX = size / 2;
+  const centerY = size / 2;
+  const radius = size / 2 - 10;
+  const slices = getSliceAngles(options);
+
+  return options.map((option, index) => {
+    const { start, end, sweep } = slices[index];
+    const startAngle = (start - 90) * (Math.PI / 180);
+    const endAngle = (end - 90) * (Math.PI / 180);
+
+    const x1 = centerX + radius * Math.cos(startAngle);
+    const y1 = centerY + radius * Math.sin(startAngle);
+    const x2 = centerX + radius * Math.cos(endAngle);
+    const y2 = centerY + radius * Math.sin(endAngle);
+
+    const largeArcFlag = sweep > 180 ? 1 : 0;
+
+    // A single slice covering the whole wheel can't be drawn as one arc
+    const pathData = sweep >= 360 ? [
+      `M ${centerX} ${centerY - radius}`,
+      `A ${radius} ${radius} 0 1 1 ${centerX} ${centerY + radius}`,
+      `A ${radius} ${radius} 0 1 1 ${centerX} ${centerY - radius}`,
+      'Z'
+    ].join(' ') : [
+      `M ${centerX} ${centerY}`,
+      `L ${x1} ${y1}`,
+      `A ${radius} ${radius} 0 ${largeArcFlag} 1 ${x2} ${y2}`,
+      'Z'
+    ].join(' ');
+
+    // Calculate text position
+    const textAngle = start + sweep / 2 - 90;
+    const textRadius = radius * 0.65;
+    const textX = centerX + textRadius * Math.cos(textAngle * (Math.PI / 180));
+    const textY = centerY + textRadius * Math.sin(textAngle * (Math.PI / 180));
+
+    return {
+      id: option.id,
+      path: pathData,
+      color: option.color,
+      label: option.label,
+      textX,
+      textY,
+      textAngle,
+      opacity: option.enabled && !dimmedIds.includes(option.id) ? 1 : 0.4,
+      sweep,
+    };
+  });
+}
+
+// History record for a finished spin, as stored by addSpinResult
+// randomness: the record from the randomness service describing how the winner was drawn
+// draw: the freezeWheelDraw output for replayable spins
+export function createSpinResult(wheelId, option, randomness, draw) {
+  return {
+    id: Date.now().toString(),
+    wheelId,
+    winnerOptionId: option.id,
+    timestamp: new Date().toISOString(),
+    ...(randomness ? { randomness } : {}),
+    ...(draw ? { draw } : {}),
+  };
+}
+
+// One grouped history record for a multi-winner draw; winnerOptionId keeps the first pick
+export function createDrawResult(wheelId, winners, replacement, randomness, draw) {
+  return {
+    ...createSpinResult(wheelId, winners[0], randomness, draw),
+    winnerOptionIds: winners.map(option => option.id),
+    replacement,
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Wheel Library Utilities
+ * Purpose: Naming, validation, copying, ordering, tagging and search rules for the saved wheels list
+ * Extend: Add nested folders, tag colors
+ */
+
+export const MAX_WHEEL_NAME_LENGTH = 50;
+export const MAX_TAG_LENGTH = 30;
+export const DEFAULT_WHEEL_EMOJI = '🤔';
+export const EMOJI_OPTIONS = ['🤔', '🍕', '🎯', '🎲', '🎭', '🎮', '🏆', '⭐', '🔥', '💡', '🎪', '🎨'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isString = value => typeof value === 'string';
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = value => typeof value === 'boolean';
+
+const EMOJI_REGEX = /[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/u;
+
+// First emoji typed on the system keyboard, or null when the text has none
+export function getFirstEmoji(text) {
+  const match = text.match(EMOJI_REGEX);
+  return match ? match[0] : null;
+}
+
+const normalizeName = name => name.trim().toLowerCase();
+
+// Problem with a wheel name, or null when it can be saved
+// wheelId: the wheel being renamed, so keeping its own name is not a duplicate
+export function getWheelNameError(name, wheels, wheelId) {
+  if (!name.trim()) return 'Please enter a name for your wheel.';
+  const taken = wheels.some(wheel => wheel.id !== wheelId && normalizeName(wheel.name) === normalizeName(name));
+  return taken ? `You already have a wheel called "${name.trim()}".` : null;
+}
+
+// "Dinner Copy", then "Dinner Copy 2", "Dinner Copy 3"... so copies never share a name
+// Long names are shortened so the suffix still fits within MAX_WHEEL_NAME_LENGTH
+function getCopyName(name, wheels) {
+  const withSuffix = (suffix) => `${name.slice(0, MAX_WHEEL_NAME_LENGTH - suffix.length).trimEnd()}${suffix}`;
+  let copyName = withSuffix(' Copy');
+  for (let n = 2; getWheelNameError(copyName, wheels); n++) {
+    copyName = withSuffix(` Copy ${n}`);
+  }
+  return copyName;
+}
+
+// Option weights are whole numbers from 1 to 100, like the weight editor allows
+export function clampWeight(weight) {
+  const value = Number(weight);
+  if (!Number.isFinite(value)) return 50;
+  return Math.min(100, Math.max(1, Math.round(value)));
+}
+
+// Collect problems with a single wheel into errors
+export function validateWheel(wheel, index, errors) {
+  const where = `Wheel ${index + 1}`;
+  if (!isObject(wheel)) {
+    errors.push(`${where} is not an object`);
+    return;
+  }
+  if (!isString(wheel.id) || !wheel.id) errors.push(`${where} has no id`);
+  if (!isString(wheel.name) || !wheel.name.trim()) errors.push(`${where} has no name`);
+  if (!Array.isArray(wheel.options)) {
+    errors.push(`${where} has no options list`);
+    return;
+  }
+  wheel.options.forEach((option, optionIndex) => {
+    const optionWhere = `${where}, option ${optionIndex + 1}`;
+    if (!isObject(option)) {
+      errors.push(`${optionWhere} is not an object`);
+      return;
+    }
+    if (!isString(option.id)) errors.push(`${optionWhere} has no id`);
+    if (!isString(option.label)) errors.push(`${optionWhere} has no label`);
+    if (!isString(option.color)) errors.push(`${optionWhere} has no color`);
+    if (!isNumber(option.weight)) errors.push(`${optionWhere} has an invalid weight`);
+    if (!isBoolean(option.enabled)) errors.push(`${optionWhere} has an invalid enabled flag`);
+  });
+  if (wheel.tags !== undefined && !(Array.isArray(wheel.tags) && wheel.tags.every(isString))) {
+    errors.push(`${where} has an invalid tags list`);
+  }
+}
+
+const getChangedTime = wheel => new Date(wheel.updatedAt || wheel.createdAt || 0).getTime();
+
+// Pinned wheels always come first; within each group wheels are ordered by last change
+// sortOrder: 'desc' for most recently changed first, 'asc' for oldest first
+export function sortWheels(wheels, sortOrder = 'desc') {
+  return [...wheels].sort((a, b) => {
+    if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+    return sortOrder === 'desc'
+      ? getChangedTime(b) - getChangedTime(a)
+      : getChangedTime(a) - getChangedTime(b);
+  });
+}
+
+export function getFavoriteWheels(wheels) {
+  return sortWheels(wheels.filter(wheel => wheel.favorite));
+}
+
+// Tags compare without case, so "games" and "Games" are the same tag
+const isSameTag = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Tag as typed, with surrounding and repeated spaces removed
+export function normalizeTag(text) {
+  return text.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+}
+
+// Wheels created before tags existed have none
+export function getWheelTags(wheel) {
+  return Array.isArray(wheel.tags) ? wheel.tags : [];
+}
+
+// Every tag in use, alphabetically; the first spelling seen wins
+export function getAllTags(wheels) {
+  const tags = [];
+  wheels.forEach(wheel => getWheelTags(wheel).forEach((tag) => {
+    if (!tags.some(existing => isSameTag(existing, tag))) tags.push(tag);
+  }));
+  return tags.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+export function hasTag(wheel, tag) {
+  return getWheelTags(wheel).some(existing => isSameTag(existing, tag));
+}
+
+// Wheel with tags added and removed; tags it already has keep their spelling and order
+export function applyTagChanges(wheel, { add = [], remove = [] }) {
+  const kept = getWheelTags(wheel).filter(tag => !remove.some(removed => isSameTag(removed, tag)));
+  const added = add.filter(tag => !kept.some(existing => isSameTag(existing, tag)));
+  return { ...wheel, tags: [...kept, ...added] };
+}
+
+// Search by wheel name, option label or tag
+export function matchesWheelSearch(wheel, query) {
+  const text = query.trim().toLowerCase();
+  if (!text) return true;
+  return wheel.name.toLowerCase().includes(text)
+    || wheel.options.some(option => option.label.toLowerCase().includes(text))
+    || getWheelTags(wheel).some(tag => tag.toLowerCase().includes(text));
+}
+
+// New wheel with the same options and settings as an existing one
+export function createWheelCopy(wheel, wheels) {
+  // A pending fair draw belongs to the original wheel; its commitment can only be revealed once
+  const { fairDraw, ...source } = wheel;
+  const now = new Date().toISOString();
+  return {
+    ...source,
+    id: Date.now().toString(),
+    name: getCopyName(wheel.name, wheels),
+    pinned: false, // The copy starts like a new wheel rather than jumping to the top
+    favorite: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+}